@@ -6,36 +6,144 @@
 'use strict';
 
 // ── Constants ───────────────────────────────────────────────
-const FS_KEY          = 'pstogo_fs';
+const FS_KEY          = 'pstogo_fs'; // legacy localStorage VFS, migrated into FS_DB_NAME
+const FS_DB_NAME      = 'pstogo';
+const FS_DB_VERSION   = 2;
+const FS_STORE        = 'fs';   // one record per path
+const META_STORE      = 'meta'; // FS_READY_KEY once the tree is seeded or migrated
+const SHARE_STORE     = 'shares'; // files the service worker received, until mergeSharedFiles
+const FS_READY_KEY    = 'ready';
 const HIST_KEY        = 'pstogo_history';
+const ALIAS_KEY       = 'pstogo_aliases';
+const SESSION_KEY     = 'pstogo_session';
 const SETTINGS_KEY    = 'pstogo_settings';
 const APP_VERSION     = '1.0.0';
+const PROFILE_PATH    = 'C:\\Users\\PSUser\\Documents\\PowerShell\\Microsoft.PowerShell_profile.ps1';
 const MOBILE_BP       = 640; // matches CSS breakpoint for compact prompt / desktop overrides
+const MAX_CALL_DEPTH  = 64;  // guards against scripts that invoke themselves forever
+const MAX_LOOP_ITERATIONS = 100000; // keeps a runaway while ($true) from freezing the tab
+const MAX_RANGE_LENGTH = 10000000; // a range held as an array; piped ranges stream instead
+const MAX_ERROR_COUNT = 256; // records kept in $Error
 
 // ── State ───────────────────────────────────────────────────
 const state = {
   cwd:             'C:\\Users\\PSUser\\Desktop',
-  variables:       {},
+  variables:       Object.assign(Object.create(null), { // global scope; see Variable scopes
+    Error: [],
+    ErrorActionPreference: 'Continue',
+    WarningPreference:     'Continue',
+    VerbosePreference:     'SilentlyContinue',
+    DebugPreference:       'SilentlyContinue',
+    InformationPreference: 'SilentlyContinue',
+  }),
   history:         [],
   historyIndex:    -1,
   fontSize:        13,
   theme:           'dark',
   keyboardAutoShow: true,
+  safeMode:        false, // skip $PROFILE at startup
+  startFresh:      false, // don't restore the last session at startup
   soundEnabled:    false,
   suggestions:     [],
   sugIndex:        -1,
   pipeBuffer:      null,
+  callDepth:       0,
+  prompt:          'PS>', // last output of the prompt function; see refreshPrompt
+  muted:           false, // drops console output, e.g. while completion samples a pipeline
+  running:         false, // a command typed at the prompt (or the profile) is running
+  failures:        0,     // errors written so far; $? compares counts
+  succeeded:       true,  // $?
+  handled:         false, // inside try or a trap's scope: errors go to catch/trap, not the console
+  position:        null,  // the statement or command running; see invocationInfo
+  loading:         true,  // the filesystem has not loaded yet; input waits for it
 };
 
 // ── Virtual Filesystem ───────────────────────────────────────
-// Structure: { path: { type:'dir'|'file', content?:string, created:date, modified:date } }
+// Structure: { path: { type:'dir'|'file', content?:string, bytes?:Uint8Array, created:date, modified:date } }
+// A file holds either text (content) or a binary payload (bytes), never both.
+// vfs is the synchronous working copy the cmdlets use; every change is then
+// written through to IndexedDB one entry at a time (see fsPersist/fsForget).
 let vfs = {};
+let fsDB = null;            // IndexedDB handle; null when storage is unavailable
+let storageEstimate = null; // last navigator.storage.estimate() result, for Get-PSDrive
+
+function openFSDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(FS_DB_NAME, FS_DB_VERSION);
+    req.onupgradeneeded = () => [FS_STORE, META_STORE, SHARE_STORE]
+      .filter(name => !req.result.objectStoreNames.contains(name))
+      .forEach(name => req.result.createObjectStore(name));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+// Resolves when the transaction commits, rejects with the cause when it aborts
+function fsTransaction(fn, storeName = FS_STORE) {
+  return new Promise((resolve, reject) => {
+    const tx = fsDB.transaction(storeName, 'readwrite');
+    fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+}
+
+function fsLoadAll(storeName = FS_STORE) {
+  return new Promise((resolve, reject) => {
+    const entries = {};
+    const req = fsDB.transaction(storeName).objectStore(storeName).openCursor();
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve(entries);
+      entries[cur.key] = cur.value;
+      cur.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function fsReadMeta(key) {
+  return new Promise((resolve, reject) => {
+    const req = fsDB.transaction(META_STORE).objectStore(META_STORE).get(key);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
 
-function initFS() {
-  const saved = localStorage.getItem(FS_KEY);
+// The store only counts as the user's tree once FS_READY_KEY is set; until
+// then whatever it holds is kept on top of the migrated or seeded tree
+async function initFS() {
+  if (!fsDB && window.indexedDB) {
+    try { fsDB = await openFSDB(); }
+    catch(e) { writeWarning(`Storage is unavailable (${e?.message ?? e}); files will not be saved after this session.`); }
+  }
+  let stored = {};
+  if (fsDB) {
+    stored = await fsLoadAll().catch(() => ({}));
+    // Trees stored before the marker existed always hold the root
+    if (await fsReadMeta(FS_READY_KEY).catch(() => false) || 'C:' in stored) {
+      vfs = stored;
+      return refreshStorageEstimate();
+    }
+  }
+  // One-time migration from the single localStorage key used by earlier versions
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(FS_KEY)); } catch(e) { /* seed instead */ }
   if (saved) {
-    try { vfs = JSON.parse(saved); return; } catch(e) { /* fall through */ }
+    vfs = { ...saved, ...stored };
+    if (fsDB) await fsPersist(Object.keys(vfs)).then(() => localStorage.removeItem(FS_KEY));
+  } else {
+    seedFS();
+    Object.assign(vfs, stored);
+    await fsPersist(Object.keys(vfs));
   }
+  if (fsDB) await fsTransaction(store => store.put(true, FS_READY_KEY), META_STORE).catch(reportStorageError);
+  return refreshStorageEstimate();
+}
+
+// The default tree, in memory only; callers persist it
+function seedFS() {
+  vfs = {};
   const now = new Date().toISOString();
   const dirs = [
     'C:',
@@ -47,6 +155,7 @@ function initFS() {
     'C:\\Users\\PSUser',
     'C:\\Users\\PSUser\\Desktop',
     'C:\\Users\\PSUser\\Documents',
+    'C:\\Users\\PSUser\\Documents\\PowerShell',
     'C:\\Users\\PSUser\\Downloads',
     'C:\\Users\\PSUser\\Pictures',
     'C:\\Temp',
@@ -60,44 +169,82 @@ function initFS() {
       'My PowerShell notes\r\n-------------------\r\nGet-ChildItem  - list directory contents\r\nSet-Location   - change directory\r\nGet-Content    - read a file\r\nSet-Content    - write to a file',
     'C:\\Users\\PSUser\\Desktop\\hello.ps1':
       'Write-Host "Hello from PowerShell To Go!" -ForegroundColor Cyan\r\nGet-Date',
+    [PROFILE_PATH]:
+      '# Runs each time PowerShell To Go starts: set variables, aliases,\r\n' +
+      '# functions and the prompt here. Safe Mode in Settings skips it.\r\nGet-Date',
     'C:\\Temp\\sample.json':
       '{\r\n  "name": "PowerShell To Go",\r\n  "version": "1.0",\r\n  "awesome": true\r\n}',
   };
   Object.entries(files).forEach(([p,c]) => {
     vfs[normPath(p)] = { type:'file', content:c, created:now, modified:now };
   });
-  saveFS();
 }
 
-function saveFS() {
-  try { localStorage.setItem(FS_KEY, JSON.stringify(vfs)); } catch(e) { /* quota */ }
+// Wipe the store and start over with the default tree
+async function resetFS() {
+  localStorage.removeItem(FS_KEY);
+  if (fsDB) await fsTransaction(store => store.clear()).catch(reportStorageError);
+  seedFS();
+  fsPersist(Object.keys(vfs));
+}
+
+// Write the given paths' current entries through to IndexedDB
+function fsPersist(paths) {
+  if (!fsDB || !paths.length) return Promise.resolve();
+  return fsTransaction(store => paths.forEach(p => store.put(vfs[p], p)))
+    .then(refreshStorageEstimate, e => reportStorageError(e, paths));
+}
+
+function fsForget(paths) {
+  if (!fsDB || !paths.length) return Promise.resolve();
+  return fsTransaction(store => paths.forEach(p => store.delete(p)))
+    .then(refreshStorageEstimate, e => reportStorageError(e, paths));
+}
+
+function reportStorageError(e, paths=[]) {
+  const what = paths.length === 1 ? `'${paths[0]}'` : `${paths.length} items`;
+  if (e?.name === 'QuotaExceededError')
+    writeError(`Storage is full: ${what} could not be saved and will be lost when the app is closed. Remove files to free space (see Get-PSDrive).`);
+  else
+    writeError(`Could not save ${what}: ${e?.message ?? e}`);
+}
+
+function refreshStorageEstimate() {
+  if (!navigator.storage?.estimate) return;
+  return navigator.storage.estimate().then(est => { storageEstimate = est; }, () => {});
 }
 
 function normPath(p) {
   if (!p) return '';
-  // Normalize to consistent form: drive letter uppercase, backslashes, no trailing slash
+  // Normalize to consistent form: drive letter uppercase, backslashes, no
+  // trailing slash (so the root C:\ is stored as C:)
   p = p.replace(/\//g, '\\').replace(/\\+/g, '\\');
-  if (p.endsWith('\\') && p.length > 3) p = p.slice(0, -1);
+  if (p.endsWith('\\') && p.length > 1) p = p.slice(0, -1);
   // Drive letter uppercase
   if (p.length >= 2 && p[1] === ':') p = p[0].toUpperCase() + p.slice(1);
   return p;
 }
 
+// How PowerShell shows a path: the drive root keeps its backslash (C:\)
+function displayPath(p) {
+  return /^[A-Za-z]:$/.test(p) ? p + '\\' : p;
+}
+
 function resolvePath(p) {
+  p = varToString(p).trim();
   if (!p || p === '.') return normPath(state.cwd);
-  p = p.trim();
   // Remove surrounding quotes
   p = p.replace(/^["']|["']$/g, '');
-  // Absolute path
-  if (/^[A-Za-z]:/.test(p)) return normPath(p);
-  // Relative
+  // Absolute (C:\...), drive-rooted (\...) or relative to the cwd
   let base = state.cwd;
+  if (/^[A-Za-z]:/.test(p)) { base = p.slice(0, 2); p = p.slice(2); }
+  else if (/^[/\\]/.test(p)) base = state.cwd.slice(0, 2);
   const parts = p.split(/[/\\]/);
   for (const part of parts) {
     if (!part || part === '.') continue;
     if (part === '..') {
       const idx = base.lastIndexOf('\\');
-      if (idx > 2) base = base.slice(0, idx);
+      if (idx >= 2) base = base.slice(0, idx);
     } else {
       base = base + '\\' + part;
     }
@@ -108,7 +255,20 @@ function resolvePath(p) {
 function fsExists(p)    { return normPath(p) in vfs; }
 function fsIsDir(p)     { return vfs[normPath(p)]?.type === 'dir'; }
 function fsIsFile(p)    { return vfs[normPath(p)]?.type === 'file'; }
-function fsGetContent(p){ return vfs[normPath(p)]?.content ?? ''; }
+function fsGetContent(p) {
+  const entry = vfs[normPath(p)];
+  return entry?.bytes ? decodeBytes(entry.bytes) : entry?.content ?? '';
+}
+function fsGetBytes(p) {
+  return entryBytes(vfs[normPath(p)]);
+}
+function entryBytes(entry) {
+  return entry?.bytes ?? encodeText(entry?.content ?? '', 'utf-8');
+}
+// Size on disk in bytes; text is stored as UTF-8
+function fsSize(entry) {
+  return entry.bytes?.length ?? (entry.content ? encodeText(entry.content, 'utf-8').length : 0);
+}
 
 function fsListDir(dir) {
   dir = normPath(dir);
@@ -127,51 +287,567 @@ function fsMkdir(p) {
   if (fsExists(p)) return false;
   const now = new Date().toISOString();
   vfs[p] = { type:'dir', created:now, modified:now };
-  saveFS(); return true;
+  fsPersist([p]); return true;
+}
+
+// Create a directory and any missing parents (like mkdir -p)
+function fsMkdirAll(p) {
+  p = normPath(p);
+  const now = new Date().toISOString();
+  const parts = p.split('\\');
+  const created = [];
+  for (let i = 1; i <= parts.length; i++) {
+    const sub = parts.slice(0, i).join('\\');
+    if (!fsExists(sub)) { vfs[sub] = { type:'dir', created:now, modified:now }; created.push(sub); }
+  }
+  fsPersist(created);
 }
 
 function fsWriteFile(p, content, append=false) {
   p = normPath(p);
   const now = new Date().toISOString();
+  if (append && vfs[p]?.bytes) {
+    fsWriteBytes(p, encodeText(content, 'utf-8'), true);
+    return;
+  }
   if (append && fsIsFile(p)) {
     vfs[p].content += content;
     vfs[p].modified = now;
   } else {
     vfs[p] = { type:'file', content: content ?? '', created: vfs[p]?.created ?? now, modified:now };
   }
-  saveFS();
+  fsPersist([p]);
+}
+
+function fsWriteBytes(p, bytes, append=false) {
+  p = normPath(p);
+  const now = new Date().toISOString();
+  if (append && fsIsFile(p)) bytes = concatBytes(fsGetBytes(p), bytes);
+  vfs[p] = { type:'file', bytes, created: vfs[p]?.created ?? now, modified:now };
+  fsPersist([p]);
 }
 
 function fsDelete(p) {
   p = normPath(p);
   if (!fsExists(p)) return false;
-  if (fsIsDir(p)) {
-    // Remove children too
-    const prefix = p + '\\';
-    Object.keys(vfs).filter(k => k === p || k.startsWith(prefix)).forEach(k => delete vfs[k]);
-  } else {
-    delete vfs[p];
-  }
-  saveFS(); return true;
+  // A directory takes its children with it
+  const prefix = p + '\\';
+  const removed = fsIsDir(p) ? Object.keys(vfs).filter(k => k === p || k.startsWith(prefix)) : [p];
+  removed.forEach(k => delete vfs[k]);
+  fsForget(removed); return true;
 }
 
-function fsCopy(src, dst) {
+// Copying into an existing directory puts the item inside it. A directory
+// copies with everything under it when `recurse` is set, else on its own.
+// Moves keep the entries' timestamps.
+function fsCopy(src, dst, recurse=false, move=false) {
   src = normPath(src); dst = normPath(dst);
   if (!fsExists(src)) return false;
-  const now = new Date().toISOString();
   if (fsIsDir(dst)) dst = dst + '\\' + src.split('\\').pop();
-  if (fsIsFile(src)) {
-    vfs[dst] = { ...vfs[src], modified:now };
-    saveFS(); return true;
-  }
-  return false;
+  if (dst === src || dst.startsWith(src + '\\')) return false;
+  const now = new Date().toISOString();
+  const prefix = src + '\\';
+  const paths = [src, ...(recurse && fsIsDir(src) ? Object.keys(vfs).filter(k => k.startsWith(prefix)).sort() : [])];
+  const written = paths.map(p => {
+    const to = dst + p.slice(src.length);
+    vfs[to] = move ? vfs[p] : { ...vfs[p], created: vfs[to]?.created ?? now, modified: vfs[p].type === 'dir' ? now : vfs[p].modified };
+    return to;
+  });
+  fsPersist(written); return true;
 }
 
 function fsMove(src, dst) {
-  if (!fsCopy(src, dst)) return false;
+  if (!fsCopy(src, dst, true, true)) return false;
   fsDelete(src); return true;
 }
 
+// ── Path wildcards ───────────────────────────────────────────
+// *, ? and [a-z] may appear in any path segment. Cmdlets that take paths
+// expand them through cmdletPaths; -LiteralPath is used as written.
+function hasWildcard(p) { return /[*?[]/.test(p); }
+
+// Existing paths matching a resolved pattern, each level in name order
+function globPaths(pattern) {
+  const [drive, ...segments] = normPath(pattern).split('\\');
+  let matches = fsExists(drive) ? [drive] : [];
+  for (const seg of segments) {
+    if (!hasWildcard(seg)) { matches = matches.map(m => m + '\\' + seg).filter(fsExists); continue; }
+    const re = wildcardToRegex(seg);
+    matches = matches.flatMap(m => fsListDir(m).filter(i => re.test(i.name))
+      .sort((a, b) => a.name.localeCompare(b.name)).map(i => i.path));
+  }
+  return matches;
+}
+
+// Paths from -LiteralPath, -Path, the first argument or piped items (or
+// `fallback`), wildcards expanded. Literal paths that don't exist are kept
+// so each cmdlet can report them its own way; a pattern matching nothing
+// is reported here.
+function cmdletPaths(args, params, pipe, fallback) {
+  const literal = params.literalpath !== undefined;
+  const piped = pipe === null || pipe === undefined ? undefined : toArray(pipe);
+  const raw = params.literalpath ?? params.path ?? args[0] ?? piped ?? fallback;
+  const paths = [];
+  for (const item of toArray(raw)) {
+    const p = resolvePath(item?.FullName ?? item?.Path ?? item);
+    if (literal || !hasWildcard(p)) { paths.push(p); continue; }
+    const found = globPaths(p);
+    if (!found.length) writePathNotFound(p);
+    paths.push(...found);
+  }
+  return paths;
+}
+
+// -Include / -Exclude / -Filter name tests shared by the item cmdlets
+function itemNameFilter(params) {
+  const include = toArray(params.include ?? []).map(p => wildcardToRegex(varToString(p)));
+  const exclude = toArray(params.exclude ?? []).map(p => wildcardToRegex(varToString(p)));
+  const filter  = params.filter !== undefined ? wildcardToRegex(varToString(params.filter)) : null;
+  return name => (!filter || filter.test(name)) &&
+    (!include.length || include.some(re => re.test(name))) &&
+    !exclude.some(re => re.test(name));
+}
+
+// ── Encodings ────────────────────────────────────────────────
+// -Encoding names as PowerShell accepts them. Text without an explicit
+// encoding is UTF-8; `bom` is the preamble Set-Content writes first.
+const ENCODINGS = {
+  utf8:             { web:'utf-8' },
+  utf8nobom:        { web:'utf-8' },
+  utf8bom:          { web:'utf-8',    bom:[0xEF, 0xBB, 0xBF] },
+  default:          { web:'utf-8' },
+  oem:              { web:'utf-8' },
+  ascii:            { web:'us-ascii' },
+  latin1:           { web:'iso-8859-1' },
+  unicode:          { web:'utf-16le', bom:[0xFF, 0xFE] },
+  bigendianunicode: { web:'utf-16be', bom:[0xFE, 0xFF] },
+  utf32:            { web:'utf-32le', bom:[0xFF, 0xFE, 0x00, 0x00] },
+  byte:             { web:null }, // Windows PowerShell's spelling of -AsByteStream
+};
+
+// -Encoding values, for tab completion
+function encodingNames() {
+  return Object.keys(ENCODINGS);
+}
+
+function lookupEncoding(name) {
+  return ENCODINGS[String(name).toLowerCase().replace(/[-_]/g, '')] ?? null;
+}
+
+function encodingError(name) {
+  return bindingError(`Cannot process argument transformation on parameter 'Encoding'. '${varToString(name)}' is not a supported encoding name.`,
+    'ParameterArgumentTransformationError');
+}
+
+function encodeText(text, web) {
+  const units = [];
+  switch (web) {
+    case 'utf-8':      return new TextEncoder().encode(text);
+    case 'us-ascii':   for (const ch of text) units.push(ch.codePointAt(0) < 0x80 ? ch.codePointAt(0) : 0x3F); break;
+    case 'iso-8859-1': for (const ch of text) units.push(ch.codePointAt(0) < 0x100 ? ch.codePointAt(0) : 0x3F); break;
+    case 'utf-16le': case 'utf-16be':
+      for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        units.push(...(web === 'utf-16le' ? [c & 0xFF, c >> 8] : [c >> 8, c & 0xFF]));
+      }
+      break;
+    case 'utf-32le':
+      for (const ch of text) { const c = ch.codePointAt(0); units.push(c & 0xFF, (c >> 8) & 0xFF, c >> 16, 0); }
+      break;
+  }
+  return Uint8Array.from(units);
+}
+
+// The encoding whose byte order mark starts `bytes`, or null
+function bomEncoding(bytes) {
+  return Object.values(ENCODINGS).find(e => e.bom && e.bom.every((b, i) => bytes[i] === b) &&
+    !(e.web === 'utf-16le' && bytes[2] === 0 && bytes[3] === 0)) ?? null;
+}
+
+// Without an encoding the byte order mark decides, as in PowerShell
+function decodeBytes(bytes, web) {
+  if (!web) web = bomEncoding(bytes)?.web ?? 'utf-8';
+  const bom = Object.values(ENCODINGS).find(e => e.web === web && e.bom)?.bom;
+  if (bom && bom.every((b, i) => bytes[i] === b)) bytes = bytes.subarray(bom.length);
+  switch (web) {
+    case 'us-ascii':   return Array.from(bytes, b => b < 0x80 ? String.fromCharCode(b) : '?').join('');
+    case 'iso-8859-1': return Array.from(bytes, b => String.fromCharCode(b)).join('');
+    case 'utf-32le': {
+      let s = '';
+      for (let i = 0; i + 3 < bytes.length; i += 4) {
+        s += String.fromCodePoint((bytes[i] | bytes[i + 1] << 8 | bytes[i + 2] << 16) >>> 0);
+      }
+      return s;
+    }
+    default: return new TextDecoder(web).decode(bytes);
+  }
+}
+
+// Script values (byte[], a single number, a Uint8Array) as bytes
+function toBytes(v) {
+  if (v instanceof Uint8Array) return v;
+  return Uint8Array.from(toArray(v), b => castValue('byte', b));
+}
+
+function concatBytes(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a); out.set(b, a.length);
+  return out;
+}
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBytes(text) {
+  let bin;
+  try { bin = atob(text.replace(/\s+/g, '')); }
+  catch(e) { throw new RuntimeException('The input is not a valid Base-64 string as it contains a non-base 64 character, more than two padding characters, or an illegal character among the padding characters.'); }
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+// ── Device files ─────────────────────────────────────────────
+// Moving real files in and out: file picker, drag-and-drop and the Web Share
+// Target all end up in importDeviceFiles; Export-File downloads a file as is
+// or a directory as a zip.
+
+// Copies File objects into destDir, keeping any folder structure
+// (webkitRelativePath from a directory picker, or a path set while walking a
+// dropped folder). Resolves to the number of files imported.
+async function importDeviceFiles(files, destDir) {
+  destDir = normPath(destDir);
+  let count = 0;
+  for (const file of files) {
+    const rel = (file.relativePath || file.webkitRelativePath || file.name).replace(/\//g, '\\');
+    const p = normPath(destDir + '\\' + rel);
+    const parent = p.slice(0, p.lastIndexOf('\\'));
+    if (!fsIsDir(parent)) fsMkdirAll(parent);
+    try {
+      fsWriteBytes(p, new Uint8Array(await file.arrayBuffer()));
+      writeLine(`Imported ${p} (${file.size} bytes)`, 'line-success');
+      count++;
+    } catch(e) {
+      writeError(`Could not read '${file.name}': ${e?.message ?? e}`);
+    }
+  }
+  return count;
+}
+
+// Opens the device file picker; the cmdlet returns before the user picks
+function pickDeviceFiles(destDir, directory=false) {
+  const picker = document.createElement('input');
+  picker.type = 'file';
+  picker.multiple = true;
+  picker.webkitdirectory = directory;
+  picker.addEventListener('change', () => importDeviceFiles([...picker.files], destDir));
+  picker.click();
+}
+
+function pickDeviceFile(accept, onPick) {
+  const picker = document.createElement('input');
+  picker.type = 'file';
+  picker.accept = accept;
+  picker.addEventListener('change', () => picker.files[0] && onPick(picker.files[0]));
+  picker.click();
+}
+
+// Files from a drop, descending into dropped folders where the browser
+// exposes them as entries
+async function droppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items ?? []].map(i => i.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.length) return [...dataTransfer.files];
+  const files = [];
+  const walk = async (entry, prefix) => {
+    if (entry.isFile) {
+      const file = await new Promise((res, rej) => entry.file(res, rej));
+      file.relativePath = prefix + file.name;
+      files.push(file);
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries hands back directories in batches until it returns none
+      for (let batch; (batch = await new Promise((res, rej) => reader.readEntries(res, rej))).length; ) {
+        for (const child of batch) await walk(child, prefix + entry.name + '/');
+      }
+    }
+  };
+  for (const entry of entries) await walk(entry, '');
+  return files;
+}
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a   = document.createElement('a');
+  a.href = url; a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Minimal zip writer: stored (uncompressed) entries with CRC-32
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// entries: [{ name: 'dir/file.txt', bytes: Uint8Array, date: Date }]
+function makeZip(entries) {
+  const chunks = [], central = [];
+  let offset = 0;
+  const le = (n, size) => Array.from({ length: size }, (_, i) => (n >>> (8 * i)) & 0xFF);
+  for (const { name, bytes, date } of entries) {
+    const nameBytes = new TextEncoder().encode(name);
+    const time = date.getHours() << 11 | date.getMinutes() << 5 | date.getSeconds() >> 1;
+    const day  = Math.max(0, date.getFullYear() - 1980) << 9 | (date.getMonth() + 1) << 5 | date.getDate();
+    // version, flags (bit 11: UTF-8 names), method 0, time, date, crc, sizes, name length, extra length
+    const common = [...le(20, 2), ...le(0x0800, 2), ...le(0, 2), ...le(time, 2), ...le(day, 2),
+                    ...le(crc32(bytes), 4), ...le(bytes.length, 4), ...le(bytes.length, 4),
+                    ...le(nameBytes.length, 2), ...le(0, 2)];
+    const local = Uint8Array.from([...le(0x04034B50, 4), ...common]);
+    chunks.push(local, nameBytes, bytes);
+    central.push(Uint8Array.from([...le(0x02014B50, 4), ...le(20, 2), ...common,
+                                  ...le(0, 2), ...le(0, 2), ...le(0, 2), ...le(0, 4), ...le(offset, 4)]), nameBytes);
+    offset += local.length + nameBytes.length + bytes.length;
+  }
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = Uint8Array.from([...le(0x06054B50, 4), ...le(0, 4), ...le(entries.length, 2), ...le(entries.length, 2),
+                               ...le(centralSize, 4), ...le(offset, 4), ...le(0, 2)]);
+  return new Blob([...chunks, ...central, end], { type:'application/zip' });
+}
+
+// A VFS directory as a zip, paths relative to the directory itself
+function zipDirectory(dir) {
+  const base = dir.slice(0, dir.lastIndexOf('\\') + 1);
+  const entries = Object.keys(vfs)
+    .filter(k => vfs[k].type === 'file' && k.startsWith(dir + '\\'))
+    .sort()
+    .map(k => ({ name: k.slice(base.length).replace(/\\/g, '/'), bytes: fsGetBytes(k), date: new Date(vfs[k].modified) }));
+  return { blob: makeZip(entries), count: entries.length };
+}
+
+// ── Session bundles ──────────────────────────────────────────
+// "Export Session" writes { format, vfs, history, variables } as JSON, with
+// binary file payloads as base64 and variables tagged as by serializeValue
+// (bundles without `format` hold plain JSON values). Importing validates a
+// bundle, reports what it would change, then merges it into or replaces the
+// current session; automatic and preference variables are never removed.
+const MAX_HISTORY = 200;
+const SESSION_FORMAT = 2;
+
+function exportSession() {
+  return JSON.stringify({ format: SESSION_FORMAT, vfs, history: state.history, variables: savedVariables() },
+    (k, v) => v instanceof Uint8Array ? bytesToBase64(v) : v, 2);
+}
+
+// Returns { vfs, history, variables } or throws naming the first problem
+function parseSessionBundle(text) {
+  const bad = msg => { throw new RuntimeException(`Invalid session bundle: ${msg}`); };
+  let data;
+  try { data = JSON.parse(text); } catch(e) { bad(`not valid JSON (${e.message})`); }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) bad('expected a JSON object.');
+  if (!data.vfs || typeof data.vfs !== 'object' || Array.isArray(data.vfs)) bad('missing the "vfs" object.');
+  const now = new Date().toISOString();
+  const date = d => typeof d === 'string' && !isNaN(new Date(d)) ? d : now;
+  const files = {};
+  for (const [key, entry] of Object.entries(data.vfs)) {
+    const p = normPath(key);
+    if (!/^[A-Z]:/.test(p)) bad(`'${key}' is not a drive path.`);
+    const times = { created: date(entry?.created), modified: date(entry?.modified) };
+    if (entry?.type === 'dir') {
+      files[p] = { type:'dir', ...times };
+    } else if (entry?.type === 'file' && typeof entry.bytes === 'string') {
+      try { files[p] = { type:'file', bytes: base64ToBytes(entry.bytes), ...times }; }
+      catch(e) { bad(`'${key}' has a corrupt binary payload.`); }
+    } else if (entry?.type === 'file' && typeof (entry.content ?? '') === 'string') {
+      files[p] = { type:'file', content: entry.content ?? '', ...times };
+    } else {
+      bad(`'${key}' is neither a file nor a directory.`);
+    }
+  }
+  const history = data.history ?? [];
+  if (!Array.isArray(history) || history.some(h => typeof h !== 'string')) bad('"history" must be a list of strings.');
+  const saved = data.variables ?? {};
+  if (typeof saved !== 'object' || Array.isArray(saved)) bad('"variables" must be an object.');
+  const variables = {};
+  for (const [name, value] of Object.entries(saved)) {
+    if (AUTOMATIC_VARIABLES.has(name.toLowerCase())) continue;
+    try { variables[name] = data.format === SESSION_FORMAT ? deserializeValue(value) : value; }
+    catch(e) { bad(`variable '$${name}' has a corrupt value.`); }
+  }
+  return { vfs: files, history, variables };
+}
+
+function sessionDiff(bundle, replace) {
+  const diff = { added: [], overwritten: [], unchanged: 0, removed: [], varsAdded: [], varsChanged: [], varsRemoved: [], history: 0 };
+  for (const [p, entry] of Object.entries(bundle.vfs)) {
+    if (entry.type === 'dir') continue;
+    const cur = vfs[p];
+    if (!cur) diff.added.push(p);
+    else if (cur.type === 'file' && bytesEqual(entryBytes(cur), entryBytes(entry))) diff.unchanged++;
+    else diff.overwritten.push(p);
+  }
+  if (replace) diff.removed = Object.keys(vfs).filter(p => vfs[p].type === 'file' && !(p in bundle.vfs));
+  const vars = globalScope();
+  for (const [name, value] of Object.entries(bundle.variables)) {
+    const key = ownVariableKey(vars, name);
+    if (key === undefined) diff.varsAdded.push(name);
+    else if (JSON.stringify(serializeValue(vars[key])) !== JSON.stringify(serializeValue(value))) diff.varsChanged.push(name);
+  }
+  if (replace) diff.varsRemoved = Object.keys(vars).filter(n => ownVariableKey(bundle.variables, n) === undefined && !isShellVariable(n));
+  diff.history = replace ? bundle.history.length : bundle.history.filter(h => !state.history.includes(h)).length;
+  return diff;
+}
+
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+function writeSessionDiff(diff, name, replace) {
+  const list = (paths, mark) => {
+    paths.slice(0, 20).forEach(p => writeLine(`    ${mark} ${p}`, 'line-muted'));
+    if (paths.length > 20) writeLine(`    … and ${paths.length - 20} more`, 'line-muted');
+  };
+  const names = (label, n) => n.length ? `${n.length} ${label} (${n.map(v => '$' + v).join(', ')})` : null;
+  writeLine('');
+  writeLine(`Session bundle: ${name}  [${replace ? 'Replace' : 'Merge'}]`, 'line-header');
+  writeLine(`  Files added:        ${diff.added.length}`);
+  list(diff.added, '+');
+  writeLine(`  Files overwritten:  ${diff.overwritten.length}`);
+  list(diff.overwritten, '~');
+  if (replace) { writeLine(`  Files removed:      ${diff.removed.length}`); list(diff.removed, '-'); }
+  writeLine(`  Files unchanged:    ${diff.unchanged}`);
+  const vars = [names('added', diff.varsAdded), names('changed', diff.varsChanged), names('removed', diff.varsRemoved)].filter(Boolean);
+  writeLine(`  Variables:          ${vars.join(', ') || 'no changes'}`);
+  writeLine(`  History:            ${diff.history} ${replace ? 'entries (replacing current)' : 'new entries'}`);
+  writeLine('');
+}
+
+// Changes memory at once, so the rest of the input sees the new session;
+// only the IndexedDB write-through finishes later
+function applySession(bundle, replace) {
+  const vars = globalScope();
+  const now = new Date().toISOString();
+  if (replace) vfs = { 'C:': { type:'dir', created: now, modified: now }, ...bundle.vfs };
+  else Object.assign(vfs, bundle.vfs);
+  // Bundles may list files without their parent directories
+  Object.keys(bundle.vfs).map(p => p.slice(0, p.lastIndexOf('\\')))
+    .filter(d => d.includes('\\') && !fsIsDir(d)).forEach(d => fsMkdirAll(d));
+  if (replace) {
+    const paths = Object.keys(vfs);
+    if (fsDB) {
+      fsTransaction(store => { store.clear(); paths.forEach(p => store.put(vfs[p], p)); })
+        .then(refreshStorageEstimate, e => reportStorageError(e, paths));
+    }
+    Object.keys(vars).filter(n => !isShellVariable(n)).forEach(n => delete vars[n]);
+    state.history = bundle.history.slice(-MAX_HISTORY);
+  } else {
+    fsPersist(Object.keys(bundle.vfs));
+    state.history = [...state.history.filter(h => !bundle.history.includes(h)), ...bundle.history].slice(-MAX_HISTORY);
+  }
+  for (const [name, value] of Object.entries(bundle.variables)) vars[ownVariableKey(vars, name) ?? name] = value;
+  state.historyIndex = state.history.length;
+  localStorage.setItem(HIST_KEY, JSON.stringify(state.history));
+  if (!fsIsDir(state.cwd)) { state.cwd = fsIsDir('C:\\Users\\PSUser\\Desktop') ? 'C:\\Users\\PSUser\\Desktop' : 'C:\\'; refreshPrompt(); }
+}
+
+// Validate, report and (unless whatIf) apply a bundle; errors are reported
+function importSessionText(text, name, replace, whatIf=false) {
+  let bundle;
+  try { bundle = parseSessionBundle(text); }
+  catch(e) { writeError(e.message); return false; }
+  writeSessionDiff(sessionDiff(bundle, replace), name, replace);
+  if (whatIf) { writeLine('What if: no changes were made.', 'line-info'); return false; }
+  applySession(bundle, replace);
+  writeLine(`Session ${replace ? 'replaced' : 'merged'} from ${name}.`, 'line-success');
+  return true;
+}
+
+// ── Session persistence ──────────────────────────────────────
+// The directory, global variables and user functions are saved after every
+// command (aliases save themselves, see saveAliases), so a session the OS
+// kills in the background comes back as it was. Values keep their types:
+// tagged objects for dates, script blocks, bytes and typed objects.
+const AUTOMATIC_VARIABLES = new Set(['_', 'psitem', 'input', 'args', 'this', 'psscriptroot', 'pscommandpath', 'error']);
+
+// Variables the shell owns, which a replaced session keeps
+function isShellVariable(name) {
+  return AUTOMATIC_VARIABLES.has(name.toLowerCase()) || /Preference$/i.test(name);
+}
+
+function serializeValue(v, depth=0) {
+  if (v === null || ['string', 'number', 'boolean'].includes(typeof v)) return v;
+  if (depth > 32 || typeof v !== 'object') return undefined;
+  if (v instanceof Date) return { $date: v.toISOString() };
+  if (v instanceof ScriptBlock) return { $scriptblock: v.text };
+  if (v instanceof Uint8Array) return { $bytes: bytesToBase64(v) };
+  if (Array.isArray(v)) return v.map(x => serializeValue(x, depth + 1) ?? null);
+  const props = {};
+  for (const [k, x] of Object.entries(v)) {
+    const value = serializeValue(x, depth + 1);
+    if (value !== undefined) props[k] = value;
+  }
+  return { $type: v[PS_TYPE] ?? null, props };
+}
+
+function deserializeValue(v) {
+  if (v === null || typeof v !== 'object') return v;
+  if (Array.isArray(v)) return v.map(deserializeValue);
+  if ('$date' in v) return new Date(v.$date);
+  if ('$scriptblock' in v) return new ScriptBlock(v.$scriptblock);
+  if ('$bytes' in v) return base64ToBytes(v.$bytes);
+  const props = Object.fromEntries(Object.entries(v.props ?? {}).map(([k, x]) => [k, deserializeValue(x)]));
+  return v.$type ? psObject(v.$type, props) : props;
+}
+
+// Global variables other than automatic ones, serialized
+function savedVariables() {
+  const variables = {};
+  for (const [name, value] of Object.entries(globalScope())) {
+    const saved = AUTOMATIC_VARIABLES.has(name.toLowerCase()) ? undefined : serializeValue(value);
+    if (saved !== undefined) variables[name] = saved;
+  }
+  return variables;
+}
+
+function saveSession() {
+  const variables = savedVariables();
+  // The built-in prompt is the only function defined in code rather than script
+  const functions = Object.values(CMDLETS).filter(fn => fn.definition && fn !== defaultPrompt).map(fn => fn.definition);
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ cwd: state.cwd, variables, functions }));
+  } catch (e) {
+    writeWarning(`The session could not be saved: ${e.message}`);
+  }
+}
+
+// Runs after the filesystem loads, before the profile (so a changed profile
+// wins over what it defined last time). Start Fresh skips it all.
+function restoreSession() {
+  if (state.startFresh) return;
+  loadAliases();
+  let saved;
+  try { saved = JSON.parse(localStorage.getItem(SESSION_KEY) || '{}'); } catch(e) { return; }
+  if (typeof saved.cwd === 'string' && fsIsDir(saved.cwd)) state.cwd = saved.cwd;
+  const vars = globalScope();
+  for (const [name, value] of Object.entries(saved.variables ?? {})) {
+    vars[ownVariableKey(vars, name) ?? name] = deserializeValue(value);
+  }
+  for (const source of saved.functions ?? []) {
+    try {
+      parseScript(source).filter(node => node.type === 'function').forEach(defineFunction);
+    } catch (e) {
+      if (!(e instanceof SyntaxError)) throw e;
+    }
+  }
+}
+
 // ── Settings ────────────────────────────────────────────────
 function loadSettings() {
   const s = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
@@ -180,6 +856,8 @@ function loadSettings() {
   // Default: auto-show keyboard on non-touch (desktop), off on touch (mobile)
   const touchDevice = window.matchMedia('(pointer: coarse)').matches;
   state.keyboardAutoShow = s.keyboardAutoShow ?? !touchDevice;
+  state.safeMode = s.safeMode ?? false;
+  state.startFresh = s.startFresh ?? false;
   applyTheme(state.theme);
   applyFontSize(state.fontSize);
 }
@@ -189,6 +867,8 @@ function saveSettings() {
     theme: state.theme,
     fontSize: state.fontSize,
     keyboardAutoShow: state.keyboardAutoShow,
+    safeMode: state.safeMode,
+    startFresh: state.startFresh,
   }));
 }
 
@@ -226,22 +906,52 @@ function addHistory(cmd) {
   if (!cmd.trim()) return;
   state.history = state.history.filter(h => h !== cmd);
   state.history.push(cmd);
-  if (state.history.length > 200) state.history.shift();
+  if (state.history.length > MAX_HISTORY) state.history.shift();
   state.historyIndex = state.history.length;
   localStorage.setItem(HIST_KEY, JSON.stringify(state.history));
 }
 
+// ── Aliases ─────────────────────────────────────────────────
+// Only the user's changes are stored: their aliases, and null for each
+// built-in alias they removed.
+function loadAliases() {
+  let saved;
+  try { saved = JSON.parse(localStorage.getItem(ALIAS_KEY) || '{}'); } catch(e) { saved = {}; }
+  for (const [key, alias] of Object.entries(saved)) {
+    if (alias) ALIASES[key] = alias;
+    else delete ALIASES[key];
+  }
+}
+
+function saveAliases() {
+  const saved = {};
+  for (const key of Object.keys(BUILTIN_ALIASES)) if (!ALIASES[key]) saved[key] = null;
+  for (const [key, alias] of Object.entries(ALIASES)) if (BUILTIN_ALIASES[key] !== alias) saved[key] = alias;
+  localStorage.setItem(ALIAS_KEY, JSON.stringify(saved));
+}
+
 // ── Output Helpers ───────────────────────────────────────────
 const outputEl = () => document.getElementById('output');
 
-function writeLine(text, cls='line-output', raw=false) {
+// Text containing escape sequences is rendered through ansiToHtml. With
+// newline false (Write-Host -NoNewline) the line stays open and the next
+// write continues it, unless something else was written in between.
+let openLine = null;
+function writeLine(text, cls='line-output', raw=false, newline=true) {
+  if (state.muted) return;
   const out = outputEl();
+  if (!raw && typeof text === 'string' && text.includes('\x1b')) { text = ansiToHtml(text); raw = true; }
+  const line = openLine && out.lastChild === openLine.nextSibling ? openLine : null;
   const span = document.createElement('span');
-  span.className = 'line ' + cls;
+  span.className = line ? cls : 'line ' + cls;
   if (raw) span.innerHTML = text;
   else span.textContent = text;
-  out.appendChild(span);
-  out.appendChild(document.createTextNode('\n'));
+  if (line) line.appendChild(span);
+  else {
+    out.appendChild(span);
+    out.appendChild(document.createTextNode('\n'));
+  }
+  openLine = newline ? null : line ?? span;
   maybeScrollToBottom();
 }
 
@@ -281,23 +991,113 @@ function writeTable(rows, headers) {
   maybeScrollToBottom();
 }
 
-function writeError(msg) { writeLine('ERROR: ' + msg, 'line-error'); }
-function writeWarning(msg) { writeLine('WARNING: ' + msg, 'line-warning'); }
+// Records for the error, warning, verbose and debug streams; see Streams
+function writeError(msg, details) { writeRecord('Error', errorRecord(msg, details)); }
+function writeWarning(msg) { writeRecord('Warning', messageRecord('Warning', msg)); }
+function writeVerbose(msg) { writeRecord('Verbose', messageRecord('Verbose', msg)); }
+function writeDebug(msg) { writeRecord('Debug', messageRecord('Debug', msg)); }
+
+// The non-terminating error every cmdlet writes for a path that is not
+// there, before going on with its other paths
+function writePathNotFound(path) {
+  writeError(`Cannot find path '${path}' because it does not exist.`, {
+    category: 'ObjectNotFound',
+    errorId: commandErrorId('PathNotFound'),
+    target: path,
+    exception: 'System.Management.Automation.ItemNotFoundException',
+  });
+}
+
 function writeSuccess(msg) { writeLine(msg, 'line-success'); }
 function writeInfo(msg) { writeLine(msg, 'line-info'); }
 
+// Echo a command after the prompt it was typed at; a trailing '>' is the arrow
 function writePrompt(cmd) {
   const out = outputEl();
   const span = document.createElement('span');
+  const [, text, arrow] = state.prompt.match(/^([\s\S]*?)(\s*>*\s*)$/);
   span.className = 'line line-prompt';
   span.innerHTML =
-    `<span class="prompt-path">PS ${escHtml(state.cwd)}</span>` +
-    `<span class="prompt-arrow"> &gt; </span>` +
-    `<span class="ps-cmdlet">${escHtml(cmd)}</span>`;
+    `<span class="prompt-path">${escHtml(text)}</span>` +
+    `<span class="prompt-arrow">${escHtml(arrow)}</span>` +
+    highlightPowerShell(cmd).split('\n').join('\n<span class="prompt-arrow">&gt;&gt; </span>');
   out.appendChild(span);
   out.appendChild(document.createTextNode('\n'));
 }
 
+// ConsoleColor names in SGR order: 30–37 are the dark colours, 90–97 the
+// bright ones. Both map to the themed fg-/bg- classes in style.css.
+const CONSOLE_COLORS = ['Black','DarkBlue','DarkGreen','DarkCyan','DarkRed','DarkMagenta','DarkYellow','Gray',
+  'DarkGray','Blue','Green','Cyan','Red','Magenta','Yellow','White'];
+const ANSI_COLORS = ['Black','DarkRed','DarkGreen','DarkYellow','DarkBlue','DarkMagenta','DarkCyan','Gray',
+  'DarkGray','Red','Green','Yellow','Blue','Magenta','Cyan','White'];
+
+// Colour of a 38;5;n / 48;5;n index: a class for the first 16, rgb() beyond
+function ansi256(n) {
+  if (n < 16) return ANSI_COLORS[n];
+  if (n >= 232) { const g = 8 + (n - 232) * 10; return `rgb(${g},${g},${g})`; }
+  const c = v => v ? 55 + v * 40 : 0;
+  n -= 16;
+  return `rgb(${c(Math.floor(n / 36))},${c(Math.floor(n / 6) % 6)},${c(n % 6)})`;
+}
+
+// Applies one SGR sequence (the numbers between ESC[ and m) to a style
+function applySgr(style, codes) {
+  const nums = codes === '' ? [0] : codes.split(';').map(Number);
+  for (let i = 0; i < nums.length; i++) {
+    const n = nums[i];
+    if (n === 0) style = {};
+    else if (n === 1) style.bold = true;
+    else if (n === 2) style.dim = true;
+    else if (n === 3) style.italic = true;
+    else if (n === 4) style.underline = true;
+    else if (n === 7) style.reverse = true;
+    else if (n === 9) style.strike = true;
+    else if (n === 22) style.bold = style.dim = false;
+    else if (n === 23) style.italic = false;
+    else if (n === 24) style.underline = false;
+    else if (n === 27) style.reverse = false;
+    else if (n === 29) style.strike = false;
+    else if (n >= 30 && n <= 37) style.fg = ANSI_COLORS[n - 30];
+    else if (n >= 90 && n <= 97) style.fg = ANSI_COLORS[n - 82];
+    else if (n >= 40 && n <= 47) style.bg = ANSI_COLORS[n - 40];
+    else if (n >= 100 && n <= 107) style.bg = ANSI_COLORS[n - 92];
+    else if (n === 39) style.fg = undefined;
+    else if (n === 49) style.bg = undefined;
+    else if (n === 38 || n === 48) {
+      const key = n === 38 ? 'fg' : 'bg';
+      if (nums[i + 1] === 5) { style[key] = ansi256(nums[i + 2] ?? 0); i += 2; }
+      else if (nums[i + 1] === 2) { style[key] = `rgb(${nums.slice(i + 2, i + 5).map(v => v || 0).join(',')})`; i += 4; }
+    }
+  }
+  return style;
+}
+
+function styledHtml(text, style) {
+  let { fg, bg } = style;
+  if (style.reverse) [fg, bg] = [bg ?? 'Reverse', fg ?? 'Reverse'];
+  const classes = [], css = [];
+  const color = (key, c) => c.startsWith('rgb') ? css.push(`${key === 'fg' ? 'color' : 'background'}:${c}`) : classes.push(`${key}-${c.toLowerCase()}`);
+  if (fg) color('fg', fg);
+  if (bg) color('bg', bg);
+  for (const k of ['bold', 'dim', 'italic', 'underline', 'strike']) if (style[k]) classes.push('ansi-' + k);
+  if (!classes.length && !css.length) return escHtml(text);
+  return `<span${classes.length ? ` class="${classes.join(' ')}"` : ''}${css.length ? ` style="${css.join(';')}"` : ''}>${escHtml(text)}</span>`;
+}
+
+// Renders SGR colour and text-style sequences as spans; any other escape
+// sequence (cursor movement, OSC titles and links) is dropped
+function ansiToHtml(text, style = {}) {
+  const parts = String(text).replace(/\x1b\][^\x07\x1b]*(\x07|\x1b\\)?/g, '').split(/\x1b\[([\d;?]*)([@-~])/);
+  let html = '';
+  style = { ...style };
+  for (let i = 0; i < parts.length; i += 3) {
+    if (parts[i]) html += styledHtml(parts[i].replace(/\x1b/g, ''), style);
+    if (parts[i + 2] === 'm') style = applySgr(style, parts[i + 1]);
+  }
+  return html;
+}
+
 function escHtml(s) {
   return String(s)
     .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
@@ -326,962 +1126,5896 @@ function updateScrollBtn() {
   if (btn) btn.classList.toggle('visible', !atBottom);
 }
 
-// ── Variable expansion ───────────────────────────────────────
-function expandVariables(str) {
-  // Replace $varName and ${varName}
-  return str
-    .replace(/\$\{([^}]+)\}/g, (_,n) => state.variables[n] ?? '')
-    .replace(/\$([A-Za-z_]\w*)/g, (_,n) => {
-      const builtin = getBuiltinVar(n);
-      return builtin !== undefined ? builtin : (state.variables[n] ?? ('$'+n));
-    });
+// ── Streams ──────────────────────────────────────────────────
+// Besides the success stream (what a pipeline yields), commands write
+// records to the error, warning, verbose, debug and information streams.
+// The preference variables, or the common parameters (-ErrorAction,
+// -Verbose, ...) that set them for one command, decide whether a record is
+// written; a redirection in effect for its stream (2>file, 3>&1, 4>$null)
+// takes it, otherwise it is shown on the console.
+const STREAMS = {
+  Error:       { type: 'System.Management.Automation.ErrorRecord',       prefix: 'ERROR: ',   cls: 'line-error' },
+  Warning:     { type: 'System.Management.Automation.WarningRecord',     prefix: 'WARNING: ', cls: 'line-warning' },
+  Verbose:     { type: 'System.Management.Automation.VerboseRecord',     prefix: 'VERBOSE: ', cls: 'line-verbose' },
+  Debug:       { type: 'System.Management.Automation.DebugRecord',       prefix: 'DEBUG: ',   cls: 'line-debug' },
+  Information: { type: 'System.Management.Automation.InformationRecord', prefix: '',          cls: 'line-output' },
+};
+const HOST_MESSAGE = 'System.Management.Automation.HostInformationMessage';
+
+// In enum order, so -ErrorAction 0 works as in PowerShell
+const ACTION_PREFERENCES = ['SilentlyContinue', 'Stop', 'Continue', 'Inquire', 'Ignore', 'Suspend', 'Break'];
+
+const ERROR_CATEGORIES = [
+  'NotSpecified', 'OpenError', 'CloseError', 'DeviceError', 'DeadlockDetected', 'InvalidArgument',
+  'InvalidData', 'InvalidOperation', 'InvalidResult', 'InvalidType', 'MetadataError', 'NotImplemented',
+  'NotInstalled', 'ObjectNotFound', 'OperationStopped', 'OperationTimeout', 'SyntaxError', 'ParserError',
+  'PermissionDenied', 'ResourceBusy', 'ResourceExists', 'ResourceUnavailable', 'ReadError', 'WriteError',
+  'FromStdErr', 'SecurityError', 'ProtocolError', 'ConnectionError', 'AuthenticationError',
+  'LimitsExceeded', 'QuotaExceeded', 'NotEnabled',
+];
+
+// The .NET exception types errors carry, each with its base type, so
+// catch [System.IO.IOException] also takes a FileNotFoundException
+const EXCEPTION_BASES = {
+  'System.Exception': null,
+  'System.SystemException': 'System.Exception',
+  'System.ArgumentException': 'System.SystemException',
+  'System.ArgumentNullException': 'System.ArgumentException',
+  'System.ArgumentOutOfRangeException': 'System.ArgumentException',
+  'System.ArithmeticException': 'System.SystemException',
+  'System.DivideByZeroException': 'System.ArithmeticException',
+  'System.FormatException': 'System.SystemException',
+  'System.InvalidCastException': 'System.SystemException',
+  'System.InvalidOperationException': 'System.SystemException',
+  'System.NotImplementedException': 'System.SystemException',
+  'System.NotSupportedException': 'System.SystemException',
+  'System.UnauthorizedAccessException': 'System.SystemException',
+  'System.IO.IOException': 'System.SystemException',
+  'System.IO.DirectoryNotFoundException': 'System.IO.IOException',
+  'System.IO.FileNotFoundException': 'System.IO.IOException',
+  'System.Management.Automation.RuntimeException': 'System.SystemException',
+  'System.Management.Automation.ActionPreferenceStopException': 'System.Management.Automation.RuntimeException',
+  'System.Management.Automation.CommandNotFoundException': 'System.Management.Automation.RuntimeException',
+  'System.Management.Automation.ParameterBindingException': 'System.Management.Automation.RuntimeException',
+  'System.Management.Automation.ParseException': 'System.Management.Automation.RuntimeException',
+  'System.Management.Automation.SessionStateException': 'System.Management.Automation.RuntimeException',
+  'System.Management.Automation.DriveNotFoundException': 'System.Management.Automation.SessionStateException',
+  'System.Management.Automation.ItemNotFoundException': 'System.Management.Automation.SessionStateException',
+  'Microsoft.PowerShell.Commands.WriteErrorException': 'System.SystemException',
+};
+
+// The full name of an exception type as a script writes it: [Exception],
+// [IO.IOException], [System.Management.Automation.ItemNotFoundException];
+// null for a type that is not an exception
+function exceptionTypeName(name) {
+  const key = String(name).trim().toLowerCase();
+  return Object.keys(EXCEPTION_BASES).find(t => t.toLowerCase() === key || t.toLowerCase() === 'system.' + key) ?? null;
 }
 
-function getBuiltinVar(name) {
-  const n = name.toLowerCase();
-  if (n === 'null')  return '';
-  if (n === 'true')  return 'True';
-  if (n === 'false') return 'False';
-  if (n === 'psversiontable') return 'Name:PSToGo Version:' + APP_VERSION;
-  if (n === 'env:username' || n === 'username') return 'PSUser';
-  if (n === 'env:computername' || n === 'computername') return 'PSTOGO-PC';
-  if (n === 'home') return 'C:\\Users\\PSUser';
-  if (n === 'pwd') return state.cwd;
-  return undefined;
+function exceptionObject(type, message = `Exception of type '${type}' was thrown.`, inner = null) {
+  return psObject(type, { Message: message, InnerException: inner });
 }
 
-// ── Safe arithmetic evaluator (no eval / Function constructor) ──
-function safeArith(expr) {
-  // Tokenise: numbers, operators, parentheses, whitespace
-  const tokens = [];
-  let i = 0;
-  while (i < expr.length) {
-    if (/\s/.test(expr[i])) { i++; continue; }
-    if (/[\d.]/.test(expr[i])) {
-      let num = '';
-      while (i < expr.length && /[\d.]/.test(expr[i])) num += expr[i++];
-      tokens.push({ t:'num', v: parseFloat(num) });
-    } else if ('+-*/%()'.includes(expr[i])) {
-      tokens.push({ t:'op', v: expr[i++] });
-    } else {
-      return NaN; // unsupported token
-    }
-  }
+// [Type]::new() for exception types, so scripts can throw them
+function exceptionMembers(name) {
+  const type = exceptionTypeName(name);
+  return type && { new: (message, inner) => exceptionObject(type, message === undefined ? undefined : varToString(message), inner) };
+}
 
-  // Recursive descent parser
-  let pos = 0;
-  function peek()  { return tokens[pos]; }
-  function consume(){ return tokens[pos++]; }
-
-  function parseExpr() {
-    let left = parseTerm();
-    while (peek() && (peek().v === '+' || peek().v === '-')) {
-      const op = consume().v;
-      const right = parseTerm();
-      left = op === '+' ? left + right : left - right;
-    }
-    return left;
-  }
-  function parseTerm() {
-    let left = parseFactor();
-    while (peek() && (peek().v === '*' || peek().v === '/' || peek().v === '%')) {
-      const op = consume().v;
-      const right = parseFactor();
-      if (op === '*') left = left * right;
-      else if (op === '/') left = right !== 0 ? left / right : NaN;
-      else left = left % right;
-    }
-    return left;
-  }
-  function parseFactor() {
-    const tok = peek();
-    if (!tok) return NaN;
-    if (tok.t === 'num') { consume(); return tok.v; }
-    if (tok.v === '(') {
-      consume();
-      const val = parseExpr();
-      if (peek() && peek().v === ')') consume();
-      return val;
-    }
-    if (tok.v === '-') { consume(); return -parseFactor(); }
-    if (tok.v === '+') { consume(); return  parseFactor(); }
-    return NaN;
+// Whether an exception is of `type` or a type derived from it
+function isExceptionOf(exception, type) {
+  for (let t = exception?.[PS_TYPE]; t; t = EXCEPTION_BASES[t]) {
+    if (t === type) return true;
   }
-
-  const result = parseExpr();
-  return (pos === tokens.length && !isNaN(result)) ? result : NaN;
+  return false;
 }
 
-// ── Expression evaluator ─────────────────────────────────────
-function evalExpression(expr) {
-  expr = expandVariables(expr.trim());
-  // Simple numeric arithmetic (safe recursive descent, no eval)
-  if (/^[\d\s+\-*/%.()]+$/.test(expr)) {
-    const n = safeArith(expr);
-    if (!isNaN(n)) return String(n);
-  }
-  // String comparison
-  const cmpMatch = expr.match(/^(.+?)\s*(-eq|-ne|-lt|-gt|-le|-ge|-like|-notlike|-match|-contains)\s*(.+)$/i);
-  if (cmpMatch) {
-    const [,l,op,r] = cmpMatch;
-    const lv = l.trim().replace(/^["']|["']$/g,'');
-    const rv = r.trim().replace(/^["']|["']$/g,'');
-    switch(op.toLowerCase()) {
-      case '-eq': return String(lv == rv);
-      case '-ne': return String(lv != rv);
-      case '-lt': return String(Number(lv) < Number(rv));
-      case '-gt': return String(Number(lv) > Number(rv));
-      case '-le': return String(Number(lv) <= Number(rv));
-      case '-ge': return String(Number(lv) >= Number(rv));
-      case '-like': return String(new RegExp('^' + rv.replace(/\*/g,'.*').replace(/\?/g,'.') + '$','i').test(lv));
-      case '-notlike': return String(!new RegExp('^' + rv.replace(/\*/g,'.*').replace(/\?/g,'.') + '$','i').test(lv));
-      case '-match': return String(new RegExp(rv,'i').test(lv));
-      case '-contains': return String(lv.includes(rv));
-    }
-  }
-  return expr;
+// Scope keys (see Variable scopes): the redirections in effect, and the
+// lists named by -ErrorVariable, -WarningVariable and -InformationVariable
+const REDIRECTS = Symbol('redirects');
+const STREAM_VARIABLES = Symbol('streamVariables');
+
+function preferenceVariable(stream) {
+  return stream === 'Error' ? 'ErrorActionPreference' : stream + 'Preference';
 }
 
-// ── Token / Argument Parser ──────────────────────────────────
-function parseArgs(str) {
-  const args = [];
-  let cur = '';
-  let inSingle = false, inDouble = false;
-  for (let i = 0; i < str.length; i++) {
-    const c = str[i];
-    if (c === "'" && !inDouble) { inSingle = !inSingle; continue; }
-    if (c === '"' && !inSingle) { inDouble = !inDouble; continue; }
-    if (c === ' ' && !inSingle && !inDouble) {
-      if (cur) { args.push(cur); cur = ''; }
-    } else {
-      cur += c;
-    }
-  }
-  if (cur) args.push(cur);
-  return args;
+function actionPreference(stream) {
+  return varToString(getVariable(preferenceVariable(stream)) ?? 'Continue').toLowerCase();
 }
 
-// Parse named parameters: -Name Value or -Name:Value or switch -Flag
-function parseNamedParams(args) {
-  const params = {};
-  const positional = [];
-  let i = 0;
-  while (i < args.length) {
-    const a = args[i];
-    if (a.startsWith('-')) {
-      const colonIdx = a.indexOf(':');
-      let name, val;
-      if (colonIdx > 0) {
-        name = a.slice(1, colonIdx);
-        val  = a.slice(colonIdx + 1);
-      } else {
-        name = a.slice(1);
-        val  = (i+1 < args.length && !args[i+1].startsWith('-')) ? args[++i] : true;
-      }
-      params[name.toLowerCase()] = val;
-    } else {
-      positional.push(a);
-    }
-    i++;
+// An ActionPreference given by name or number, as -ErrorAction takes it
+function actionPreferenceValue(param, value) {
+  const text = varToString(value);
+  const match = /^\d+$/.test(text) ? ACTION_PREFERENCES[Number(text)]
+    : ACTION_PREFERENCES.find(a => a.toLowerCase() === text.toLowerCase());
+  if (!match) {
+    throw bindingError(`Cannot bind parameter '${param}'. Cannot convert value "${text}" to type "System.Management.Automation.ActionPreference". ` +
+      `Error: "Unable to match the identifier name ${text} to a valid enumerator name. Specify one of the following enumerator names and try again:\n${ACTION_PREFERENCES.join(', ')}"`);
   }
-  return { params, positional };
+  return match;
 }
 
-// ── Pipeline parser ──────────────────────────────────────────
-function parsePipeline(line) {
-  // Split on | but not inside strings
-  const segments = [];
-  let cur = '';
-  let inSingle = false, inDouble = false;
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === "'" && !inDouble) inSingle = !inSingle;
-    else if (c === '"' && !inSingle) inDouble = !inDouble;
-    else if (c === '|' && !inSingle && !inDouble) {
-      segments.push(cur.trim());
-      cur = '';
-      continue;
-    }
-    cur += c;
-  }
-  segments.push(cur.trim());
-  return segments.filter(Boolean);
+// details may give the category, error id, target object and exception
+// type (or the exception object itself). The record tells where it was
+// raised from state.position.
+function errorRecord(message, { category = 'NotSpecified', errorId, target = null, exception = 'System.Exception' } = {}) {
+  const ex = typeof exception === 'string' ? exceptionObject(exception, message) : exception;
+  const reason = ex[PS_TYPE].split('.').pop();
+  const invocation = invocationInfo(state.position);
+  return psObject(STREAMS.Error.type, {
+    Exception: ex,
+    TargetObject: target,
+    CategoryInfo: psObject('System.Management.Automation.ErrorCategoryInfo', {
+      Category: category,
+      Activity: invocation?.MyCommand ?? '',
+      Reason: reason,
+      TargetName: target === null ? '' : varToString(target),
+      TargetType: target === null ? '' : typeNameOf(target).split('.').pop(),
+    }),
+    FullyQualifiedErrorId: errorId ?? reason,
+    InvocationInfo: invocation,
+  });
 }
 
-// ── Cmdlet implementations ───────────────────────────────────
-const CMDLETS = {};
+// An error id qualified with the command raising it, as PowerShell's are:
+// PathNotFound,Microsoft.PowerShell.Commands.GetContentCommand
+function commandErrorId(id) {
+  const fn = state.position?.command && resolveCommand(state.position.command);
+  if (!fn) return id;
+  return `${id},${fn.commandType ? fn.commandName : `Microsoft.PowerShell.Commands.${fn.commandName.replace('-', '')}Command`}`;
+}
 
-function reg(names, fn) {
-  const list = Array.isArray(names) ? names : [names];
-  list.forEach(n => CMDLETS[n.toLowerCase()] = fn);
+// The command, script, line and column a position names, with the line
+// underlined from there as PowerShell's PositionMessage shows it. A
+// pipeline stage's position is its statement's, plus the stage's text.
+function invocationInfo(position) {
+  if (!position) return null;
+  const { root, command, text } = position;
+  let { offset, length } = position;
+  const at = text ? root.indexOf(text, offset) : -1;
+  if (at >= 0 && at < offset + length) { offset = at; length = text.length; }
+  const start = root.lastIndexOf('\n', offset - 1) + 1;
+  const end = root.indexOf('\n', offset);
+  const line = root.slice(start, end < 0 ? root.length : end).replace(/\r$/, '');
+  const lineNumber = root.slice(0, start).split('\n').length;
+  const column = offset - start + 1;
+  const script = varToString(getVariable('PSCommandPath'));
+  const underline = '~'.repeat(Math.max(1, Math.min(length, line.length - column + 1)));
+  return psObject('System.Management.Automation.InvocationInfo', {
+    MyCommand: command ? resolveCommand(command)?.commandName ?? command : null,
+    ScriptName: script,
+    ScriptLineNumber: lineNumber,
+    OffsetInLine: column,
+    Line: line,
+    PositionMessage: `At ${script || 'line'}:${lineNumber} char:${column}\n+ ${line}\n+ ${' '.repeat(column - 1)}${underline}`,
+  });
 }
 
-// ─── Write-Output / Write-Host / echo ───────────────────────
-reg(['Write-Output','Write-Host','echo'], (args, params, pipe) => {
-  const input = pipe ?? args.join(' ');
-  const text = expandVariables(input);
-  writeLine(text);
-  return text;
-});
+function messageRecord(stream, message) {
+  return psObject(STREAMS[stream].type, { Message: message });
+}
 
-// ─── Write-Error ─────────────────────────────────────────────
-reg('Write-Error', (args) => {
-  writeError(expandVariables(args.join(' ')));
-  return null;
-});
+function informationRecord(data, source, tags = []) {
+  return psObject(STREAMS.Information.type, {
+    MessageData: data, Source: source, TimeGenerated: new Date(), Tags: tags, User: 'PSUser', Computer: 'PSTOGO-PC',
+  });
+}
+
+// A record as the console shows it: the stream's prefix and colour, or
+// Write-Host's own colours
+function recordLine(record) {
+  const stream = Object.keys(STREAMS).find(s => STREAMS[s].type === record[PS_TYPE]);
+  const data = record.MessageData;
+  const text = STREAMS[stream].prefix + varToString(record);
+  if (data?.[PS_TYPE] === HOST_MESSAGE) {
+    return { text, html: ansiToHtml(text, { fg: data.ForegroundColor ?? undefined, bg: data.BackgroundColor ?? undefined }) };
+  }
+  return { text, html: `<span class="${STREAMS[stream].cls}">${escHtml(text)}</span>`, cls: STREAMS[stream].cls };
+}
+
+function showRecord(record) {
+  const line = recordLine(record);
+  if (line.cls) writeLine(line.text, line.cls);
+  else writeLine(line.html, 'line-output', true, record.MessageData.NoNewLine !== true);
+}
+
+// $Error holds the newest error first
+function recordError(record) {
+  const errors = globalScope().Error;
+  if (state.muted || !Array.isArray(errors) || errors[0] === record) return;
+  errors.unshift(record);
+  errors.splice(MAX_ERROR_COUNT);
+}
+
+// Continue (and Inquire, Break) shows the record, SilentlyContinue drops
+// it, Ignore drops it without a trace in $Error or -ErrorVariable, and
+// Stop turns it into an error that ends the script
+function writeRecord(stream, record, action = actionPreference(stream)) {
+  if (stream === 'Error') state.failures++;
+  if (action === 'ignore') return;
+  for (const list of state.variables[STREAM_VARIABLES]?.[stream] ?? []) list.push(record);
+  const error = stream === 'Error' ? record : action === 'stop' && errorRecord(
+    `The running command stopped because the preference variable "${preferenceVariable(stream)}" or common parameter is set to Stop: ${varToString(record)}`,
+    { category: 'OperationStopped', errorId: 'ActionPreferenceStop', exception: 'System.Management.Automation.ActionPreferenceStopException' });
+  if (error) recordError(error);
+  if (action === 'stop' && state.running) throw new ActionPreferenceStopException(error);
+  if (action !== 'silentlycontinue') writeStream(stream, record);
+}
+
+function writeStream(stream, record) {
+  const redirect = state.variables[REDIRECTS]?.[stream];
+  if (redirect) redirect(record);
+  else showRecord(record);
+}
+
+// -ErrorAction, -Verbose and the other common parameters, taken out of a
+// command's parameters: the preference variables they set for it and the
+// variables that collect its records
+function commonParameters(params) {
+  const preferences = {}, variables = {};
+  for (const p of COMMON_PARAMETERS) {
+    const key = p.name.toLowerCase();
+    if (!(key in params)) continue;
+    const value = params[key];
+    delete params[key];
+    if (p.kind === 'switch') preferences[p.name + 'Preference'] = value === false ? 'SilentlyContinue' : 'Continue';
+    else if (p.name.endsWith('Action')) preferences[preferenceVariable(p.name.slice(0, -6))] = actionPreferenceValue(p.name, value);
+    else variables[p.name.slice(0, -8)] = varToString(value);
+  }
+  return { preferences, variables };
+}
+
+// The scope a pipeline stage runs in when it has redirections (see
+// parseRedirections) or common parameters, and a wrapper for its output.
+// Records merged with n>&1 join the output in order; what goes to a file
+// is written as Out-File writes it, when the command finishes.
+function streamContext(redirects, { preferences = {}, variables = {} } = {}) {
+  const scope = blockScope(preferences);
+  const outer = state.variables[STREAM_VARIABLES] ?? {};
+  const lists = { ...outer };
+  for (const [stream, name] of Object.entries(variables)) {
+    // -ErrorVariable +name adds to what the variable already holds
+    const bare = name.replace(/^\+/, '');
+    const list = name.startsWith('+') ? toArray(getVariable(bare)).slice() : [];
+    setVariable(bare, list);
+    lists[stream] = [...(outer[stream] ?? []), list];
+  }
+  scope[STREAM_VARIABLES] = lists;
+
+  const targets = Object.create(state.variables[REDIRECTS] ?? null);
+  const files = new Map(), merged = [];
+  let success = null;
+  for (const r of redirects) {
+    let sink = record => merged.push(record);
+    if (!r.merge) {
+      const target = evalArgToken(r.target);
+      if (target === null) {
+        sink = () => {};
+      } else {
+        const p = outputFile(target);
+        if (!files.has(p)) {
+          files.set(p, []);
+          if (!r.append) fsWriteFile(p, '');
+        }
+        sink = item => files.get(p).push(item);
+      }
+    }
+    for (const stream of r.streams) {
+      if (stream !== 'Success') targets[stream] = sink;
+      else if (!r.merge) success = sink;
+    }
+  }
+  scope[REDIRECTS] = targets;
+
+  function* pass(items) {
+    for (const item of items) {
+      if (success) success(item);
+      else yield item;
+    }
+  }
+  function* run(iter) {
+    try {
+      for (const item of streamInScope(scope, iter ?? [].values())) {
+        yield* pass(merged.splice(0));
+        yield* pass([item]);
+      }
+      yield* pass(merged.splice(0));
+    } finally {
+      for (const [p, items] of files) {
+        if (items.length) fsWriteFile(p, outFileText(items), true);
+      }
+    }
+  }
+  return { scope, run };
+}
+
+// ── Output formatting (Out-Default) ──────────────────────────
+// Only what reaches the end of a top-level pipeline is rendered. Scalars
+// print as lines; consecutive objects of the same shape share one table.
+
+// Where rendered output goes: the terminal, or an array of text lines
+const consoleSink = {
+  line: (text, cls) => writeLine(text, cls),
+  markup: (html) => writeLine(html, 'line-output', true),
+  table: (rows, headers) => writeTable(rows, headers),
+};
+
+function textSink(lines) {
+  return {
+    line: text => lines.push(text),
+    markup: (html, text) => lines.push(text),
+    table: (rows, headers) => lines.push(...tableToText(rows, headers)),
+  };
+}
+
+function formatScalar(v) {
+  if (v instanceof Date) {
+    return v.toLocaleDateString('en-US', { weekday:'long', year:'numeric', month:'long', day:'numeric' }) +
+           ' ' + v.toLocaleTimeString('en-US');
+  }
+  return varToString(v);
+}
+
+function cellText(v) {
+  if (Array.isArray(v)) return '{' + v.map(elementText).join(', ') + '}';
+  return varToString(v);
+}
+
+// [header, getter] pairs for an object's table columns
+function objectColumns(obj) {
+  return PS_TYPES[obj[PS_TYPE]]?.columns ?? Object.keys(obj).map(k => [k, o => o[k]]);
+}
+
+function tableToText(rows, headers) {
+  const widths = headers.map(h => Math.max(h.length, ...rows.map(r => String(r[h] ?? '').length)));
+  const line = cells => cells.map((c, i) => String(c).padEnd(widths[i])).join(' ').trimEnd();
+  return [
+    line(headers),
+    line(widths.map(w => '-'.repeat(w))),
+    ...rows.map(r => line(headers.map(h => r[h] ?? ''))),
+  ];
+}
+
+function renderTable(items, sink, columns = objectColumns(items[0])) {
+  const headers = columns.map(([h]) => h);
+  const rows = items.map(item => Object.fromEntries(columns.map(([h, get]) => [h, cellText(get(item))])));
+  sink.table(rows, headers);
+}
+
+function renderChildItems(items, sink) {
+  const first = items[0];
+  sink.line('', 'line-muted');
+  sink.line(`    Directory: ${displayPath(first.DirectoryName ?? first.Parent)}`, 'line-header');
+  sink.line('');
+  sink.line('Mode                LastWriteTime         Length Name', 'line-header');
+  sink.line('----                -------------         ------ ----', 'line-muted');
+  items.forEach(item => {
+    const mod = item.LastWriteTime.toLocaleDateString('en-US', { month:'2-digit', day:'2-digit', year:'numeric' })
+                + ' ' + item.LastWriteTime.toLocaleTimeString('en-US', { hour:'2-digit', minute:'2-digit' });
+    const len = item.PSIsContainer ? '            ' : String(item.Length).padStart(12);
+    sink.line(`${item.Mode.padEnd(20)}${mod.padEnd(22)}${len}  ${item.Name}`);
+  });
+  sink.line('');
+}
+
+function renderList(items, sink, columns) {
+  items.forEach(item => {
+    if (item === null || typeof item !== 'object' || item instanceof Date) {
+      sink.line(formatScalar(item));
+    } else {
+      (columns ?? Object.keys(item).map(k => [k, o => o[k]]))
+        .forEach(([k, get]) => sink.line(`${k.padEnd(20)}: ${cellText(get(item))}`));
+    }
+    sink.line('');
+  });
+}
+
+// Output of Format-Table / Format-List
+function renderFormatData(fd, sink) {
+  const columns = fd.properties
+    ? fd.properties.map(p => [propertyLabel(p), o => propertyValue(o, p)])
+    : null;
+  if (fd.view === 'list') { renderList(fd.items, sink, columns); return; }
+  const objects = fd.items.filter(i => i !== null && typeof i === 'object' && !(i instanceof Date));
+  if (objects.length === fd.items.length && objects.length) {
+    renderTable(objects, sink, columns ?? objectColumns(objects[0]));
+  } else {
+    renderTable(fd.items.map(v => ({ Value: v })), sink, [['Value', o => o.Value]]);
+  }
+}
+
+// Key that decides which consecutive objects share one table
+function formatGroupKey(v) {
+  const type = v[PS_TYPE];
+  if (type === 'System.IO.FileInfo' || type === 'System.IO.DirectoryInfo') {
+    return 'dir:' + (v.DirectoryName ?? v.Parent);
+  }
+  // Types with the same declared columns (commands and aliases) share a table
+  const columns = PS_TYPES[type]?.columns;
+  const header = PS_TYPES[type]?.header?.(v) ?? '';
+  const shape = columns ? 'columns:' + columns.map(c => c[0]).join(',') : `${type ?? ''}|${Object.keys(v).join(',')}`;
+  return `${shape}|${header}`;
+}
+
+function renderGroup(items, sink) {
+  const first = items[0];
+  if (first[PS_TYPE] === 'System.IO.FileInfo' || first[PS_TYPE] === 'System.IO.DirectoryInfo') {
+    renderChildItems(items, sink);
+    return;
+  }
+  const type = PS_TYPES[first[PS_TYPE]];
+  if (type?.header) { sink.line(''); sink.line(type.header(first), 'line-header'); sink.line(''); }
+  // Like PowerShell: objects without a table view and more than four
+  // properties are shown as lists
+  if (!type?.columns && Object.keys(first).length > 4) renderList(items, sink);
+  else renderTable(items, sink);
+}
+
+// Streaming formatter: write() items as they arrive, flush() at the end
+function createOutDefault(sink = consoleSink) {
+  let pending = [], key = null;
+  const flush = () => {
+    if (pending.length) renderGroup(pending, sink);
+    pending = []; key = null;
+  };
+  const write = v => {
+    if (v === null || v === undefined) return;
+    if (Array.isArray(v)) { v.forEach(write); return; }
+    if (typeof v !== 'object' || v instanceof Date || v instanceof ScriptBlock) {
+      flush();
+      sink.line(formatScalar(v));
+      return;
+    }
+    if (v[PS_TYPE] === 'FormatData') { flush(); renderFormatData(v, sink); return; }
+    // Types drawn as their own (highlighted) lines, e.g. MatchInfo
+    const lines = PS_TYPES[v[PS_TYPE]]?.lines;
+    if (lines) { flush(); lines(v).forEach(l => sink.markup(l.html, l.text)); return; }
+    // Hashtables show one Name / Value row per entry
+    if (isHashtable(v)) {
+      Object.entries(v).forEach(([Name, Value]) =>
+        write(psObject('System.Collections.DictionaryEntry', { Name, Value })));
+      return;
+    }
+    const k = formatGroupKey(v);
+    if (k !== key) flush();
+    key = k;
+    pending.push(v);
+  };
+  return { write, flush };
+}
+
+// The text Out-Default would show for these items
+function formatToLines(items) {
+  const lines = [];
+  const out = createOutDefault(textSink(lines));
+  items.forEach(out.write);
+  out.flush();
+  return lines;
+}
+
+// ── Variable scopes ──────────────────────────────────────────
+// Each scope is an object whose prototype is its parent scope, so lookups
+// fall through to outer scopes while assignments stay local. Script-block
+// scopes (ForEach-Object, Where-Object, switch) only hold $_ and pass every
+// other assignment through to the scope they run in.
+const BLOCK_SCOPE = Symbol('blockScope');
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+function newScope(vars = {}) {
+  return Object.assign(Object.create(state.variables), vars);
+}
+
+function blockScope(vars) {
+  const scope = newScope(vars);
+  Object.defineProperty(scope, BLOCK_SCOPE, { value: true });
+  return scope;
+}
+
+// $global:name addresses the outermost scope; other scope prefixes
+// (script:, local:, private:) resolve like a plain name
+function qualifiedScope(name) {
+  const m = name.match(/^(global|script|local|private):(.+)$/i);
+  if (!m) return [null, name];
+  if (m[1].toLowerCase() !== 'global') return [null, m[2]];
+  return [globalScope(), m[2]];
+}
+
+// The scope assignments land in, past script-block scopes
+function localScope() {
+  let scope = state.variables;
+  while (hasOwn(scope, BLOCK_SCOPE)) scope = Object.getPrototypeOf(scope);
+  return scope;
+}
+
+function globalScope() {
+  let scope = state.variables;
+  while (Object.getPrototypeOf(scope) !== null) scope = Object.getPrototypeOf(scope);
+  return scope;
+}
+
+// Names ignore case: the key `name` has in `scope` itself, if any
+function ownVariableKey(scope, name) {
+  if (hasOwn(scope, name)) return name;
+  const lower = name.toLowerCase();
+  return Object.keys(scope).find(k => k.toLowerCase() === lower);
+}
+
+// [scope, key] of the nearest scope defining `name`, or null
+function findVariable(scope, name) {
+  for (; scope; scope = Object.getPrototypeOf(scope)) {
+    const key = ownVariableKey(scope, name);
+    if (key !== undefined) return [scope, key];
+  }
+  return null;
+}
+
+function getVariable(name) {
+  const builtin = getBuiltinVar(name);
+  if (builtin !== undefined) return builtin;
+  const [scope, bare] = qualifiedScope(name);
+  const found = findVariable(scope ?? state.variables, bare);
+  return found ? found[0][found[1]] : undefined;
+}
+
+function setVariable(name, value) {
+  let [scope, bare] = qualifiedScope(name);
+  if (!scope) {
+    scope = state.variables;
+    while (hasOwn(scope, BLOCK_SCOPE) && ownVariableKey(scope, bare) === undefined) scope = Object.getPrototypeOf(scope);
+  }
+  scope[ownVariableKey(scope, bare) ?? bare] = value;
+}
+
+// Run fn with some state fields set: the current scope (`variables`), the
+// position errors report, whether try/trap handles errors
+function withState(values, fn) {
+  const saved = {};
+  for (const key in values) { saved[key] = state[key]; state[key] = values[key]; }
+  try { return fn(); } finally { Object.assign(state, saved); }
+}
+
+// Wrap a lazy output stream so its code always runs with those fields set,
+// while the consumer gets its own back each time an item is handed
+// downstream. The stream's return value is passed on.
+function* streamWithState(values, iter) {
+  try {
+    for (;;) {
+      const r = withState(values, () => iter.next());
+      if (r.done) return r.value;
+      yield r.value;
+    }
+  } finally {
+    withState(values, () => iter.return?.());
+  }
+}
+
+// Run fn with `scope` as the current scope
+function inScope(scope, fn) {
+  return withState({ variables: scope }, fn);
+}
+
+function streamInScope(scope, iter) {
+  return streamWithState({ variables: scope }, iter);
+}
+
+// ── Variable expansion ───────────────────────────────────────
+function varToString(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'boolean') return v ? 'True' : 'False';
+  if (typeof v === 'number' && !Number.isInteger(v)) return String(Number(v.toPrecision(15)));
+  if (Array.isArray(v)) return v.map(varToString).join(' ');
+  if (v instanceof Date) return v.toLocaleString('en-US').replace(',', '');
+  if (typeof v === 'object' && !(v instanceof ScriptBlock)) {
+    const type = PS_TYPES[v[PS_TYPE]];
+    if (type?.toString) return type.toString(v);
+    return '@{' + Object.entries(v).map(([k,x]) => `${k}=${elementText(x)}`).join('; ') + '}';
+  }
+  return String(v);
+}
+
+// A value nested in another: arrays show their type name, as in .NET
+function elementText(v) {
+  return Array.isArray(v) ? 'System.Object[]' : varToString(v);
+}
+
+function expandVariables(str) {
+  // Replace $varName and ${varName}
+  return str
+    .replace(/\$\{([^}]+)\}/g, (_,n) => varToString(getVariable(n)))
+    .replace(/\$([A-Za-z_]\w*)/g, (_,n) => {
+      const builtin = getBuiltinVar(n);
+      if (builtin !== undefined) return varToString(builtin);
+      return findVariable(state.variables, n) ? varToString(getVariable(n)) : ('$'+n);
+    });
+}
+
+// Expand the body of a "double-quoted" string: `escapes, "" quotes,
+// $var, ${var}, $env:NAME and $( subexpressions ). Unknown variables
+// expand to nothing, as in PowerShell.
+const BACKTICK_ESCAPES = { n:'\n', r:'\r', t:'\t', '0':'\0', a:'\x07', b:'\b', e:'\x1b', f:'\f', v:'\v' };
+
+function expandString(body) {
+  let out = '';
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '`' && i + 1 < body.length) { out += BACKTICK_ESCAPES[body[++i]] ?? body[i]; continue; }
+    if (c === '"' && body[i+1] === '"') { out += '"'; i++; continue; }
+    if (c === '$' && body[i+1] === '(') {
+      const end = skipBalanced(body, i + 1);
+      out += varToString(evalGroup('$(', body.slice(i + 2, end - 1)));
+      i = end - 1;
+      continue;
+    }
+    const m = c === '$' && body.slice(i).match(/^\$(?:\{([^}]*)\}|((?:env|global|script|local):[A-Za-z_]\w*|[A-Za-z_]\w*|\?))/i);
+    if (m) {
+      out += varToString(getVariable(m[1] ?? m[2]));
+      i += m[0].length - 1;
+      continue;
+    }
+    out += c;
+  }
+  return out;
+}
+
+function getBuiltinVar(name) {
+  const n = name.toLowerCase();
+  if (n === 'null')  return null;
+  if (n === 'true')  return true;
+  if (n === 'false') return false;
+  if (n === 'psversiontable') return 'Name:PSToGo Version:' + APP_VERSION;
+  if (n === 'env:username' || n === 'username') return 'PSUser';
+  if (n === 'env:computername' || n === 'computername') return 'PSTOGO-PC';
+  if (n === 'home') return 'C:\\Users\\PSUser';
+  if (n === 'pwd') return state.cwd;
+  if (n === 'profile') return PROFILE_PATH;
+  if (n === 'psstyle') return PS_STYLE;
+  if (n === '?') return state.succeeded;
+  return undefined;
+}
+
+// ── Object model ─────────────────────────────────────────────
+// Pipeline values are plain JS values: strings, numbers, booleans, Dates,
+// arrays and objects. Objects produced by cmdlets carry a hidden .NET-style
+// type name that drives formatting and Get-Member.
+const PS_TYPE = Symbol('psType');
+
+function psObject(typeName, props) {
+  Object.defineProperty(props, PS_TYPE, { value: typeName });
+  return props;
+}
+
+// @{ } literals: a plain object tagged as a hashtable (keys keep their
+// insertion order, lookups ignore case)
+const HASHTABLE = 'System.Collections.Hashtable';
+
+function newHashtable(entries = {}) {
+  return psObject(HASHTABLE, { ...entries });
+}
+
+function isHashtable(v) {
+  return v !== null && typeof v === 'object' && v[PS_TYPE] === HASHTABLE;
+}
+
+// Existing key of `obj` matching `name` regardless of case
+function findKey(obj, name) {
+  const lower = String(name).toLowerCase();
+  return Object.keys(obj).find(k => k.toLowerCase() === lower);
+}
+
+// A { ... } literal: kept as source text and parsed on first use
+class ScriptBlock {
+  constructor(text) { this.text = text; this.nodes = null; }
+  get statements() { return this.nodes ??= parseScript(this.text); }
+  toString() { return this.text; }
+}
+
+function typeNameOf(v) {
+  if (v === null || v === undefined) return 'null';
+  if (typeof v === 'string')  return 'System.String';
+  if (typeof v === 'boolean') return 'System.Boolean';
+  if (typeof v === 'number')  return Number.isInteger(v) ? 'System.Int32' : 'System.Double';
+  if (v instanceof Date)      return 'System.DateTime';
+  if (v instanceof ScriptBlock) return 'System.Management.Automation.ScriptBlock';
+  if (Array.isArray(v))       return 'System.Object[]';
+  return v[PS_TYPE] ?? 'System.Management.Automation.PSCustomObject';
+}
+
+// Per-type display settings: `columns` lists [header, getter] pairs for
+// table output, `header` adds a caption above each table, `toString`
+// is the text used when the object is converted to a string, and `enums`
+// lists the names of enum-typed properties' values in enum order.
+// Get-Command's table; an alias shows what it stands for
+const COMMAND_COLUMNS = [
+  ['CommandType', o => o.CommandType],
+  ['Name',        o => o.CommandType === 'Alias' ? `${o.Name} -> ${o.Definition}` : o.Name],
+  ['Module',      o => o.Module],
+];
+
+const PS_TYPES = {
+  [HASHTABLE]:               { toString: () => HASHTABLE },
+  'System.IO.FileInfo':      { toString: o => o.FullName },
+  'System.IO.DirectoryInfo': { toString: o => o.FullName },
+  'System.Management.Automation.PathInfo': { toString: o => o.Path },
+  'System.Diagnostics.Process': {
+    columns: [['Name', o => o.Name], ['Id', o => o.Id], ['CPU', o => o.CPU],
+              ['WorkingSet', o => Math.round(o.WorkingSet / 1048576) + ' MB'], ['Status', o => o.Status]],
+  },
+  'Microsoft.PowerShell.Commands.MatchInfo': {
+    toString: o => matchInfoLines(o).map(l => l.text).join('\r\n'),
+    lines:    o => matchInfoLines(o),
+  },
+  'System.Text.RegularExpressions.Match': { toString: o => o.Value },
+  'System.Management.Automation.PSDriveInfo': {
+    columns: [['Name', o => o.Name],
+              ['Used (MB)', o => o.Used == null ? '' : (o.Used / 1048576).toFixed(2)],
+              ['Free (MB)', o => o.Free == null ? '' : (o.Free / 1048576).toFixed(2)],
+              ['Provider', o => o.Provider], ['Root', o => o.Root]],
+  },
+  'Microsoft.PowerShell.Commands.ByteCollection': {
+    header:  o => `   Label: ${o.Label}`,
+    toString: o => hexLine(o).join(' '),
+    columns: [['Offset', o => hexLine(o)[0]], ['Bytes', o => hexLine(o)[1]], ['Ascii', o => hexLine(o)[2]]],
+  },
+  'System.Management.Automation.CommandInfo': { toString: o => o.Name, columns: COMMAND_COLUMNS },
+  'System.Management.Automation.AliasInfo':   { toString: o => o.Name, columns: COMMAND_COLUMNS },
+  [STREAMS.Error.type]:       { toString: o => o.Exception.Message, lines: o => [recordLine(o)] },
+  [STREAMS.Warning.type]:     { toString: o => o.Message, lines: o => [recordLine(o)] },
+  [STREAMS.Verbose.type]:     { toString: o => o.Message, lines: o => [recordLine(o)] },
+  [STREAMS.Debug.type]:       { toString: o => o.Message, lines: o => [recordLine(o)] },
+  [STREAMS.Information.type]: { toString: o => varToString(o.MessageData), lines: o => [recordLine(o)] },
+  [HOST_MESSAGE]: {
+    toString: o => o.Message,
+    enums: { ForegroundColor: CONSOLE_COLORS, BackgroundColor: CONSOLE_COLORS },
+  },
+  'System.Management.Automation.ErrorCategoryInfo': {
+    toString: o => `${o.Category}: (${o.TargetName}:${o.TargetType}) [${o.Activity}], ${o.Reason}`,
+    enums: { Category: ERROR_CATEGORIES },
+  },
+  ...Object.fromEntries(Object.keys(EXCEPTION_BASES).map(t => [t, { toString: o => `${o[PS_TYPE]}: ${o.Message}` }])),
+  'Microsoft.PowerShell.Commands.MemberDefinition': {
+    header:  o => `   TypeName: ${o.TypeName}`,
+    columns: [['Name', o => o.Name], ['MemberType', o => o.MemberType], ['Definition', o => o.Definition]],
+  },
+};
+
+// Offset, hex and ASCII columns of one Format-Hex row
+function hexLine(o) {
+  return [
+    o.Offset.toString(16).toUpperCase().padStart(16, '0'),
+    o.Bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ').padEnd(47),
+    o.Bytes.map(b => b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.').join(''),
+  ];
+}
+
+// FileInfo / DirectoryInfo for a VFS path, as Get-ChildItem returns them
+function makeItemInfo(p) {
+  p = normPath(p);
+  const entry = vfs[p];
+  const name  = p.split('\\').pop();
+  const dir   = p.slice(0, p.lastIndexOf('\\'));
+  const common = {
+    Name: name,
+    FullName: p,
+    Mode: entry.type === 'dir' ? 'd----' : '-a---',
+    CreationTime: new Date(entry.created),
+    LastWriteTime: new Date(entry.modified),
+    PSIsContainer: entry.type === 'dir',
+  };
+  if (entry.type === 'dir') return psObject('System.IO.DirectoryInfo', { ...common, Parent: dir });
+  const dot = name.lastIndexOf('.');
+  return psObject('System.IO.FileInfo', {
+    ...common,
+    BaseName: dot > 0 ? name.slice(0, dot) : name,
+    Extension: dot > 0 ? name.slice(dot) : '',
+    DirectoryName: dir,
+    Length: fsSize(entry),
+  });
+}
+
+const DATE_PROPS = {
+  year: d => d.getFullYear(), month: d => d.getMonth() + 1, day: d => d.getDate(),
+  hour: d => d.getHours(), minute: d => d.getMinutes(), second: d => d.getSeconds(),
+  millisecond: d => d.getMilliseconds(),
+  dayofweek: d => d.toLocaleDateString('en-US', { weekday:'long' }),
+  dayofyear: d => Math.floor((d - new Date(d.getFullYear(), 0, 0)) / 86400000),
+  date: d => new Date(d.getFullYear(), d.getMonth(), d.getDate()),
+};
+
+// Property lookup with PowerShell rules: case-insensitive names, Length on
+// strings, Count on arrays (and 1 on single values), and member
+// enumeration over array items
+function getProperty(v, name) {
+  const lower = String(name).toLowerCase();
+  if (v === null || v === undefined) return lower === 'count' ? 0 : null;
+  if (typeof v === 'string' && lower === 'length') return v.length;
+  if (Array.isArray(v)) {
+    if (lower === 'count' || lower === 'length') return v.length;
+    return v.map(item => getProperty(item, name)).filter(x => x !== null);
+  }
+  if (v instanceof Date) return DATE_PROPS[lower]?.(v) ?? null;
+  const key = typeof v === 'object' ? findKey(v, name) : undefined;
+  if (key !== undefined) return v[key];
+  if (isHashtable(v)) {
+    if (lower === 'count')  return Object.keys(v).length;
+    if (lower === 'keys')   return Object.keys(v);
+    if (lower === 'values') return Object.values(v);
+  }
+  return lower === 'count' ? 1 : null;
+}
+
+// $obj.Name = value / $arr[i] = value / $hash[key] = value
+function setMember(target, key, value, isIndex) {
+  if (target === null || target === undefined) {
+    throw new RuntimeException(isIndex ? 'Cannot index into a null array.'
+      : `The property '${key}' cannot be found on this object. Verify that the property exists and can be set.`);
+  }
+  if (Array.isArray(target) && isIndex) {
+    let i = toNumber(key);
+    if (i < 0) i += target.length;
+    if (i < 0 || i >= target.length) throw new RuntimeException('Index was outside the bounds of the array.');
+    target[i] = value;
+    return;
+  }
+  if (typeof target === 'object' && !(target instanceof Date) && !Array.isArray(target)) {
+    const existing = findKey(target, key);
+    if (existing !== undefined || isHashtable(target)) {
+      target[existing ?? varToString(key)] = value;
+      return;
+    }
+  }
+  throw new RuntimeException(`The property '${varToString(key)}' cannot be found on this object. Verify that the property exists and can be set.`);
+}
+
+// Comparison where the left operand's type decides how the right is read;
+// text compares ignore case unless `cs`
+function compareValues(a, b, cs = false) {
+  if (a === null || a === undefined) return (b === null || b === undefined) ? 0 : -1;
+  if (b === null || b === undefined) return 1;
+  if (a instanceof Date) return a - (b instanceof Date ? b : new Date(b));
+  if (typeof a === 'number' || typeof a === 'boolean') {
+    const nb = typeof b === 'boolean' ? Number(b) : Number(b);
+    return isNaN(nb) ? varToString(a).localeCompare(varToString(b)) : Number(a) - nb;
+  }
+  let as = varToString(a), bs = varToString(b);
+  if (!cs) { as = as.toLowerCase(); bs = bs.toLowerCase(); }
+  return as < bs ? -1 : as > bs ? 1 : 0;
+}
+
+function valuesEqual(a, b, cs = false) {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  if (typeof a === 'boolean') return a === isTruthy(b);
+  if (typeof a === 'object' && !(a instanceof Date)) return a === b;
+  return compareValues(a, b, cs) === 0;
+}
+
+// $Matches after a successful -match: numbered groups plus named groups
+function matchesTable(m) {
+  const table = newHashtable();
+  m.forEach((g, i) => { if (g !== undefined) table[i] = g; });
+  return Object.assign(table, m.groups);
+}
+
+// Binary comparison operators shared by expressions and Where-Object
+function compareOp(op, lv, rv, cs = false) {
+  const flags = cs ? '' : 'i';
+  switch (op) {
+    case 'eq': return valuesEqual(lv, rv, cs);
+    case 'ne': return !valuesEqual(lv, rv, cs);
+    case 'lt': return compareValues(lv, rv, cs) < 0;
+    case 'gt': return compareValues(lv, rv, cs) > 0;
+    case 'le': return compareValues(lv, rv, cs) <= 0;
+    case 'ge': return compareValues(lv, rv, cs) >= 0;
+    case 'like': return wildcardToRegex(varToString(rv), flags).test(varToString(lv));
+    case 'notlike': return !wildcardToRegex(varToString(rv), flags).test(varToString(lv));
+    case 'match':
+    case 'notmatch': {
+      const m = varToString(lv).match(new RegExp(varToString(rv), flags));
+      if (m) setVariable('Matches', matchesTable(m));
+      return op === 'match' ? !!m : !m;
+    }
+    case 'contains': return toArray(lv).some(x => valuesEqual(x, rv, cs));
+    case 'notcontains': return !toArray(lv).some(x => valuesEqual(x, rv, cs));
+    case 'in': return toArray(rv).some(x => valuesEqual(x, lv, cs));
+    case 'notin': return !toArray(rv).some(x => valuesEqual(x, lv, cs));
+  }
+  return false;
+}
+
+// Drain an output stream into an array
+function collect(iter) {
+  return iter ? [...iter] : [];
+}
+
+// PowerShell unwraps captured output: nothing is $null, one item is the item
+function unwrapOutput(items) {
+  return items.length === 0 ? null : items.length === 1 ? items[0] : items;
+}
+
+// Items a command's return value puts on the pipeline (arrays are enumerated)
+function* enumerateOutput(v) {
+  if (v === null || v === undefined) return;
+  if (Array.isArray(v)) yield* v;
+  else yield v;
+}
+
+// ── Conversions ──────────────────────────────────────────────
+// Short type names as written in [brackets], mapped to .NET names
+const TYPE_NAMES = {
+  int: 'System.Int32', int32: 'System.Int32', long: 'System.Int64', int64: 'System.Int64',
+  byte: 'System.Byte', double: 'System.Double', float: 'System.Single', single: 'System.Single',
+  decimal: 'System.Decimal', string: 'System.String', char: 'System.Char', bool: 'System.Boolean',
+  boolean: 'System.Boolean', datetime: 'System.DateTime', array: 'System.Array',
+  'object[]': 'System.Object[]', object: 'System.Object', hashtable: HASHTABLE,
+  ordered: 'System.Collections.Specialized.OrderedDictionary',
+  pscustomobject: 'System.Management.Automation.PSCustomObject',
+  psobject: 'System.Management.Automation.PSObject',
+  scriptblock: 'System.Management.Automation.ScriptBlock',
+  regex: 'System.Text.RegularExpressions.Regex', math: 'System.Math',
+  convert: 'System.Convert', 'text.encoding': 'System.Text.Encoding',
+  void: 'System.Void', type: 'System.Type',
+};
+
+function shortTypeKey(name) {
+  return String(name).trim().toLowerCase().replace(/^system\./, '');
+}
+
+// [int] on its own: a type object with Name and FullName
+function typeLiteral(name) {
+  const key = shortTypeKey(name);
+  const full = TYPE_NAMES[key] ?? (String(name).includes('.') ? String(name) : 'System.' + name);
+  return psObject('System.RuntimeType', { Name: full.split('.').pop(), FullName: full });
+}
+
+// Number conversion as PowerShell does it: numeric text converts, anything
+// else is an error
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return 0;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'string') {
+    const n = Number(v.trim());
+    if (!isNaN(n)) return n;
+  }
+  throw new RuntimeException(`Cannot convert value "${varToString(v)}" to type "System.Int32".`);
+}
+
+// .NET rounds half to even ([int]2.5 is 2, [Math]::Round(3.5) is 4)
+function bankersRound(x, digits = 0) {
+  const f = 10 ** digits;
+  const n = x * f;
+  const r = Math.round(n);
+  const tie = Math.abs(n % 1) === 0.5;
+  return (tie && r % 2 !== 0 ? r - 1 : r) / f;
+}
+
+function castValue(type, v) {
+  const t = shortTypeKey(type);
+  if (t.endsWith('[]')) return toArray(v).map(x => t === 'object[]' ? x : castValue(t.slice(0, -2), x));
+  switch (t) {
+    case 'byte': {
+      const n = bankersRound(toNumber(v));
+      if (n < 0 || n > 255) throw new RuntimeException(`Cannot convert value "${varToString(v)}" to type "System.Byte". Error: "Value was either too large or too small for an unsigned byte."`);
+      return n;
+    }
+    case 'int': case 'int32': case 'long': case 'int64': case 'int16':
+      return bankersRound(toNumber(v));
+    case 'double': case 'float': case 'single': case 'decimal':
+      return toNumber(v);
+    case 'string':
+      return varToString(v);
+    case 'char':
+      return typeof v === 'number' ? String.fromCharCode(v) : varToString(v).charAt(0);
+    case 'bool': case 'boolean':
+      return isTruthy(v);
+    case 'array':
+      return toArray(v);
+    case 'datetime': {
+      const d = v instanceof Date ? v : new Date(varToString(v));
+      if (isNaN(d)) throw new RuntimeException(`Cannot convert value "${varToString(v)}" to type "System.DateTime".`);
+      return d;
+    }
+    case 'hashtable': case 'ordered':
+      if (!isHashtable(v)) throw new RuntimeException(`Cannot convert value "${varToString(v)}" to type "${TYPE_NAMES[t]}".`);
+      return newHashtable(v);
+    case 'pscustomobject': case 'psobject':
+      return isHashtable(v) ? { ...v } : v;
+    case 'scriptblock':
+      return v instanceof ScriptBlock ? v : new ScriptBlock(varToString(v));
+    case 'regex':
+      return varToString(v);
+    case 'object':
+      return v;
+    case 'void':
+      return null;
+  }
+  throw new RuntimeException(`Unable to find type [${type}].`);
+}
+
+// -is / -isnot
+function isOfType(v, type) {
+  const t = shortTypeKey(type);
+  switch (t) {
+    case 'object': return v !== null && v !== undefined;
+    case 'int': case 'int32': case 'long': case 'int64': return typeof v === 'number' && Number.isInteger(v);
+    case 'double': case 'float': case 'single': case 'decimal': return typeof v === 'number';
+    case 'array': case 'object[]': return Array.isArray(v);
+    case 'pscustomobject': return typeNameOf(v) === TYPE_NAMES.pscustomobject;
+  }
+  const full = (TYPE_NAMES[t] ?? 'System.' + t).toLowerCase();
+  return typeNameOf(v).toLowerCase() === full || typeNameOf(v).toLowerCase() === t;
+}
+
+// ── Text formatting (-f, ToString(format), Get-Date -Format) ─
+const DATE_STANDARD_FORMATS = {
+  d: 'M/d/yyyy', D: 'dddd, MMMM d, yyyy', t: 'h:mm tt', T: 'h:mm:ss tt',
+  f: 'dddd, MMMM d, yyyy h:mm tt', F: 'dddd, MMMM d, yyyy h:mm:ss tt',
+  g: 'M/d/yyyy h:mm tt', G: 'M/d/yyyy h:mm:ss tt', s: "yyyy-MM-dd'T'HH:mm:ss",
+  o: "yyyy-MM-dd'T'HH:mm:ss.fff", u: "yyyy-MM-dd HH:mm:ss'Z'",
+};
+
+// .NET custom date format strings (yyyy, MMM, dd, HH, hh, mm, ss, fff, tt, ...)
+function formatDate(d, fmt) {
+  fmt = DATE_STANDARD_FORMATS[fmt] ?? fmt;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  const h12 = d.getHours() % 12 || 12;
+  const tokens = {
+    yyyy: () => d.getFullYear(), yy: () => pad(d.getFullYear() % 100),
+    MMMM: () => d.toLocaleDateString('en-US', { month:'long' }),
+    MMM:  () => d.toLocaleDateString('en-US', { month:'short' }),
+    MM: () => pad(d.getMonth() + 1), M: () => d.getMonth() + 1,
+    dddd: () => d.toLocaleDateString('en-US', { weekday:'long' }),
+    ddd:  () => d.toLocaleDateString('en-US', { weekday:'short' }),
+    dd: () => pad(d.getDate()), d: () => d.getDate(),
+    HH: () => pad(d.getHours()), H: () => d.getHours(),
+    hh: () => pad(h12), h: () => h12,
+    mm: () => pad(d.getMinutes()), m: () => d.getMinutes(),
+    ss: () => pad(d.getSeconds()), s: () => d.getSeconds(),
+    fff: () => pad(d.getMilliseconds(), 3), ff: () => pad(Math.floor(d.getMilliseconds() / 10)),
+    f: () => Math.floor(d.getMilliseconds() / 100),
+    tt: () => d.getHours() < 12 ? 'AM' : 'PM',
+  };
+  return fmt.replace(/yyyy|yy|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|fff|ff|f|tt|'[^']*'|"[^"]*"|\\./g,
+    tok => tokens[tok] ? String(tokens[tok]()) : tok[0] === '\\' ? tok[1] : tok.slice(1, -1));
+}
+
+// One value formatted with a .NET format specifier: N2, F1, D3, X, P0, C, 0.00, #,##0
+function formatValue(v, spec) {
+  if (!spec) return varToString(v);
+  if (v instanceof Date) return formatDate(v, spec);
+  if (typeof v !== 'number') return varToString(v);
+  const std = spec.match(/^([NnFfDdXxPpCc])(\d*)$/);
+  if (std) {
+    const digits = std[2] === '' ? null : Number(std[2]);
+    const fixed = (n, dflt) => n.toLocaleString('en-US', {
+      minimumFractionDigits: digits ?? dflt, maximumFractionDigits: digits ?? dflt });
+    switch (std[1]) {
+      case 'N': case 'n': return fixed(v, 2);
+      case 'F': case 'f': return v.toFixed(digits ?? 2);
+      case 'D': case 'd': return (v < 0 ? '-' : '') + String(Math.abs(Math.trunc(v))).padStart(digits ?? 0, '0');
+      case 'X': return Math.trunc(v).toString(16).toUpperCase().padStart(digits ?? 0, '0');
+      case 'x': return Math.trunc(v).toString(16).padStart(digits ?? 0, '0');
+      case 'P': case 'p': return fixed(v * 100, 2) + '%';
+      case 'C': case 'c': return (v < 0 ? '-$' : '$') + fixed(Math.abs(v), 2);
+    }
+  }
+  const custom = spec.match(/^[#0,]*(?:\.([0#]+))?$/);
+  if (custom) {
+    const decimals = custom[1]?.length ?? 0;
+    const minDecimals = (custom[1] ?? '').replace(/#/g, '').length;
+    return v.toLocaleString('en-US', {
+      minimumFractionDigits: minDecimals, maximumFractionDigits: decimals,
+      useGrouping: spec.includes(','),
+      minimumIntegerDigits: Math.max(1, (spec.split('.')[0].match(/0/g) ?? []).length),
+    });
+  }
+  return varToString(v);
+}
+
+// "{0} is {1:N2}" -f $a, $b  (also {0,-10} alignment and {{ }} escapes)
+function formatOperator(fmt, values) {
+  return fmt.replace(/\{\{|\}\}|\{(\d+)(?:,(-?\d+))?(?::([^}]*))?\}/g, (m, i, align, spec) => {
+    if (m === '{{') return '{';
+    if (m === '}}') return '}';
+    let text = formatValue(values[Number(i)] ?? null, spec);
+    if (align) text = Number(align) < 0 ? text.padEnd(-align) : text.padStart(Number(align));
+    return text;
+  });
+}
+
+// ── Methods ──────────────────────────────────────────────────
+// Instance methods by receiver type. Names are matched ignoring case; the
+// receiver is passed first.
+function splitCount(s, sep, count) {
+  const parts = s.split(sep);
+  if (!count || parts.length <= count) return parts;
+  return [...parts.slice(0, count - 1), parts.slice(count - 1).join(sep)];
+}
+
+function trimChars(s, chars, start, end) {
+  const set = chars === undefined ? null : varToString(chars);
+  const strip = c => set === null ? /\s/.test(c) : set.includes(c);
+  let a = 0, b = s.length;
+  if (start) while (a < b && strip(s[a])) a++;
+  if (end) while (b > a && strip(s[b - 1])) b--;
+  return s.slice(a, b);
+}
+
+function checkRange(s, index, length = 0) {
+  if (index < 0 || index + length > s.length) {
+    throw new RuntimeException(`Exception calling method with "${length ? 2 : 1}" argument(s): "Index and length must refer to a location within the string."`);
+  }
+}
+
+const STRING_METHODS = {
+  Contains:    (s, x) => s.includes(varToString(x)),
+  EndsWith:    (s, x) => s.endsWith(varToString(x)),
+  Equals:      (s, x) => s === varToString(x),
+  IndexOf:     (s, x, from = 0) => s.indexOf(varToString(x), from),
+  Insert:      (s, i, x) => { checkRange(s, i); return s.slice(0, i) + varToString(x) + s.slice(i); },
+  LastIndexOf: (s, x) => s.lastIndexOf(varToString(x)),
+  PadLeft:     (s, n, c = ' ') => s.padStart(n, c),
+  PadRight:    (s, n, c = ' ') => s.padEnd(n, c),
+  Remove:      (s, i, n) => { checkRange(s, i, n ?? 0); return n === undefined ? s.slice(0, i) : s.slice(0, i) + s.slice(i + n); },
+  Replace:     (s, a, b) => s.split(varToString(a)).join(varToString(b)),
+  Split:       (s, sep, count) => sep === undefined ? s.split(/\s/) : splitCount(s, varToString(sep), count),
+  StartsWith:  (s, x) => s.startsWith(varToString(x)),
+  Substring:   (s, i, n) => { checkRange(s, i, n ?? 0); return n === undefined ? s.slice(i) : s.slice(i, i + n); },
+  ToCharArray: s => [...s],
+  ToLower:     s => s.toLowerCase(),
+  ToUpper:     s => s.toUpperCase(),
+  Trim:        (s, chars) => trimChars(s, chars, true, true),
+  TrimEnd:     (s, chars) => trimChars(s, chars, false, true),
+  TrimStart:   (s, chars) => trimChars(s, chars, true, false),
+};
+
+const ARRAY_METHODS = {
+  Contains: (a, x) => a.some(item => valuesEqual(item, x)),
+  IndexOf:  (a, x) => a.findIndex(item => valuesEqual(item, x)),
+  Clear:    a => { a.length = 0; return null; },
+};
+
+const HASHTABLE_METHODS = {
+  Add: (h, k, v) => {
+    const existing = findKey(h, k);
+    if (existing !== undefined) {
+      throw new RuntimeException(`Item has already been added. Key in dictionary: '${existing}'  Key being added: '${varToString(k)}'`);
+    }
+    h[varToString(k)] = v;
+    return null;
+  },
+  Clear:         h => { Object.keys(h).forEach(k => delete h[k]); return null; },
+  Contains:      (h, k) => findKey(h, k) !== undefined,
+  ContainsKey:   (h, k) => findKey(h, k) !== undefined,
+  ContainsValue: (h, v) => Object.values(h).some(x => valuesEqual(x, v)),
+  Remove:        (h, k) => { const key = findKey(h, k); if (key !== undefined) delete h[key]; return null; },
+};
+
+const addToDate = (d, n, unit) => new Date(d.getTime() + toNumber(n) * unit);
+const DATE_METHODS = {
+  AddDays:    (d, n) => addToDate(d, n, 86400000),
+  AddHours:   (d, n) => addToDate(d, n, 3600000),
+  AddMinutes: (d, n) => addToDate(d, n, 60000),
+  AddSeconds: (d, n) => addToDate(d, n, 1000),
+  AddMilliseconds: (d, n) => addToDate(d, n, 1),
+  AddMonths:  (d, n) => { const r = new Date(d); r.setMonth(r.getMonth() + toNumber(n)); return r; },
+  AddYears:   (d, n) => { const r = new Date(d); r.setFullYear(r.getFullYear() + toNumber(n)); return r; },
+  ToShortDateString: d => formatDate(d, 'd'),
+  ToShortTimeString: d => formatDate(d, 't'),
+  ToLongDateString:  d => formatDate(d, 'D'),
+  ToLongTimeString:  d => formatDate(d, 'T'),
+};
+
+const SCRIPTBLOCK_METHODS = {
+  Invoke: (sb, ...args) => unwrapOutput(collect(invokeScriptBlock(sb, args, {}, null))),
+};
+
+// [System.Text.Encoding]::UTF8 and friends
+function textEncoding(EncodingName, WebName) {
+  return psObject('System.Text.Encoding', { EncodingName, WebName });
+}
+
+const ENCODING_METHODS = {
+  GetBytes: (e, s) => Array.from(encodeText(varToString(s), e.WebName)),
+  GetString: (e, bytes) => decodeBytes(toBytes(bytes), e.WebName),
+  GetByteCount: (e, s) => encodeText(varToString(s), e.WebName).length,
+};
+
+// $PSStyle: the escape sequences behind coloured script output
+const PSSTYLE_TYPE = 'System.Management.Automation.PSStyle';
+function psStyleColors(kind, base) {
+  const props = {};
+  ['Black','Red','Green','Yellow','Blue','Magenta','Cyan','White'].forEach((c, i) => {
+    props[c] = `\x1b[${base + i}m`;
+    props['Bright' + c] = `\x1b[${base + 60 + i}m`;
+  });
+  return psObject(`${PSSTYLE_TYPE}+${kind}Color`, props);
+}
+const PS_STYLE = psObject(PSSTYLE_TYPE, {
+  Reset: '\x1b[0m',
+  Bold: '\x1b[1m', BoldOff: '\x1b[22m',
+  Dim: '\x1b[2m', DimOff: '\x1b[22m',
+  Italic: '\x1b[3m', ItalicOff: '\x1b[23m',
+  Underline: '\x1b[4m', UnderlineOff: '\x1b[24m',
+  Reverse: '\x1b[7m', ReverseOff: '\x1b[27m',
+  Strikethrough: '\x1b[9m', StrikethroughOff: '\x1b[29m',
+  OutputRendering: 'Host',
+  Foreground: psStyleColors('Foreground', 30),
+  Background: psStyleColors('Background', 40),
+});
+
+// $PSStyle.Foreground.FromRgb(r, g, b) or FromRgb(0xRRGGBB)
+const PSSTYLE_COLOR_METHODS = {
+  FromRgb: (c, r, g, b) => {
+    const rgb = g === undefined ? [toNumber(r) >> 16, toNumber(r) >> 8, toNumber(r)].map(v => v & 255) : [r, g, b].map(toNumber);
+    return `\x1b[${c[PS_TYPE].endsWith('+ForegroundColor') ? 38 : 48};2;${rgb.join(';')}m`;
+  },
+};
+
+// .Where() and .ForEach() work on any value; a scalar is a one-item collection
+const WHERE_MODES = ['Default', 'First', 'Last', 'SkipUntil', 'Until', 'Split'];
+const itemsOf = v => Array.isArray(v) ? v : [v];
+const runWithItem = (sb, item) => collect(streamInScope(blockScope({ _: item, PSItem: item }), runBody(sb.statements)));
+
+const INTRINSIC_METHODS = {
+  Where: (v, filter, mode = 'Default', count = 0) => {
+    if (!(filter instanceof ScriptBlock)) throw new RuntimeException('Where(): the expression argument must be a script block.');
+    const m = WHERE_MODES.find(x => x.toLowerCase() === varToString(mode).toLowerCase());
+    if (!m) throw new RuntimeException(`Cannot convert value "${varToString(mode)}" to type "System.Management.Automation.WhereOperatorSelectionMode". Specify one of the following enumerator names and try again: ${WHERE_MODES.join(', ')}`);
+    const n = Math.trunc(toNumber(count));
+    const items = itemsOf(v);
+    const hits = items.map(item => isTruthy(unwrapOutput(runWithItem(filter, item))));
+    const at = hits.indexOf(true);
+    switch (m) {
+      case 'First': { const out = items.filter((_, i) => hits[i]); return out.slice(0, n || 1); }
+      case 'Last':  { const out = items.filter((_, i) => hits[i]); return out.slice(-(n || 1)); }
+      case 'SkipUntil': { const out = at < 0 ? [] : items.slice(at); return n ? out.slice(0, n) : out; }
+      case 'Until': { const out = at < 0 ? items : items.slice(0, at); return n ? out.slice(0, n) : out; }
+      case 'Split': {
+        const matched = [], rest = [];
+        items.forEach((item, i) => (hits[i] && (!n || matched.length < n) ? matched : rest).push(item));
+        return [matched, rest];
+      }
+      default: { const out = items.filter((_, i) => hits[i]); return n ? out.slice(0, n) : out; }
+    }
+  },
+  // ForEach({ ... }), ForEach('Property') or ForEach('Method', args...)
+  ForEach: (v, action, ...args) => {
+    if (action === undefined) throw new RuntimeException('ForEach(): an expression argument is required.');
+    return itemsOf(v).flatMap(item => {
+      if (action instanceof ScriptBlock) return runWithItem(action, item);
+      const name = varToString(action);
+      const isMethod = args.length || (getProperty(item, name) === null && findKey(methodTable(item), name) !== undefined);
+      return [isMethod ? callMethod(item, name, args) : getProperty(item, name)];
+    });
+  },
+};
+
+function methodTable(v) {
+  if (typeof v === 'string') return STRING_METHODS;
+  if (v?.[PS_TYPE] === 'System.Text.Encoding') return ENCODING_METHODS;
+  if (v?.[PS_TYPE]?.startsWith(PSSTYLE_TYPE + '+')) return PSSTYLE_COLOR_METHODS;
+  if (Array.isArray(v)) return ARRAY_METHODS;
+  if (v instanceof Date) return DATE_METHODS;
+  if (v instanceof ScriptBlock) return SCRIPTBLOCK_METHODS;
+  if (isHashtable(v)) return HASHTABLE_METHODS;
+  return {};
+}
+
+function callMethod(v, name, args) {
+  if (v === null || v === undefined) throw new RuntimeException('You cannot call a method on a null-valued expression.');
+  const table = methodTable(v);
+  const key = findKey(table, name);
+  if (key !== undefined) return table[key](v, ...args);
+  const intrinsic = findKey(INTRINSIC_METHODS, name);
+  if (intrinsic !== undefined) return INTRINSIC_METHODS[intrinsic](v, ...args);
+  const lower = name.toLowerCase();
+  if (lower === 'tostring') return args.length ? formatValue(v, varToString(args[0])) : varToString(v);
+  if (lower === 'gettype') return typeLiteral(typeNameOf(v));
+  // Member enumeration: ('a','b').ToUpper()
+  if (Array.isArray(v) && v.length) return v.map(item => callMethod(item, name, args));
+  throw new RuntimeException(`Method invocation failed because [${typeNameOf(v)}] does not contain a method named '${name}'.`);
+}
+
+// [Type]::Member — properties are values or getters, methods are functions
+const STATIC_MEMBERS = {
+  math: {
+    PI: Math.PI, E: Math.E,
+    Abs: x => Math.abs(toNumber(x)),
+    Ceiling: x => Math.ceil(toNumber(x)),
+    Floor: x => Math.floor(toNumber(x)),
+    Max: (a, b) => Math.max(toNumber(a), toNumber(b)),
+    Min: (a, b) => Math.min(toNumber(a), toNumber(b)),
+    Pow: (a, b) => Math.pow(toNumber(a), toNumber(b)),
+    Round: (x, digits = 0) => bankersRound(toNumber(x), toNumber(digits)),
+    Sqrt: x => Math.sqrt(toNumber(x)),
+    Truncate: x => Math.trunc(toNumber(x)),
+    Log: x => Math.log(toNumber(x)),
+    Log10: x => Math.log10(toNumber(x)),
+  },
+  datetime: {
+    get Now() { return new Date(); },
+    get Today() { const d = new Date(); return new Date(d.getFullYear(), d.getMonth(), d.getDate()); },
+    Parse: s => castValue('datetime', s),
+  },
+  string: {
+    Empty: '',
+    IsNullOrEmpty: s => s === null || s === undefined || s === '',
+    IsNullOrWhiteSpace: s => s === null || s === undefined || varToString(s).trim() === '',
+    Join: (sep, ...items) => items.flat().map(varToString).join(varToString(sep)),
+    Format: (fmt, ...values) => formatOperator(varToString(fmt), values.flat()),
+  },
+  int: { MaxValue: 2147483647, MinValue: -2147483648, Parse: s => castValue('int', s) },
+  int32: { MaxValue: 2147483647, MinValue: -2147483648, Parse: s => castValue('int', s) },
+  double: { Parse: s => castValue('double', s) },
+  environment: { NewLine: '\r\n', MachineName: 'PSTOGO-PC', UserName: 'PSUser' },
+  convert: {
+    ToBase64String: bytes => bytesToBase64(toBytes(bytes)),
+    FromBase64String: s => Array.from(base64ToBytes(varToString(s))),
+    ToInt32: (v, base = 10) => typeof v === 'string' ? parseInt(v, toNumber(base)) : castValue('int', v),
+    ToString: (v, base) => base === undefined ? varToString(v) : toNumber(v).toString(toNumber(base)),
+  },
+  'text.encoding': {
+    UTF8: textEncoding('Unicode (UTF-8)', 'utf-8'),
+    ASCII: textEncoding('US-ASCII', 'us-ascii'),
+    Unicode: textEncoding('Unicode', 'utf-16le'),
+    BigEndianUnicode: textEncoding('Unicode (Big-Endian)', 'utf-16be'),
+    UTF32: textEncoding('Unicode (UTF-32)', 'utf-32le'),
+    Latin1: textEncoding('Western European (ISO)', 'iso-8859-1'),
+    get Default() { return this.UTF8; },
+  },
+};
+
+// `args` is null for a property reference, an array for a call
+function staticMember(type, name, args) {
+  const members = STATIC_MEMBERS[shortTypeKey(type)] ?? exceptionMembers(type);
+  if (!members) throw new RuntimeException(`Unable to find type [${type}].`);
+  const key = findKey(members, name);
+  const member = key === undefined ? undefined : members[key];
+  if (args === null) return typeof member === 'function' ? null : (member ?? null);
+  if (typeof member !== 'function') {
+    throw new RuntimeException(`Method invocation failed because [${typeLiteral(type).FullName}] does not contain a method named '${name}'.`);
+  }
+  return member(...args);
+}
+
+// ── Expression parser (no eval / Function constructor) ───────
+// Expressions are tokenised and parsed by recursive descent into a small
+// tree that evalNode walks. ( ), $( ), @( ), @{ } and { } keep their inner
+// text, which is handed back to the statement machinery when evaluated.
+//
+// Precedence, loosest first:
+//   -and -or -xor
+//   comparison, -match, -replace, -split, -join, -in, -is, -as, -band ...
+//   + -
+//   * / %
+//   -f
+//   ..
+//   ,
+//   unary: -not ! - + -split -join [cast]
+//   postfix: .Member .Method() [index] ::Static
+
+const DASH_OPERATORS = new Set([
+  'and','or','xor','not','band','bor','bxor','bnot','shl','shr','f','is','isnot','as','join',
+]);
+// Operators that also come in -c (case-sensitive) and -i forms
+const CASE_OPERATORS = new Set([
+  'eq','ne','gt','ge','lt','le','like','notlike','match','notmatch',
+  'contains','notcontains','in','notin','replace','split',
+]);
+const COMPARISON_OPERATORS = [
+  ...CASE_OPERATORS, 'is','isnot','as','join','band','bor','bxor','shl','shr',
+];
+
+function dashOperator(word) {
+  const w = word.toLowerCase();
+  if (DASH_OPERATORS.has(w) || CASE_OPERATORS.has(w)) return { v: w, cs: false };
+  if ((w[0] === 'c' || w[0] === 'i') && CASE_OPERATORS.has(w.slice(1))) return { v: w.slice(1), cs: w[0] === 'c' };
+  return null;
+}
+
+function stringToken(raw) {
+  if (raw[0] === '@') {
+    // Here-string: the text between the opening and closing lines
+    const body = raw.slice(2, -2).replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, '');
+    return raw[1] === "'" ? { t:'str', v: body } : { t:'xstr', v: body };
+  }
+  const body = raw.slice(1, -1);
+  return raw[0] === "'" ? { t:'str', v: body.replace(/''/g, "'") } : { t:'xstr', v: body };
+}
+
+const SIZE_SUFFIXES = { kb: 2 ** 10, mb: 2 ** 20, gb: 2 ** 30, tb: 2 ** 40, pb: 2 ** 50 };
+
+// Tokens carry `ws`: whether blank space comes before them, since
+// `$a[0]` indexes but `$a [0]` does not
+function lexExpression(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '`' && /[\r\n]/.test(src[i+1] ?? '')) { i += 2; continue; }
+    if (isCommentStart(src, i)) { i = skipComment(src, i); continue; }
+    const start = i;
+    const rest  = src.slice(i);
+    let tok, m;
+    if (isStringStart(src, i)) {
+      i = skipString(src, i);
+      tok = stringToken(src.slice(start, i));
+    } else if ((c === '$' || c === '@') && (src[i+1] === '(' || (c === '@' && src[i+1] === '{'))) {
+      i = skipBalanced(src, i + 1);
+      tok = { t:'group', kind: c + src[start+1], text: src.slice(start + 2, i - 1) };
+    } else if (c in BRACKET_PAIRS) {
+      i = skipBalanced(src, i);
+      if (src[i-1] !== BRACKET_PAIRS[c]) throw new SyntaxError(`Missing closing '${BRACKET_PAIRS[c]}' in expression.`);
+      tok = { t:'group', kind: c, text: src.slice(start + 1, i - 1) };
+    } else if ((m = rest.match(/^\$(?:\{([^}]*)\}|((?:env|global|script|local|private):[A-Za-z_]\w*|[A-Za-z_]\w*|[?$^]))/i))) {
+      i += m[0].length;
+      tok = { t:'var', name: m[1] ?? m[2] };
+    } else if ((m = rest.match(/^(0x[0-9a-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)(kb|mb|gb|tb|pb)?(?!\w)/i))) {
+      i += m[0].length;
+      tok = { t:'num', v: Number(m[1]) * (SIZE_SUFFIXES[m[2]?.toLowerCase()] ?? 1) };
+    } else if ((m = rest.match(/^-([A-Za-z]+)(?![\w-])/)) && dashOperator(m[1])) {
+      i += m[0].length;
+      tok = { t:'op', ...dashOperator(m[1]) };
+    } else if ((m = rest.match(/^(\.\.|::|[+\-*/%!,.])/))) {
+      i += m[0].length;
+      tok = { t:'op', v: m[0] };
+    } else if ((m = rest.match(/^[A-Za-z_]\w*/))) {
+      i += m[0].length;
+      tok = { t:'word', v: m[0] };
+    } else {
+      throw new SyntaxError(`Unexpected token '${rest.split(/\s/)[0]}' in expression or statement.`);
+    }
+    tok.ws = start === 0 || /\s/.test(src[start-1]);
+    tok.src = src.slice(start, i);
+    tokens.push(tok);
+  }
+  return tokens;
+}
+
+function parseExpression(src) {
+  const tokens = lexExpression(src);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (...ops) => peek()?.t === 'op' && ops.includes(peek().v);
+  const fail = tok => {
+    throw new SyntaxError(tok
+      ? `Unexpected token '${tok.src}' in expression or statement.`
+      : 'You must provide a value expression following the operator.');
+  };
+  const isValueStart = tok => tok && (['num','str','xstr','var','group'].includes(tok.t) ||
+    (tok.t === 'op' && ['-','+','!','not','bnot','split','join'].includes(tok.v)));
+
+  function binaryLevel(ops, operand, type = 'bin') {
+    return () => {
+      let left = operand();
+      while (isOp(...ops)) {
+        const { v, cs } = next();
+        left = { t: type, op: v, cs, l: left, r: operand() };
+      }
+      return left;
+    };
+  }
+
+  // A leading comma (`,@(1,2)`) wraps its operand in a one-item array
+  function parseArrayItem() {
+    if (!isOp(',')) return parseUnary();
+    next();
+    return { t:'array', items: [parseUnary()] };
+  }
+
+  function parseArray() {
+    const first = parseArrayItem();
+    if (!isOp(',')) return first;
+    const items = [first];
+    while (isOp(',')) { next(); items.push(parseArrayItem()); }
+    return { t:'array', items };
+  }
+
+  function parseRange() {
+    const left = parseArray();
+    if (!isOp('..')) return left;
+    next();
+    return { t:'range', l: left, r: parseArray() };
+  }
+
+  const parseFormat         = binaryLevel(['f'], parseRange);
+  const parseMultiplicative = binaryLevel(['*','/','%'], parseFormat);
+  const parseAdditive       = binaryLevel(['+','-'], parseMultiplicative);
+  const parseComparison     = binaryLevel(COMPARISON_OPERATORS, parseAdditive);
+  const parseLogical        = binaryLevel(['and','or','xor'], parseComparison, 'logic');
+
+  function parseUnary() {
+    const tok = peek();
+    if (!tok) fail();
+    if (tok.t === 'op' && ['!','not','-','+','bnot','split','join'].includes(tok.v)) {
+      next();
+      return { t:'unary', op: tok.v, x: parseUnary() };
+    }
+    // [type]value is a cast; [type] alone is a type literal
+    if (tok.t === 'group' && tok.kind === '[' && isValueStart(tokens[pos+1])) {
+      next();
+      return { t:'cast', type: tok.text.trim(), x: parseUnary() };
+    }
+    return parsePostfix(parsePrimary());
+  }
+
+  function parsePrimary() {
+    const tok = next();
+    if (!tok) fail();
+    switch (tok.t) {
+      case 'num':
+      case 'str':   return { t:'const', v: tok.v };
+      case 'xstr':  return { t:'xstr', v: tok.v };
+      case 'var':   return { t:'var', name: tok.name };
+      case 'group': return tok.kind === '[' ? { t:'type', name: tok.text.trim() } : { t:'group', kind: tok.kind, text: tok.text };
+    }
+    fail(tok);
+  }
+
+  function parseMemberName() {
+    const tok = next();
+    if (tok?.t === 'word') return { t:'const', v: tok.v };
+    if (tok && ['str','xstr','var'].includes(tok.t)) { pos--; return parsePrimary(); }
+    if (tok?.t === 'group' && tok.kind === '(') return { t:'group', kind:'(', text: tok.text };
+    fail(tok);
+  }
+
+  function parsePostfix(node) {
+    for (;;) {
+      const tok = peek();
+      if (!tok || tok.ws) return node;
+      if (tok.t === 'op' && (tok.v === '.' || tok.v === '::')) {
+        next();
+        const name = parseMemberName();
+        const call = peek();
+        const isStatic = tok.v === '::';
+        if (call?.t === 'group' && call.kind === '(' && !call.ws) {
+          next();
+          node = { t: isStatic ? 'scall' : 'call', obj: node, name, args: call.text };
+        } else {
+          node = { t: isStatic ? 'static' : 'member', obj: node, name };
+        }
+      } else if (tok.t === 'group' && tok.kind === '[') {
+        next();
+        node = { t:'index', obj: node, index: tok.text };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  const ast = parseLogical();
+  if (pos < tokens.length) fail(tokens[pos]);
+  return ast;
+}
+
+// Parsed expressions by source text, so loop conditions parse only once
+const expressionCache = new Map();
+
+function compileExpression(src) {
+  let ast = expressionCache.get(src);
+  if (!ast) {
+    ast = parseExpression(src);
+    if (expressionCache.size > 1000) expressionCache.clear();
+    expressionCache.set(src, ast);
+  }
+  return ast;
+}
+
+// ── Expression evaluator ─────────────────────────────────────
+// A statement-terminating error (PowerShell's RuntimeException): the
+// statement stops, the error is reported, and the script carries on.
+// Inside try or under a trap it goes to catch/trap instead. `details` are
+// errorRecord's.
+class RuntimeException extends Error {
+  constructor(message, details) {
+    super(message);
+    this.errorRecord = errorRecord(message, { exception: 'System.Management.Automation.RuntimeException', ...details });
+  }
+}
+
+// An error that ends the whole script rather than the statement: `throw`,
+// or one written while its preference is Stop
+class TerminatingError extends RuntimeException {
+  constructor(record) {
+    super(varToString(record));
+    this.errorRecord = record;
+  }
+}
+
+class ActionPreferenceStopException extends TerminatingError {}
+
+// A parameter argument the command cannot take: terminating for the
+// command, as PowerShell's binder makes it
+function bindingError(message, errorId = 'CannotConvertArgument') {
+  return new RuntimeException(message, {
+    category: 'InvalidArgument',
+    errorId: commandErrorId(errorId),
+    exception: 'System.Management.Automation.ParameterBindingException',
+  });
+}
+
+function evalExpression(text) {
+  return evalNode(compileExpression(text.trim()));
+}
+
+function evalNode(n) {
+  switch (n.t) {
+    case 'const': return n.v;
+    case 'xstr':  return expandString(n.v);
+    case 'var':   return getVariable(n.name) ?? null;
+    case 'group': return evalGroup(n.kind, n.text);
+    case 'type':  return typeLiteral(n.name);
+    case 'array': return n.items.map(evalNode);
+    case 'range': return makeRange(evalNode(n.l), evalNode(n.r));
+    case 'cast':  return castValue(n.type, evalNode(n.x));
+    case 'unary': return evalUnary(n.op, evalNode(n.x));
+    case 'bin':   return evalBinary(n);
+    case 'logic': {
+      const l = isTruthy(evalNode(n.l));
+      if (n.op === 'and') return l && isTruthy(evalNode(n.r));
+      if (n.op === 'or')  return l || isTruthy(evalNode(n.r));
+      return l !== isTruthy(evalNode(n.r));
+    }
+    case 'member': return getProperty(evalNode(n.obj), varToString(evalNode(n.name)));
+    case 'call':   return callMethod(evalNode(n.obj), varToString(evalNode(n.name)), evalArguments(n.args));
+    case 'static':
+    case 'scall': {
+      if (n.obj.t !== 'type') throw new RuntimeException(`Unexpected token '::' in expression or statement.`);
+      return staticMember(n.obj.name, varToString(evalNode(n.name)), n.t === 'scall' ? evalArguments(n.args) : null);
+    }
+    case 'index': return indexValue(evalNode(n.obj), evalExpression(n.index));
+  }
+  return null;
+}
+
+// Method arguments: a comma list is several arguments, not one array
+function evalArguments(text) {
+  if (!text.trim()) return [];
+  const ast = compileExpression(text.trim());
+  return ast.t === 'array' ? ast.items.map(evalNode) : [evalNode(ast)];
+}
+
+function evalGroup(kind, text) {
+  switch (kind) {
+    case '(':  return evalValue(text);
+    case '$(': return unwrapOutput(collect(runStatements(parseScript(text))));
+    case '@(': return collect(runStatements(parseScript(text)));
+    case '@{': return parseHashtable(text);
+    case '{':  return new ScriptBlock(text);
+  }
+  return null;
+}
+
+// @{ Key = value; 'Other Key' = value ... } — entries split on ; or newlines
+function parseHashtable(text) {
+  const table = newHashtable();
+  splitTopLevel(stripComments(text), ';').flatMap(part => splitTopLevel(part, '\n')).forEach(entry => {
+    entry = entry.trim();
+    if (!entry) return;
+    const m = entry.match(/^('(?:[^']|'')*'|"[^"]*"|[\w.-]+)\s*=(?!=)\s*([\s\S]*)$/);
+    if (!m) throw new SyntaxError("Missing '=' operator after key in hash literal.");
+    if (!m[2].trim()) throw new SyntaxError("Missing statement after '=' in hash literal.");
+    const key = /^['"]/.test(m[1]) ? varToString(evalExpression(m[1])) : m[1];
+    table[findKey(table, key) ?? key] = evalValue(m[2]);
+  });
+  return table;
+}
+
+function makeRange(from, to) {
+  const [a, b] = [Math.trunc(toNumber(from)), Math.trunc(toNumber(to))];
+  if (Math.abs(b - a) >= MAX_RANGE_LENGTH) throw new RuntimeException('The range is too large.');
+  return [...rangeItems(a, b)];
+}
+
+// A range's numbers one at a time, so `1..1000000 | Select-Object -First 2`
+// never builds the array
+function* rangeItems(from, to) {
+  const [a, b] = [Math.trunc(toNumber(from)), Math.trunc(toNumber(to))];
+  const step = a <= b ? 1 : -1;
+  for (let n = a; n !== b + step; n += step) yield n;
+}
+
+// The items an expression sends down a pipeline or into foreach: a bare
+// range is streamed, anything else is evaluated now and enumerated
+function expressionItems(text) {
+  const ast = compileExpression(text.trim());
+  return ast.t === 'range' ? rangeItems(evalNode(ast.l), evalNode(ast.r)) : enumerateOutput(evalNode(ast));
+}
+
+function indexValue(v, index) {
+  if (Array.isArray(index)) return index.map(i => indexValue(v, i)).filter(x => x !== null);
+  if (v === null || v === undefined) throw new RuntimeException('Cannot index into a null array.');
+  if (typeof v === 'string' || Array.isArray(v)) {
+    let i = Math.trunc(toNumber(index));
+    if (i < 0) i += v.length;
+    return v[i] ?? null;
+  }
+  if (typeof v === 'object' && !(v instanceof Date)) return getProperty(v, index);
+  // A single value behaves like a one-item array
+  const i = toNumber(index);
+  return i === 0 || i === -1 ? v : null;
+}
+
+function evalUnary(op, v) {
+  switch (op) {
+    case '!':
+    case 'not':   return !isTruthy(v);
+    case '-':     return -toNumber(v);
+    case '+':     return toNumber(v);
+    case 'bnot':  return ~toNumber(v);
+    case 'split': return toArray(v).flatMap(s => varToString(s).trim().split(/\s+/)).filter(Boolean);
+    case 'join':  return toArray(v).map(varToString).join('');
+  }
+  return null;
+}
+
+// -split 'pattern' or -split 'pattern', maxCount
+function splitByPattern(s, pattern, max, cs) {
+  const re = new RegExp(varToString(pattern), cs ? 'g' : 'gi');
+  if (!max || max <= 0) return s.split(re);
+  const out = [];
+  let last = 0, m;
+  while (out.length < max - 1 && (m = re.exec(s)) && m[0] !== '') {
+    out.push(s.slice(last, m.index), ...m.slice(1));
+    last = m.index + m[0].length;
+  }
+  out.push(s.slice(last));
+  return out;
+}
+
+function evalBinary(n) {
+  const { op, cs } = n;
+  const lv = evalNode(n.l);
+  if (op === 'is' || op === 'isnot' || op === 'as') {
+    const type = n.r.t === 'type' ? n.r.name : varToString(evalNode(n.r));
+    if (op === 'as') {
+      try { return castValue(type, lv); } catch (e) { if (e instanceof RuntimeException) return null; throw e; }
+    }
+    return isOfType(lv, type) === (op === 'is');
+  }
+  const rv = evalNode(n.r);
+  switch (op) {
+    case '+': case '-': case '*': case '/': case '%':
+      return applyArithOp(lv, op, rv);
+    case 'f':
+      return formatOperator(varToString(lv), toArray(rv));
+    case 'join':
+      return toArray(lv).map(varToString).join(varToString(rv));
+    case 'split': {
+      const [pattern, max] = Array.isArray(rv) ? rv : [rv];
+      return toArray(lv).flatMap(s => splitByPattern(varToString(s), pattern, toNumber(max), cs));
+    }
+    case 'replace': {
+      const [pattern, replacement = ''] = Array.isArray(rv) ? rv : [rv];
+      const re  = new RegExp(varToString(pattern), cs ? 'g' : 'gi');
+      const rep = varToString(replacement).replace(/\$\{(\w+)\}/g, '$<$1>');
+      const one = s => varToString(s).replace(re, rep);
+      return Array.isArray(lv) ? lv.map(one) : one(lv);
+    }
+    case 'band': return toNumber(lv) & toNumber(rv);
+    case 'bor':  return toNumber(lv) | toNumber(rv);
+    case 'bxor': return toNumber(lv) ^ toNumber(rv);
+    case 'shl':  return toNumber(lv) << toNumber(rv);
+    case 'shr':  return toNumber(lv) >> toNumber(rv);
+  }
+  // With an array on the left, comparisons filter its items
+  if (Array.isArray(lv) && !['contains','notcontains','in','notin'].includes(op)) {
+    return lv.filter(x => compareOp(op, x, rv, cs));
+  }
+  return compareOp(op, lv, rv, cs);
+}
+
+// PowerShell wildcard (* ? [abc]) to an anchored RegExp
+function wildcardToRegex(pattern, flags = 'i') {
+  const body = String(pattern).replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp('^' + body + '$', flags);
+}
+
+function toArray(v) {
+  if (v === null || v === undefined) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function isTruthy(v) {
+  if (v === null || v === undefined) return false;
+  if (Array.isArray(v)) return v.length > 1 || (v.length === 1 && isTruthy(v[0]));
+  if (typeof v === 'string') return v !== '';
+  return !!v;
+}
+
+// Is this statement text a command invocation rather than a value?
+function isCommandText(text) {
+  text = text.trim();
+  if (text[0] === '&' || /^\.\s/.test(text)) return true;
+  const first = text.match(/^[^\s'"$(@\[{|;,]+/)?.[0];
+  if (!first) return false;
+  return !!resolveCommand(first) || isScriptPath(first);
+}
+
+// Does this statement text start with a value rather than a command name?
+function isExpressionText(text) {
+  text = text.trim();
+  return /^([$\d('"\[!,]|@[('"{]|-(\d|not\b|join\b|split\b|bnot\b))/i.test(text) && !isCommandText(text);
+}
+
+// Evaluate text to a value: commands and pipelines run for their output,
+// anything else is parsed as an expression
+function evalValue(text) {
+  text = text.trim();
+  if (!text) return null;
+  if (isCommandText(text) || parsePipeline(text).length > 1) return unwrapOutput(collect(executeCommand(text)));
+  return evalExpression(text);
+}
+
+function evalCondition(text) {
+  return isTruthy(evalValue(text));
+}
+
+// Binary + - * / % with PowerShell's rules: the left operand decides.
+// Arrays append or repeat, hashtables merge, strings concatenate or
+// repeat, everything else is converted to a number.
+function applyArithOp(left, op, right) {
+  if (left === null || left === undefined) {
+    if (op === '+') return Array.isArray(right) ? [...right] : right;
+    left = 0;
+  }
+  if (Array.isArray(left)) {
+    if (op === '+') return left.concat(Array.isArray(right) ? right : [right]);
+    if (op === '*') return Array.from({ length: Math.max(0, toNumber(right)) }, () => left).flat();
+    throw new RuntimeException(`Method invocation failed because [System.Object[]] does not contain a method named 'op_${ARITH_NAMES[op]}'.`);
+  }
+  if (isHashtable(left) && op === '+') {
+    const merged = newHashtable(left);
+    Object.entries(right ?? {}).forEach(([k, v]) => HASHTABLE_METHODS.Add(merged, k, v));
+    return merged;
+  }
+  if (typeof left === 'string') {
+    if (op === '+') return left + varToString(right);
+    if (op === '*') return left.repeat(Math.max(0, toNumber(right)));
+  }
+  const l = toNumber(left), r = toNumber(right);
+  if ((op === '/' || op === '%') && r === 0) {
+    throw new RuntimeException('Attempted to divide by zero.', { errorId: 'RuntimeException', exception: 'System.DivideByZeroException' });
+  }
+  switch (op) {
+    case '+': return l + r;
+    case '-': return l - r;
+    case '*': return l * r;
+    case '/': return l / r;
+    case '%': return l % r;
+  }
+  return null;
+}
+
+const ARITH_NAMES = { '+':'Addition', '-':'Subtraction', '*':'Multiply', '/':'Division', '%':'Modulus' };
+
+// ── Token / Argument Parser ──────────────────────────────────
+function parseArgs(str) {
+  const args = [];
+  let cur = '';
+  let inSingle = false, inDouble = false;
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (c === "'" && !inDouble) { inSingle = !inSingle; continue; }
+    if (c === '"' && !inSingle) { inDouble = !inDouble; continue; }
+    if (c === ' ' && !inSingle && !inDouble) {
+      if (cur) { args.push(cur); cur = ''; }
+    } else {
+      cur += c;
+    }
+  }
+  if (cur) args.push(cur);
+  return args;
+}
+
+// Split a pipeline segment into whitespace-separated tokens, keeping
+// strings, { script blocks }, ( subexpressions ) and comma lists whole
+function tokenizeCommand(seg) {
+  const tokens = [];
+  let i = 0;
+  while (i < seg.length) {
+    while (i < seg.length && /\s/.test(seg[i])) i++;
+    if (i >= seg.length) break;
+    const start = i;
+    while (i < seg.length && !/\s/.test(seg[i])) {
+      if (isStringStart(seg, i)) i = skipString(seg, i);
+      else if (seg[i] in BRACKET_PAIRS) i = skipBalanced(seg, i);
+      else i += seg[i] === '`' ? 2 : 1;
+    }
+    tokens.push(seg.slice(start, i));
+  }
+  // "1, 2, 3" is one argument
+  for (let t = tokens.length - 1; t > 0; t--) {
+    if (tokens[t].startsWith(',') || tokens[t-1].endsWith(',')) {
+      tokens.splice(t - 1, 2, tokens[t-1] + tokens[t]);
+    }
+  }
+  return tokens;
+}
+
+// Turn one argument token into a value
+function evalArgToken(tok) {
+  if (tok[0] === '{' && skipBalanced(tok, 0) === tok.length) return new ScriptBlock(tok.slice(1, -1));
+  const items = splitTopLevel(tok, ',');
+  if (items.length > 1) return items.filter(x => x.trim()).map(evalArgToken);
+  if (/^[$(@]/.test(tok) || isStringStart(tok, 0)) {
+    // $HOME\Documents is not an expression: expand it like a "string"
+    try { compileExpression(tok); } catch (e) { if (e instanceof SyntaxError && tok[0] === '$') return expandString(tok); throw e; }
+    return evalValue(tok);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(tok) || /^-?\d+\.\.-?\d+$/.test(tok)) return evalValue(tok);
+  // Bare word: expand variables, drop quotes around embedded parts
+  return expandVariables(tok).replace(/["']/g, '');
+}
+
+// Parse "Name -Param value -Switch positional" into { name, args, params }.
+// Parameter names are lower-cased; a parameter takes the next token as its
+// value unless that is another parameter, otherwise it is a switch (true).
+function parseCommand(seg) {
+  const tokens = tokenizeCommand(seg);
+  if (!tokens.length) return null;
+  const name   = tokens[0].replace(/^(["'])(.*)\1$/, '$2');
+  const fn     = resolveCommand(name);
+  const args   = [];
+  const params = {};
+  const isParam = t => /^-[A-Za-z_][\w-]*:?$/.test(t) || /^-[A-Za-z_][\w-]*:\S/.test(t);
+  // Parameters are keyed by their declared name, so aliases and unambiguous
+  // prefixes work; a switch never takes the next token as its value
+  for (let i = 1; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!isParam(t)) { args.push(evalArgToken(t)); continue; }
+    const colon = t.indexOf(':');
+    const raw   = colon > 0 ? t.slice(1, colon) : t.slice(1);
+    const param = findParameter(fn, raw);
+    const key   = param?.name.toLowerCase() ?? raw.toLowerCase();
+    if (colon > 0) {
+      const rest = t.slice(colon + 1) || tokens[++i] || '';
+      params[key] = evalArgToken(rest);
+    } else {
+      params[key] = param?.kind !== 'switch' && i + 1 < tokens.length && !isParam(tokens[i+1])
+        ? evalArgToken(tokens[++i]) : true;
+    }
+  }
+  return { name, args, params };
+}
+
+// ── Pipeline parser ──────────────────────────────────────────
+function parsePipeline(line) {
+  // Split on | but not inside strings, script blocks or parentheses
+  return splitTopLevel(line, '|').map(seg => seg.trim()).filter(Boolean);
+}
+
+// Take the redirections out of a pipeline segment:
+//   > file  >> file   success output to a file, replacing or appending
+//   n> file  n>> file  stream n (2 error ... 6 information, * all)
+//   n>&1               stream n joins the success output
+// A target of $null discards the stream.
+const STREAM_NUMBERS = { 1: 'Success', 2: 'Error', 3: 'Warning', 4: 'Verbose', 5: 'Debug', 6: 'Information' };
+
+function parseRedirections(seg) {
+  const redirects = [];
+  let text = '';
+  for (let i = 0; i < seg.length;) {
+    if (isStringStart(seg, i) || seg[i] in BRACKET_PAIRS) {
+      const j = isStringStart(seg, i) ? skipString(seg, i) : skipBalanced(seg, i);
+      text += seg.slice(i, j);
+      i = j;
+      continue;
+    }
+    if (seg[i] === '`') { text += seg.slice(i, i + 2); i += 2; continue; }
+    // A stream number only counts at the start of a word: a2>x is a2 > x
+    const m = seg.slice(i).match(/^([1-6*]?)(>>?)(?:&(\d))?/);
+    if (!m || (m[1] && i > 0 && !/\s/.test(seg[i-1]))) { text += seg[i++]; continue; }
+    i += m[0].length;
+    const streams = m[1] === '*' ? Object.values(STREAM_NUMBERS) : [STREAM_NUMBERS[m[1] || 1]];
+    if (m[3]) {
+      if (m[3] !== '1') throw new SyntaxError(`The '${m[0]}' operator is reserved for future use.`);
+      redirects.push({ streams, merge: true });
+      continue;
+    }
+    while (/\s/.test(seg[i] ?? '')) i++;
+    const start = i;
+    while (i < seg.length && !/\s/.test(seg[i])) {
+      if (isStringStart(seg, i)) i = skipString(seg, i);
+      else if (seg[i] in BRACKET_PAIRS) i = skipBalanced(seg, i);
+      else i += seg[i] === '`' ? 2 : 1;
+    }
+    if (i === start) throw new SyntaxError('Missing file specification after redirection operator.');
+    redirects.push({ streams, append: m[2] === '>>', target: seg.slice(start, i) });
+  }
+  return { text: text.trim(), redirects };
+}
+
+// ── Script parser ────────────────────────────────────────────
+// Turns script text into a list of statement nodes:
+//   { type:'cmd', text }                          pipeline / assignment
+//   { type:'if', clauses:[{ cond, body }], elseBody }
+//   { type:'foreach', varName, expr, body }
+//   { type:'for', init, cond, step, body }
+//   { type:'while', cond, body }
+//   { type:'do', body, cond, until }
+//   { type:'switch', opts, expr, clauses:[{ pattern, body }], defaultBody }
+//   { type:'break' } | { type:'continue' } | { type:'return' | 'exit', text }
+//   { type:'function', kind:'function'|'filter', name, paramText, bodyText, source }
+// Conditions and expressions are kept as text; bodies are parsed eagerly.
+
+const BRACKET_PAIRS = { '(':')', '{':'}', '[':']' };
+
+function isHereStringStart(src, i) {
+  return src[i] === '@' && (src[i+1] === "'" || src[i+1] === '"') &&
+         /^[ \t]*\r?\n/.test(src.slice(i + 2, i + 40));
+}
+
+function isStringStart(src, i) {
+  return src[i] === "'" || src[i] === '"' || isHereStringStart(src, i);
+}
+
+function isCommentStart(src, i) {
+  if (src[i] === '<' && src[i+1] === '#') return true;
+  return src[i] === '#' && (i === 0 || /[\s;{}(]/.test(src[i-1]));
+}
+
+// Index just past the comment starting at src[i]
+function skipComment(src, i) {
+  if (src[i] === '<') {
+    const end = src.indexOf('#>', i + 2);
+    return end < 0 ? src.length : end + 2;
+  }
+  const nl = src.indexOf('\n', i);
+  return nl < 0 ? src.length : nl;
+}
+
+// Index just past the string literal (or here-string) starting at src[i]
+function skipString(src, i) {
+  if (src[i] === '@') {
+    const end = src.indexOf('\n' + src[i+1] + '@', i + 2);
+    return end < 0 ? src.length : end + 3;
+  }
+  const q = src[i];
+  for (i++; i < src.length; i++) {
+    const c = src[i];
+    if (q === '"' && c === '`') { i++; continue; }
+    if (q === '"' && c === '$' && src[i+1] === '(') { i = skipBalanced(src, i + 1) - 1; continue; }
+    if (c === q) {
+      if (src[i+1] === q) { i++; continue; } // doubled quote is an escaped quote
+      return i + 1;
+    }
+  }
+  return src.length;
+}
+
+// Index just past the bracket closing the one at src[i]
+function skipBalanced(src, i) {
+  const open = src[i], close = BRACKET_PAIRS[open];
+  let depth = 0;
+  for (; i < src.length; i++) {
+    const c = src[i];
+    if (isStringStart(src, i)) { i = skipString(src, i) - 1; continue; }
+    if (isCommentStart(src, i)) { i = skipComment(src, i) - 1; continue; }
+    if (c === '`') { i++; continue; }
+    if (c === open) depth++;
+    else if (c === close && --depth === 0) return i + 1;
+  }
+  return src.length;
+}
+
+// Remove comments (outside strings), keeping line breaks
+function stripComments(src) {
+  let out = '';
+  for (let i = 0; i < src.length; i++) {
+    if (isStringStart(src, i)) { const j = skipString(src, i); out += src.slice(i, j); i = j - 1; continue; }
+    if (isCommentStart(src, i)) { i = skipComment(src, i) - 1; continue; }
+    out += src[i];
+  }
+  return out;
+}
+
+// Split on a separator character that is outside strings and brackets
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (isStringStart(text, i)) { i = skipString(text, i) - 1; continue; }
+    if (text[i] in BRACKET_PAIRS) { i = skipBalanced(text, i) - 1; continue; }
+    if (text[i] === '`') { i++; continue; }
+    if (text[i] === sep) { parts.push(text.slice(start, i)); start = i + 1; }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+// Skip blanks; with `newlines` also skip line breaks and comments
+function skipSpace(p, newlines) {
+  const src = p.src;
+  while (p.pos < src.length) {
+    const c = src[p.pos];
+    if (c === ' ' || c === '\t') p.pos++;
+    else if (c === '`' && /^`\r?\n/.test(src.slice(p.pos, p.pos + 3))) p.pos = src.indexOf('\n', p.pos) + 1;
+    else if (newlines && (c === '\n' || c === '\r')) p.pos++;
+    else if (newlines && isCommentStart(src, p.pos)) p.pos = skipComment(src, p.pos);
+    else break;
+  }
+}
+
+function skipSeparators(p) {
+  for (;;) {
+    skipSpace(p, true);
+    if (p.src[p.pos] === ';') p.pos++;
+    else break;
+  }
+}
+
+// Lower-cased keyword at the cursor, or '' when none
+function peekWord(p) {
+  const m = p.src.slice(p.pos).match(/^([A-Za-z]+)(?![\w-])/);
+  return m ? m[1].toLowerCase() : '';
+}
+
+// Next significant character after an optional keyword, without consuming
+function peekAfter(p, len) {
+  const save = p.pos;
+  p.pos += len;
+  skipSpace(p, false);
+  const c = p.src[p.pos];
+  p.pos = save;
+  return c;
+}
+
+function expectBracket(p, open, what) {
+  skipSpace(p, true);
+  if (p.src[p.pos] !== open) {
+    throw new SyntaxError(`Missing '${open}' ${what}.`);
+  }
+  const end = skipBalanced(p.src, p.pos);
+  if (p.src[end - 1] !== BRACKET_PAIRS[open]) {
+    throw new SyntaxError(`Missing closing '${BRACKET_PAIRS[open]}' ${what}.`);
+  }
+  const inner = p.src.slice(p.pos + 1, end - 1);
+  p.pos = end;
+  return inner;
+}
+
+function readCondition(p, keyword) {
+  return expectBracket(p, '(', `after '${keyword}'`).trim();
+}
+
+// The [Type], [Type2] list of a catch or trap; empty catches everything
+function readExceptionTypes(p) {
+  const types = [];
+  for (;;) {
+    skipSpace(p, true);
+    const m = p.src.slice(p.pos).match(/^\[\s*([A-Za-z_][\w.]*)\s*\]\s*,?/);
+    if (!m) return types;
+    types.push(m[1]);
+    p.pos += m[0].length;
+  }
+}
+
+// Where text just read with expectBracket starts in the script, for the
+// positions of the statements parsed from it
+function innerOrigin(p, inner) {
+  return { root: p.root, base: p.base + p.pos - 1 - inner.length };
+}
+
+function readBlock(p, keyword) {
+  const inner = expectBracket(p, '{', `for the '${keyword}' statement block`);
+  return parseScript(inner, innerOrigin(p, inner));
+}
+
+// One pipeline or assignment: up to a newline or ; outside brackets and
+// strings. A trailing | or ` carries the statement onto the next line.
+function readSimpleStatement(p) {
+  const src = p.src;
+  let out = '';
+  let i = p.pos;
+  for (; i < src.length; i++) {
+    const c = src[i];
+    if (isStringStart(src, i)) { const j = skipString(src, i); out += src.slice(i, j); i = j - 1; continue; }
+    if (isCommentStart(src, i)) { i = skipComment(src, i) - 1; continue; }
+    if (c in BRACKET_PAIRS) { const j = skipBalanced(src, i); out += src.slice(i, j); i = j - 1; continue; }
+    if (c === '`' && (src[i+1] === '\n' || src[i+1] === '\r')) {
+      i = src.indexOf('\n', i); out += ' ';
+      if (i < 0) i = src.length;
+      continue;
+    }
+    if (c === '`') { out += c + (src[i+1] ?? ''); i++; continue; }
+    if (c === ';' || c === '}') break;
+    if (c === '\n') {
+      if (out.trimEnd().endsWith('|')) { out += ' '; continue; }
+      break;
+    }
+    if (c !== '\r') out += c;
+  }
+  p.pos = i;
+  return { type:'cmd', text: out.trim() };
+}
+
+function parseSwitchBody(text, origin) {
+  const p = { src: text, pos: 0, ...origin };
+  const clauses = [];
+  let defaultBody = null;
+  for (;;) {
+    skipSeparators(p);
+    if (p.pos >= text.length) break;
+    let pattern;
+    const c = text[p.pos];
+    if (peekWord(p) === 'default' && peekAfter(p, 7) === '{') {
+      p.pos += 7;
+      defaultBody = readBlock(p, 'default');
+      continue;
+    }
+    if (c === '{') {
+      pattern = { kind:'block', text: expectBracket(p, '{', 'in switch condition').trim() };
+    } else if (c === '(') {
+      pattern = { kind:'value', text: expectBracket(p, '(', 'in switch condition') };
+    } else if (isStringStart(text, p.pos)) {
+      const end = skipString(text, p.pos);
+      pattern = { kind:'value', text: text.slice(p.pos, end) };
+      p.pos = end;
+    } else {
+      const m = text.slice(p.pos).match(/^[^\s{]+/);
+      pattern = { kind:'value', text: m[0] };
+      p.pos += m[0].length;
+    }
+    clauses.push({ pattern, body: readBlock(p, 'switch') });
+  }
+  return { clauses, defaultBody };
+}
+
+function parseStatement(p) {
+  const word = peekWord(p);
+  const next = word ? peekAfter(p, word.length) : '';
+
+  if (word === 'if' && next === '(') {
+    p.pos += 2;
+    const clauses = [{ cond: readCondition(p, 'if'), body: readBlock(p, 'if') }];
+    let elseBody = null;
+    for (;;) {
+      const save = p.pos;
+      skipSpace(p, true);
+      const w = peekWord(p);
+      if (w === 'elseif') {
+        p.pos += 6;
+        clauses.push({ cond: readCondition(p, 'elseif'), body: readBlock(p, 'elseif') });
+      } else if (w === 'else') {
+        p.pos += 4;
+        elseBody = readBlock(p, 'else');
+        break;
+      } else {
+        p.pos = save;
+        break;
+      }
+    }
+    return { type:'if', clauses, elseBody };
+  }
+
+  if (word === 'foreach' && next === '(') {
+    p.pos += 7;
+    const head = readCondition(p, 'foreach');
+    const m = head.match(/^\$([A-Za-z_]\w*)\s+in\s+([\s\S]+)$/i);
+    if (!m) throw new SyntaxError(`Expected 'foreach ($item in $collection)' but found 'foreach (${head})'.`);
+    return { type:'foreach', varName: m[1], expr: m[2].trim(), body: readBlock(p, 'foreach') };
+  }
+
+  if (word === 'for' && next === '(') {
+    p.pos += 3;
+    const parts = splitTopLevel(readCondition(p, 'for'), ';').map(s => s.trim());
+    if (parts.length !== 3) throw new SyntaxError(`Expected 'for (init; condition; step)'.`);
+    const [init, cond, step] = parts;
+    return { type:'for', init, cond, step, body: readBlock(p, 'for') };
+  }
+
+  if (word === 'while' && next === '(') {
+    p.pos += 5;
+    const cond = readCondition(p, 'while');
+    return { type:'while', cond, body: readBlock(p, 'while') };
+  }
+
+  if (word === 'do' && next === '{') {
+    p.pos += 2;
+    const body = readBlock(p, 'do');
+    skipSpace(p, true);
+    const w = peekWord(p);
+    if (w !== 'while' && w !== 'until') throw new SyntaxError(`Missing 'while' or 'until' after 'do' block.`);
+    p.pos += w.length;
+    return { type:'do', body, cond: readCondition(p, w), until: w === 'until' };
+  }
+
+  if (word === 'switch' && (next === '(' || next === '-')) {
+    p.pos += 6;
+    const opts = new Set();
+    for (;;) {
+      skipSpace(p, false);
+      const m = p.src.slice(p.pos).match(/^-([A-Za-z]+)/);
+      if (!m) break;
+      opts.add(m[1].toLowerCase());
+      p.pos += m[0].length;
+    }
+    const expr = readCondition(p, 'switch');
+    const inner = expectBracket(p, '{', 'for the switch body');
+    const body = parseSwitchBody(inner, innerOrigin(p, inner));
+    return { type:'switch', opts, expr, ...body };
+  }
+
+  if ((word === 'function' || word === 'filter') && /[\w-]/.test(next ?? '')) {
+    const start = p.pos;
+    p.pos += word.length;
+    skipSpace(p, false);
+    const m = p.src.slice(p.pos).match(/^(?:(?:global|script|local):)?([\w-]+)/i);
+    p.pos += m[0].length;
+    const name = m[1];
+    skipSpace(p, false);
+    const paramText = p.src[p.pos] === '(' ? expectBracket(p, '(', `for function '${name}' parameters`) : null;
+    const bodyText  = expectBracket(p, '{', `for the body of function '${name}'`);
+    return { type:'function', kind: word, name, paramText, bodyText, origin: innerOrigin(p, bodyText), source: p.src.slice(start, p.pos) };
+  }
+
+  if (word === 'try' && next === '{') {
+    p.pos += 3;
+    const body = readBlock(p, 'try');
+    const catches = [];
+    let finallyBody = null;
+    for (;;) {
+      const save = p.pos;
+      skipSpace(p, true);
+      const w = peekWord(p);
+      if (w === 'catch') {
+        p.pos += 5;
+        if (catches.length && !catches.at(-1).types.length) {
+          throw new SyntaxError('A catch block without a type must be the last catch block.');
+        }
+        catches.push({ types: readExceptionTypes(p), body: readBlock(p, 'catch') });
+      } else if (w === 'finally') {
+        p.pos += 7;
+        finallyBody = readBlock(p, 'finally');
+        break;
+      } else {
+        p.pos = save;
+        break;
+      }
+    }
+    if (!catches.length && !finallyBody) throw new SyntaxError('The Try statement is missing its Catch or Finally block.');
+    return { type:'try', body, catches, finallyBody };
+  }
+
+  if (word === 'trap' && (next === '{' || next === '[')) {
+    p.pos += 4;
+    return { type:'trap', types: readExceptionTypes(p), body: readBlock(p, 'trap') };
+  }
+
+  if (word === 'throw') {
+    p.pos += 5;
+    return { type:'throw', text: readSimpleStatement(p).text };
+  }
+
+  if (word === 'break' || word === 'continue') {
+    p.pos += word.length;
+    return { type: word };
+  }
+
+  if (word === 'return' || word === 'exit') {
+    p.pos += word.length;
+    return { type: word, text: readSimpleStatement(p).text };
+  }
+
+  return readSimpleStatement(p);
+}
+
+// `origin` places src in the script it came from ({ root, base }: the
+// script's text and src's offset in it); each statement keeps its position
+// there for error records. trap statements are set apart on nodes.traps.
+function parseScript(src, origin = { root: src, base: 0 }) {
+  const p = { src, pos: 0, ...origin };
+  const nodes = [], traps = [];
+  for (;;) {
+    skipSeparators(p);
+    if (p.pos >= src.length) break;
+    if (src[p.pos] === '}') throw new SyntaxError(`Unexpected token '}' in expression or statement.`);
+    const start = p.pos;
+    const node = parseStatement(p);
+    node.position = { root: p.root, offset: p.base + start, length: p.pos - start };
+    if (node.type === 'trap') traps.push(node);
+    else if (node.type !== 'cmd' || node.text) nodes.push(node);
+  }
+  if (traps.length) nodes.traps = traps;
+  return nodes;
+}
+
+// ── Cmdlet implementations ───────────────────────────────────
+const CMDLETS = {};
+
+// Aliases are kept apart from the commands they name, keyed by lower-case
+// name: { Name, Definition, Description }. BUILTIN_ALIASES holds the ones
+// reg() declared, so saveAliases can store just the user's changes.
+const ALIASES = {};
+const BUILTIN_ALIASES = {};
+
+// meta describes a command for Get-Help, Get-Command -Syntax, the help
+// panel and tab completion:
+//   category, synopsis, description, examples
+//   parameters   each parameter in positional order, as a kind or as
+//                { kind, type, mandatory, aliases }
+//   positional   how many leading non-switch parameters bind by position
+//                (default 1)
+// The kind says what the value is and how completion finds it:
+//   'switch'                 takes no value
+//   'path' / 'text'          a path or free text (completes paths)
+//   'int'                    a number
+//   'directory'              a directory path
+//   'property'               a property of the piped objects
+//   'variable' / 'command'   a variable or command name
+//   [values] / () => values  one of a fixed or computed set
+// The first name is the command's own; the rest are built-in aliases.
+function reg(names, fn, meta={}) {
+  const list = Array.isArray(names) ? names : [names];
+  fn.commandName ??= list[0];
+  fn.meta = meta;
+  CMDLETS[list[0].toLowerCase()] = fn;
+  for (const name of list.slice(1)) {
+    ALIASES[name.toLowerCase()] = BUILTIN_ALIASES[name.toLowerCase()] =
+      { Name: name, Definition: list[0], Description: '' };
+  }
+}
+
+// The command a name runs. Aliases come first, as in PowerShell, and may
+// name other aliases.
+function resolveCommand(name, depth=0) {
+  const lower = String(name).toLowerCase();
+  const alias = ALIASES[lower];
+  if (alias && depth < MAX_CALL_DEPTH) return resolveCommand(alias.Definition, depth + 1);
+  return CMDLETS[lower];
+}
+
+// Names of the aliases that stand for a command
+function aliasesOf(fn) {
+  return Object.values(ALIASES).filter(a => resolveCommand(a.Name) === fn).map(a => a.Name);
+}
+
+const PARAMETER_TYPES = { switch: 'SwitchParameter', int: 'int' };
+
+// A command's parameters as { name, kind, type, mandatory, aliases, position }
+function parameterInfo(fn) {
+  const meta = fn?.meta ?? {};
+  let position = 0;
+  return Object.entries(meta.parameters ?? {}).map(([name, spec]) => {
+    const p = typeof spec === 'object' && !Array.isArray(spec) ? spec : { kind: spec };
+    const positional = p.kind !== 'switch' && position < (meta.positional ?? 1);
+    return {
+      name,
+      kind: p.kind,
+      type: p.type ?? PARAMETER_TYPES[p.kind] ?? 'string',
+      mandatory: p.mandatory === true,
+      aliases: p.aliases ?? [],
+      position: positional ? position++ : undefined,
+    };
+  });
+}
+
+// Parameters every command takes; see commonParameters
+const COMMON_PARAMETERS = parameterInfo({ meta: { positional: 0, parameters: {
+  Verbose:             { kind: 'switch', aliases: ['vb'] },
+  Debug:               { kind: 'switch', aliases: ['db'] },
+  ErrorAction:         { kind: ACTION_PREFERENCES, type: 'ActionPreference', aliases: ['ea'] },
+  WarningAction:       { kind: ACTION_PREFERENCES, type: 'ActionPreference', aliases: ['wa'] },
+  InformationAction:   { kind: ACTION_PREFERENCES, type: 'ActionPreference', aliases: ['infa'] },
+  ErrorVariable:       { kind: 'variable', aliases: ['ev'] },
+  WarningVariable:     { kind: 'variable', aliases: ['wv'] },
+  InformationVariable: { kind: 'variable', aliases: ['iv'] },
+} } });
+
+// Parameters a -Name could mean: an exact name or alias, else every
+// parameter it is a prefix of. Common parameters only match a prefix no
+// declared parameter does.
+function matchParameters(fn, name) {
+  const lower = name.toLowerCase();
+  const infos = parameterInfo(fn);
+  const prefixOf = list => list.filter(p => p.name.toLowerCase().startsWith(lower));
+  const exact = [...infos, ...COMMON_PARAMETERS]
+    .find(p => p.name.toLowerCase() === lower || p.aliases.some(a => a.toLowerCase() === lower));
+  if (exact) return [exact];
+  const declared = prefixOf(infos);
+  return declared.length ? declared : prefixOf(COMMON_PARAMETERS);
+}
+
+// The declared parameter for -Name; undeclared names are left to the command
+function findParameter(fn, name) {
+  const matches = matchParameters(fn, name);
+  if (matches.length > 1) {
+    throw new RuntimeException(`Parameter cannot be processed because the parameter name '${name}' is ambiguous. ` +
+      `Possible matches include: ${matches.map(p => '-' + p.name).join(' ')}.`);
+  }
+  return matches[0];
+}
+
+// ─── Write-Output / echo ─────────────────────────────────────
+reg(['Write-Output','echo','write'], function* (args, params, input) {
+  if (input) yield* input;
+  for (const a of params.inputobject !== undefined ? [params.inputobject] : args) yield* enumerateOutput(a);
+}, {
+  category: 'Output',
+  synopsis: 'Sends objects down the pipeline.',
+  description: 'Sends each object to the next command, or to the console at the end of the pipeline. Arrays are enumerated.',
+  parameters: {
+    InputObject: { kind: 'text', type: 'object[]' },
+  },
+  examples: [
+    'echo "Hello"',
+    'Write-Output 1, 2, 3 | Measure-Object',
+  ],
+});
+
+// ─── Write-Host ──────────────────────────────────────────────
+// Writes to the information stream, which shows it whatever
+// $InformationPreference says; nothing goes down the pipeline. Colours
+// are ConsoleColor names (or their numbers) and render through the same
+// classes as ANSI output.
+reg('Write-Host', (args, params, pipe) => {
+  const style = {};
+  for (const [key, name] of [['fg', 'ForegroundColor'], ['bg', 'BackgroundColor']]) {
+    const value = params[name.toLowerCase()];
+    if (value === undefined) continue;
+    const text = varToString(value);
+    const color = /^\d+$/.test(text) ? CONSOLE_COLORS[Number(text)] : CONSOLE_COLORS.find(c => c.toLowerCase() === text.toLowerCase());
+    if (!color) {
+      throw bindingError(`Cannot bind parameter '${name}'. Cannot convert value "${text}" to type "System.ConsoleColor". Error: "Unable to match the identifier name ${text} to a valid enumerator name. Specify one of the following enumerator names and try again:\n${CONSOLE_COLORS.join(', ')}"`);
+    }
+    style[key] = color;
+  }
+  const separator = params.separator === undefined ? ' ' : varToString(params.separator);
+  const write = v => writeRecord('Information', informationRecord(psObject(HOST_MESSAGE, {
+    Message: toArray(v).flat().map(varToString).join(separator),
+    ForegroundColor: style.fg ?? null,
+    BackgroundColor: style.bg ?? null,
+    NoNewLine: params.nonewline === true,
+  }), 'Write-Host', ['PSHOST']), 'continue');
+  if (params.object !== undefined) write(params.object);
+  else if (pipe !== null) toArray(pipe).forEach(write);
+  else write(args);
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Writes text straight to the console.',
+  description: 'Writes to the console through the information stream; nothing goes down the pipeline, so the text is only captured by redirecting stream 6 (6>&1, 6>file). Arrays are joined with -Separator (a space by default); -NoNewline lets the next output continue the same line.',
+  parameters: {
+    Object: { kind: 'text', type: 'object' },
+    NoNewline: 'switch',
+    Separator: { kind: 'text', type: 'object' },
+    ForegroundColor: { kind: CONSOLE_COLORS, type: 'ConsoleColor' },
+    BackgroundColor: { kind: CONSOLE_COLORS, type: 'ConsoleColor' },
+  },
+  examples: [
+    'Write-Host "Done"',
+    'Write-Host "Warning!" -ForegroundColor Yellow -BackgroundColor DarkRed',
+    'Write-Host "Working... " -NoNewline; Write-Host "done" -ForegroundColor Green',
+    'Write-Host (1, 2, 3) -Separator ", "',
+  ],
+});
+
+// ─── Write-Error ─────────────────────────────────────────────
+// A non-terminating error: it goes to the error stream and $Error, and
+// the command carries on unless -ErrorAction (or $ErrorActionPreference)
+// is Stop
+reg('Write-Error', (args, params) => {
+  const category = varToString(params.category ?? 'NotSpecified');
+  const known = ERROR_CATEGORIES.find(c => c.toLowerCase() === category.toLowerCase());
+  if (!known) {
+    throw bindingError(`Cannot bind parameter 'Category'. Cannot convert value "${category}" to type "System.Management.Automation.ErrorCategory".`);
+  }
+  writeError(varToString(params.message ?? args.map(varToString).join(' ')), {
+    category: known,
+    errorId: params.errorid === undefined ? undefined : varToString(params.errorid),
+    target: params.targetobject ?? null,
+    exception: 'Microsoft.PowerShell.Commands.WriteErrorException',
+  });
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Writes an error.',
+  description: 'Writes a non-terminating error to the error stream. It is added to $Error and makes $? false; redirect it with 2>, or collect it with -ErrorVariable.',
+  parameters: {
+    Message: 'text',
+    Category: ERROR_CATEGORIES,
+    ErrorId: 'text',
+    TargetObject: { kind: 'text', type: 'object' },
+  },
+  examples: [
+    'Write-Error "Something failed"',
+    'Write-Error "Not found" -Category ObjectNotFound -ErrorId NoFile',
+    'Write-Error "Oops" 2>$null; $Error[0].Exception.Message',
+  ],
+});
 
 // ─── Write-Warning ───────────────────────────────────────────
-reg('Write-Warning', (args) => {
-  writeWarning(expandVariables(args.join(' ')));
+reg('Write-Warning', (args, params) => {
+  writeWarning(varToString(params.message ?? args.map(varToString).join(' ')));
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Writes a warning.',
+  parameters: {
+    Message: 'text',
+  },
+  examples: [
+    'Write-Warning "Disk almost full"',
+  ],
+});
+
+// ─── Write-Verbose / Write-Debug ─────────────────────────────
+// Shown only when $VerbosePreference / $DebugPreference is Continue, as
+// -Verbose / -Debug set it for one command
+reg('Write-Verbose', (args, params) => {
+  writeVerbose(varToString(params.message ?? args.map(varToString).join(' ')));
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Writes a verbose message.',
+  description: 'Writes to the verbose stream, which is shown when $VerbosePreference is Continue or the command runs with -Verbose.',
+  parameters: {
+    Message: { kind: 'text', mandatory: true },
+  },
+  examples: [
+    'Write-Verbose "Copying files" -Verbose',
+    '$VerbosePreference = "Continue"',
+  ],
+});
+
+reg('Write-Debug', (args, params) => {
+  writeDebug(varToString(params.message ?? args.map(varToString).join(' ')));
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Writes a debug message.',
+  description: 'Writes to the debug stream, which is shown when $DebugPreference is Continue or the command runs with -Debug.',
+  parameters: {
+    Message: { kind: 'text', mandatory: true },
+  },
+  examples: [
+    'Write-Debug "x is $x" -Debug',
+  ],
+});
+
+// ─── Write-Information ───────────────────────────────────────
+reg('Write-Information', (args, params) => {
+  const data = params.messagedata ?? (args.length > 1 ? args : args[0]);
+  writeRecord('Information', informationRecord(data ?? null, 'Write-Information', toArray(params.tags).map(varToString)));
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Writes to the information stream.',
+  description: 'Writes an InformationRecord, shown when $InformationPreference is Continue or with -InformationAction Continue, and captured by -InformationVariable or 6>.',
+  parameters: {
+    MessageData: { kind: 'text', type: 'object', mandatory: true, aliases: ['Msg', 'Message'] },
+    Tags: { kind: 'text', type: 'string[]' },
+  },
+  examples: [
+    'Write-Information "Starting" -InformationAction Continue',
+    'Write-Information "Step 1" -InformationVariable log; $log.MessageData',
+  ],
+});
+
+// ─── Clear-Host / cls / clear ────────────────────────────────
+reg(['Clear-Host','cls','clear'], () => {
+  const out = outputEl();
+  out.innerHTML = '';
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Clears the console.',
+  examples: [
+    'cls',
+  ],
+});
+
+// ─── Get-Date ────────────────────────────────────────────────
+// Returns a DateTime; -Format returns the formatted string instead
+reg('Get-Date', (args, params) => {
+  const now = params.date !== undefined || args[0] !== undefined
+    ? new Date(varToString(params.date ?? args[0]))
+    : new Date();
+  if (isNaN(now)) { writeError(`Cannot convert '${varToString(params.date ?? args[0])}' to DateTime.`); return null; }
+  const fmt = params.format ?? params.uformat ?? null;
+  return fmt ? formatDate(now, varToString(fmt)) : now;
+}, {
+  category: 'System',
+  synopsis: 'Gets the current date and time.',
+  parameters: {
+    Date: 'text',
+    Format: 'text',
+    UFormat: 'text',
+  },
+  examples: [
+    'Get-Date',
+    'Get-Date -Format "yyyy-MM-dd"',
+    '(Get-Date).Year',
+  ],
+});
+
+// ─── Get-Location / pwd ──────────────────────────────────────
+reg(['Get-Location','pwd','gl'], () => {
+  return psObject('System.Management.Automation.PathInfo', { Path: state.cwd });
+}, {
+  category: 'Navigation',
+  synopsis: 'Gets the current directory.',
+  examples: [
+    'pwd',
+  ],
+});
+
+// ─── Set-Location / cd ───────────────────────────────────────
+reg(['Set-Location','cd','sl'], (args, params) => {
+  let target = varToString(params.path ?? params.literalpath ?? args[0] ?? state.cwd);
+  if (target === '~') target = 'C:\\Users\\PSUser';
+  if (target === '-') target = state.cwd; // simple stub
+  const resolved = resolvePath(target);
+  if (!fsExists(resolved)) { writePathNotFound(resolved); return null; }
+  if (!fsIsDir(resolved))  { writeError(`'${resolved}' is not a directory.`); return null; }
+  state.cwd = displayPath(resolved);
+  return null;
+}, {
+  category: 'Navigation',
+  synopsis: 'Changes the current directory.',
+  parameters: {
+    Path: 'directory',
+    LiteralPath: { kind: 'directory', aliases: ['PSPath'] },
+  },
+  examples: [
+    'cd Documents',
+    'cd ..',
+    'Set-Location C:\\Temp',
+  ],
+});
+
+// ─── Get-ChildItem / ls / dir / gci ──────────────────────────
+// Emits DirectoryInfo then FileInfo objects, each group sorted by name.
+// A directory path lists its contents; a file or wildcard path lists the
+// matching items themselves. -Recurse (or -Depth n) lists each
+// subdirectory after its parent; -Filter/-Include/-Exclude match names and
+// -File/-Directory pick one kind. -Name returns relative paths instead.
+reg(['Get-ChildItem','ls','dir','gci'], (args, params, pipe) => {
+  const keep  = itemNameFilter(params);
+  const kind  = params.file === true ? 'file' : params.directory === true ? 'dir' : null;
+  const depth = params.depth !== undefined ? toNumber(params.depth) : params.recurse === true ? Infinity : 0;
+  const out = [];
+  const emit = (p, base) => {
+    if (!keep(p.split('\\').pop()) || (kind && vfs[p].type !== kind)) return;
+    out.push(params.name === true ? p.slice(base.length + 1) : makeItemInfo(p));
+  };
+  const byName = (a,b) => a.name.localeCompare(b.name);
+  const walk = (dir, level, base) => {
+    const items = fsListDir(dir);
+    const dirs  = items.filter(i => i.type === 'dir').sort(byName);
+    const files = items.filter(i => i.type === 'file').sort(byName);
+    [...dirs, ...files].forEach(i => emit(i.path, base));
+    if (level < depth) dirs.forEach(d => walk(d.path, level + 1, base));
+  };
+  for (const p of cmdletPaths(args, params, pipe, '.')) {
+    if (!fsExists(p)) { writePathNotFound(p); continue; }
+    const parent = p.slice(0, p.lastIndexOf('\\'));
+    const matched = params.literalpath === undefined &&
+      toArray(params.path ?? args[0]).some(a => typeof a === 'string' && hasWildcard(a));
+    if (fsIsDir(p) && !matched) { walk(p, 0, p); continue; }
+    emit(p, parent);
+    if (fsIsDir(p) && depth > 0) walk(p, 1, parent);
+  }
+  return out;
+}, {
+  category: 'Navigation',
+  synopsis: 'Lists the files and folders in a directory.',
+  description: 'Emits DirectoryInfo then FileInfo objects, each group sorted by name. Paths may contain wildcards.',
+  parameters: {
+    Path: 'path',
+    Filter: 'text',
+    Include: 'text',
+    Exclude: 'text',
+    Recurse: { kind: 'switch', aliases: ['s'] },
+    Depth: 'int',
+    File: 'switch',
+    Directory: { kind: 'switch', aliases: ['ad'] },
+    Name: 'switch',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+  },
+  examples: [
+    'ls',
+    'gci -Path C:\\Temp',
+    'ls -Recurse -Filter *.txt',
+    'ls *.log -Name',
+  ],
+});
+
+// ─── New-Item / mkdir / ni ────────────────────────────────────
+// Directories are created with any missing parents; a file needs its
+// parent to exist unless -Force is given
+reg(['New-Item','ni'], (args, params) => {
+  const p    = resolvePath(params.path ?? args[0]);
+  const type = varToString(params.itemtype ?? 'file').toLowerCase();
+  if (fsExists(p)) { writeError(`'${p}' already exists.`); return null; }
+  const parent = p.slice(0, p.lastIndexOf('\\'));
+  const isDir  = type === 'directory' || type === 'dir';
+  writeVerbose(`Performing the operation "Create ${isDir ? 'Directory' : 'File'}" on target "Destination: ${p}".`);
+  if (isDir) {
+    fsMkdirAll(p);
+  } else {
+    if (!fsIsDir(parent)) {
+      if (params.force !== true) { writeError(`Could not find a part of the path '${p}'.`); return null; }
+      fsMkdirAll(parent);
+    }
+    fsWriteFile(p, varToString(params.value ?? ''));
+  }
+  return makeItemInfo(p);
+}, {
+  category: 'Files',
+  synopsis: 'Creates a new file or directory.',
+  description: 'Directories are created with any missing parents. A file whose parent is missing needs -Force.',
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    ItemType: { kind: ['File', 'Directory'], aliases: ['Type'] },
+    Value: 'text',
+    Force: 'switch',
+  },
+  examples: [
+    'ni test.txt',
+    'ni -ItemType Directory myfolder',
+    'New-Item notes.txt -Value "first line"',
+  ],
+});
+
+reg(['mkdir'], (args, params) => {
+  const p = resolvePath(params.path ?? args[0]);
+  if (fsExists(p)) { writeError(`'${p}' already exists.`); return null; }
+  fsMkdirAll(p);
+  return makeItemInfo(p);
+}, {
+  category: 'Files',
+  synopsis: 'Creates a directory and any missing parents.',
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+  },
+  examples: [
+    'mkdir projects\\demo',
+  ],
+});
+
+// ─── Remove-Item / rm / del ──────────────────────────────────
+reg(['Remove-Item','rm','del','ri'], (args, params, pipe) => {
+  const recurse = params.recurse === true;
+  const keep = itemNameFilter(params);
+  const removed = [];
+  for (const p of cmdletPaths(args, params, pipe)) {
+    // ls -Recurse | rm -Recurse: children went with their directory
+    if (!fsExists(p) && removed.some(r => p.startsWith(r + '\\'))) continue;
+    if (!fsExists(p)) { writePathNotFound(p); continue; }
+    if (!keep(p.split('\\').pop())) continue;
+    if (fsIsDir(p) && !recurse && fsListDir(p).length > 0) {
+      writeError(`Directory '${p}' is not empty. Use -Recurse to remove all items.`); continue;
+    }
+    writeVerbose(`Performing the operation "Remove ${fsIsDir(p) ? 'Directory' : 'File'}" on target "${p}".`);
+    fsDelete(p);
+    removed.push(p);
+    writeLine(`Removed: ${p}`, 'line-success');
+  }
+  return null;
+}, {
+  category: 'Files',
+  synopsis: 'Deletes files and directories.',
+  parameters: {
+    Path: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    Recurse: { kind: 'switch', aliases: ['r'] },
+  },
+  examples: [
+    'rm test.txt',
+    'Remove-Item myfolder -Recurse',
+    'rm *.tmp',
+  ],
+});
+
+// ─── Get-Content / cat / type ────────────────────────────────
+// One string per line, or the whole file as one string with -Raw
+// Several paths (or a wildcard) read each file in turn
+reg(['Get-Content','cat','type','gc'], (args, params, pipe) => {
+  const encoding = params.encoding === undefined ? null : lookupEncoding(params.encoding);
+  if (params.encoding !== undefined && !encoding) {
+    throw encodingError(params.encoding);
+  }
+  const out = [];
+  for (const p of cmdletPaths(args, params, pipe)) {
+    if (!fsExists(p))  { writePathNotFound(p); continue; }
+    if (fsIsDir(p))    { writeError(`'${p}' is a directory.`); continue; }
+    out.push(...readContent(p, params, encoding));
+  }
+  return out;
+}, {
+  category: 'Files',
+  synopsis: 'Gets the content of a file.',
+  description: 'Emits one string per line, or the whole file as one string with -Raw.',
+  parameters: {
+    Path: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    TotalCount: { kind: 'int', aliases: ['First', 'Head'] },
+    Tail: { kind: 'int', aliases: ['Last'] },
+    Raw: 'switch',
+    Encoding: encodingNames,
+    AsByteStream: 'switch',
+  },
+  examples: [
+    'cat readme.txt',
+    'gc -Tail 5 notes.txt',
+    'Get-Content data.bin -AsByteStream',
+  ],
+});
+
+function readContent(p, params, encoding) {
+  if (params.asbytestream === true || encoding?.web === null) {
+    const bytes = Array.from(fsGetBytes(p));
+    return params.raw === true ? [bytes] : bytes;
+  }
+  const content = encoding ? decodeBytes(fsGetBytes(p), encoding.web) : fsGetContent(p);
+  if (params.raw === true) return [content];
+  const tail = params.tail ? parseInt(params.tail) : null;
+  const head = params.totalcount;
+  let lines = content.split(/\r?\n/);
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+  if (tail) lines = lines.slice(-tail);
+  if (head) lines = lines.slice(0, parseInt(head));
+  return lines;
+}
+
+// ─── Set-Content / Add-Content ────────────────────────────────
+// Values come from -Value, the arguments after the path, or the pipeline;
+// several values are written one per line. -AsByteStream writes the values
+// as bytes; -Encoding other than UTF-8 stores the encoded bytes.
+function contentValue(args, params, pipe) {
+  if (params.value !== undefined) return params.value;
+  // `f 1,2` passes one array argument; keep it (and a byte array) whole
+  if (args.length === 2) return args[1];
+  return args.length > 2 ? args.slice(1).flatMap(toArray) : pipe;
+}
+
+function contentToWrite(args, params, pipe) {
+  return toArray(contentValue(args, params, pipe)).map(varToString).join('\r\n');
+}
+
+// Returns false after reporting a missing directory; a bad -Encoding throws
+function writeContent(p, args, params, pipe, append) {
+  if (!fsIsDir(p.slice(0, p.lastIndexOf('\\')))) { writeError(`Could not find a part of the path '${p}'.`); return false; }
+  const encoding = params.encoding === undefined ? ENCODINGS.utf8 : lookupEncoding(params.encoding);
+  if (!encoding) {
+    throw encodingError(params.encoding);
+  }
+  if (params.asbytestream === true || encoding.web === null) {
+    fsWriteBytes(p, toBytes(contentValue(args, params, pipe)), append);
+    return true;
+  }
+  writeEncodedText(p, (append ? '\r\n' : '') + contentToWrite(args, params, pipe), encoding, append);
+  return true;
+}
+
+// Plain UTF-8 is stored as text; other encodings as their bytes, with the
+// encoding's BOM at the start of a new file
+function writeEncodedText(p, text, encoding, append) {
+  if (encoding.web === 'utf-8' && !encoding.bom && !vfs[p]?.bytes) {
+    fsWriteFile(p, text, append);
+  } else {
+    const bytes = encodeText(text, encoding.web);
+    fsWriteBytes(p, append || !encoding.bom ? bytes : concatBytes(Uint8Array.from(encoding.bom), bytes), append);
+  }
+}
+
+// A wildcard path writes to every existing file it matches
+reg(['Set-Content','sc'], (args, params, pipe) => {
+  for (const p of cmdletPaths(args, params, null)) {
+    if (!writeContent(p, args, params, pipe, false)) return null;
+    writeLine(`Written to: ${p}`, 'line-success');
+  }
+  return null;
+}, {
+  category: 'Files',
+  synopsis: 'Writes content to a file, replacing what is there.',
+  positional: 2,
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    Value: { kind: 'text', type: 'object[]' },
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    Encoding: encodingNames,
+    AsByteStream: 'switch',
+  },
+  examples: [
+    'sc file.txt "Hello"',
+    'Get-Process | Out-String | Set-Content procs.txt',
+  ],
+});
+
+reg(['Add-Content','ac'], (args, params, pipe) => {
+  for (const p of cmdletPaths(args, params, null)) {
+    if (!writeContent(p, args, params, pipe, true)) return null;
+    writeLine(`Appended to: ${p}`, 'line-success');
+  }
+  return null;
+}, {
+  category: 'Files',
+  synopsis: 'Appends content to a file.',
+  positional: 2,
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    Value: { kind: 'text', type: 'object[]' },
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    Encoding: encodingNames,
+    AsByteStream: 'switch',
+  },
+  examples: [
+    'ac log.txt "Another line"',
+  ],
+});
+
+// ─── Format-Hex ──────────────────────────────────────────────
+// Sixteen bytes per row. Files are read as stored; piped strings are
+// encoded with -Encoding (UTF-8 by default), numbers are taken as bytes.
+function hexRows(label, bytes) {
+  const rows = [];
+  for (let off = 0; off < bytes.length; off += 16) {
+    rows.push(psObject('Microsoft.PowerShell.Commands.ByteCollection', {
+      Label: label, Offset: off, Bytes: Array.from(bytes.subarray(off, off + 16)),
+    }));
+  }
+  return rows;
+}
+
+reg(['Format-Hex','fhx'], (args, params, pipe) => {
+  const encoding = lookupEncoding(params.encoding ?? 'utf8');
+  if (!encoding?.web) {
+    throw encodingError(params.encoding);
+  }
+  const paths = params.path ?? params.literalpath ?? (pipe === null && params.inputobject === undefined ? args[0] : undefined);
+  const rows = [];
+  if (paths !== undefined) {
+    for (const p of cmdletPaths([paths], params, null)) {
+      if (!fsIsFile(p)) { writePathNotFound(p); continue; }
+      rows.push(...hexRows(p, fsGetBytes(p)));
+    }
+    return rows;
+  }
+  const input = params.inputobject ?? pipe;
+  if (typeof input === 'number' || (Array.isArray(input) && input.every(v => typeof v === 'number'))) {
+    return hexRows('Byte[] (System.Byte[])', toBytes(input));
+  }
+  for (const v of toArray(input)) {
+    if (v?.[PS_TYPE] === 'System.IO.FileInfo') rows.push(...hexRows(v.FullName, fsGetBytes(v.FullName)));
+    else rows.push(...hexRows('String (System.String)', encodeText(varToString(v), encoding.web)));
+  }
+  return rows;
+}, {
+  category: 'Files',
+  synopsis: 'Shows the bytes of a file or string in hex.',
+  parameters: {
+    Path: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    InputObject: { kind: 'text', type: 'object' },
+    Encoding: encodingNames,
+  },
+  examples: [
+    'fhx image.png',
+    '"hello" | Format-Hex',
+  ],
+});
+
+// ─── Edit-File / edit / notepad ──────────────────────────────
+// Opens the editor; a path that doesn't exist yet is created on save. Text
+// with a byte order mark (UTF-16, UTF-32, UTF-8 with BOM) is saved back in
+// the same encoding; other files with NUL bytes count as binary.
+reg(['Edit-File','edit','notepad'], (args, params) => {
+  const raw = params.path ?? params.literalpath ?? args[0];
+  if (raw === undefined) { writeError('Specify a file to edit, e.g. edit notes.txt'); return null; }
+  const p = resolvePath(raw);
+  if (fsIsDir(p)) { writeError(`'${p}' is a directory.`); return null; }
+  if (!fsIsDir(p.slice(0, p.lastIndexOf('\\')))) { writeError(`Could not find a part of the path '${p}'.`); return null; }
+  const bytes = vfs[p]?.bytes;
+  if (bytes && !bomEncoding(bytes) && bytes.includes(0)) { writeError(`'${p}' is a binary file; use Format-Hex to inspect it.`); return null; }
+  openEditor(p);
+  return null;
+}, {
+  category: 'Files',
+  synopsis: 'Opens a file in the full-screen editor.',
+  description: 'Ctrl+S saves, Ctrl+F finds and replaces, Esc closes. A file that does not exist yet is created on save.',
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+  },
+  examples: [
+    'edit notes.txt',
+    'notepad $PROFILE',
+  ],
+});
+
+// ─── Select-String / sls ─────────────────────────────────────
+// Searches files (-Path, wildcards, -Recurse under directories) or piped
+// text line by line, emitting a MatchInfo per hit. Piped FileInfo objects
+// are searched as files; anything else is matched as one line of text.
+function selectStringFiles(paths, params) {
+  const keep = itemNameFilter(params);
+  const files = [];
+  const under = dir => Object.keys(vfs).filter(k => vfs[k].type === 'file' && k.startsWith(dir + '\\')).sort();
+  for (const raw of toArray(paths)) {
+    const p = resolvePath(raw?.FullName ?? raw);
+    if (params.recurse === true) {
+      // -Recurse: a directory means every file below it; C:\logs\*.txt
+      // means *.txt at any depth below C:\logs
+      const dir  = fsIsDir(p) ? p : p.slice(0, p.lastIndexOf('\\'));
+      const leaf = fsIsDir(p) ? null : wildcardToRegex(p.split('\\').pop());
+      const found = (hasWildcard(dir) ? globPaths(dir) : [dir]).flatMap(under)
+        .filter(f => !leaf || leaf.test(f.split('\\').pop()));
+      if (!found.length && !fsExists(p)) writePathNotFound(p);
+      files.push(...found);
+      continue;
+    }
+    for (const f of cmdletPaths([raw], { literalpath: params.literalpath === undefined ? undefined : raw }, null)) {
+      if (!fsExists(f)) writePathNotFound(f);
+      else if (fsIsFile(f)) files.push(f);
+      else if (!hasWildcard(p)) writeError(`The file ${f} cannot be read: it is a directory.`);
+    }
+  }
+  return files.filter(f => keep(f.split('\\').pop()));
+}
+
+function regexMatch(m) {
+  return psObject('System.Text.RegularExpressions.Match', {
+    Groups: m.map(g => g ?? ''), Success: true, Index: m.index, Length: m[0].length, Value: m[0],
+  });
+}
+
+// lines: [{ text, number }] from one file or the input stream
+function searchLines(lines, path, regexes, params) {
+  const [pre, post] = (() => {
+    const c = toArray(params.context ?? 0).map(toNumber);
+    return [c[0], c[1] ?? c[0]];
+  })();
+  const results = [];
+  for (let i = 0; i < lines.length; i++) {
+    const { text, number } = lines[i];
+    const re = regexes.find(r => { r.lastIndex = 0; return r.test(text); });
+    if (!!re === (params.notmatch === true)) continue;
+    let matches = [];
+    if (re) {
+      re.lastIndex = 0;
+      matches = params.allmatches === true ? [...text.matchAll(re)] : [text.match(new RegExp(re.source, re.flags.replace('g', '')))];
+    }
+    results.push(psObject('Microsoft.PowerShell.Commands.MatchInfo', {
+      IgnoreCase: params.casesensitive !== true,
+      LineNumber: number,
+      Line: text,
+      Filename: path === 'InputStream' ? 'InputStream' : path.split('\\').pop(),
+      Path: path,
+      Pattern: re ? re.source : regexes[0].source,
+      Context: pre || post ? psObject('Microsoft.PowerShell.Commands.MatchInfoContext', {
+        PreContext: lines.slice(Math.max(0, i - pre), i).map(l => l.text),
+        PostContext: lines.slice(i + 1, i + 1 + post).map(l => l.text),
+      }) : null,
+      Matches: matches.filter(Boolean).map(regexMatch),
+    }));
+    if (params.list === true) break;
+  }
+  return results;
+}
+
+reg(['Select-String','sls'], (args, params, pipe) => {
+  const patterns = toArray(params.pattern ?? args[0]).map(varToString);
+  if (!patterns.length) throw bindingError("Cannot bind argument to parameter 'Pattern' because it is null.", 'ParameterArgumentValidationErrorNullNotAllowed');
+  const flags = 'g' + (params.casesensitive === true ? '' : 'i');
+  let regexes;
+  try {
+    regexes = patterns.map(p => new RegExp(params.simplematch === true ? p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : p, flags));
+  } catch(e) {
+    writeError(`The string ${patterns.join(', ')} is not a valid regular expression: ${e.message}`);
+    return null;
+  }
+  const paths = params.path ?? params.literalpath ?? (params.pattern !== undefined ? args[0] : args[1]);
+  const results = [];
+  if (paths !== undefined) {
+    for (const f of selectStringFiles(paths, params)) {
+      const lines = fsGetContent(f).split(/\r?\n/).map((text, i) => ({ text, number: i + 1 }));
+      if (lines.length > 1 && lines[lines.length - 1].text === '') lines.pop();
+      results.push(...searchLines(lines, f, regexes, params));
+    }
+  } else {
+    const inputs = params.inputobject !== undefined ? toArray(params.inputobject) : toArray(pipe);
+    let text = [];
+    const flushText = () => { results.push(...searchLines(text, 'InputStream', regexes, params)); text = []; };
+    inputs.forEach((v, i) => {
+      if (v?.[PS_TYPE] === 'System.IO.FileInfo') {
+        flushText();
+        const lines = fsGetContent(v.FullName).split(/\r?\n/).map((t, n) => ({ text: t, number: n + 1 }));
+        if (lines.length > 1 && lines[lines.length - 1].text === '') lines.pop();
+        results.push(...searchLines(lines, v.FullName, regexes, params));
+      } else {
+        text.push({ text: varToString(v), number: i + 1 });
+      }
+    });
+    flushText();
+  }
+  if (params.quiet === true) return results.length > 0;
+  if (params.raw === true) return results.map(r => r.Line);
+  return results;
+}, {
+  category: 'Data',
+  synopsis: 'Finds text in files or piped strings.',
+  description: 'Emits MatchInfo objects; -Quiet returns $true/$false and -Raw just the matching lines.',
+  positional: 2,
+  parameters: {
+    Pattern: { kind: 'text', type: 'string[]', mandatory: true },
+    Path: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    InputObject: { kind: 'text', type: 'object' },
+    SimpleMatch: 'switch',
+    CaseSensitive: 'switch',
+    NotMatch: 'switch',
+    AllMatches: 'switch',
+    Context: { kind: 'text', type: 'int[]' },
+    Recurse: 'switch',
+    List: 'switch',
+    Quiet: 'switch',
+    Raw: 'switch',
+    Include: 'text',
+    Exclude: 'text',
+  },
+  examples: [
+    'sls error *.log',
+    'sls TODO C:\\Users\\PSUser -Recurse -Context 1',
+    'cat notes.txt | sls -SimpleMatch "a.b"',
+  ],
+});
+
+// How a MatchInfo is shown: path:line:text (paths relative to the current
+// directory), '> ' marking the hit when there is context around it
+function matchInfoLines(o) {
+  const cwd = normPath(state.cwd) + '\\';
+  const path = o.Path === 'InputStream' ? null : o.Path.startsWith(cwd) ? o.Path.slice(cwd.length) : o.Path;
+  const prefix = n => path ? `${path}:${n}:` : '';
+  const ctx = o.Context;
+  const mark = ctx ? m => m ? '> ' : '  ' : () => '';
+  const before = ctx?.PreContext ?? [], after = ctx?.PostContext ?? [];
+  const plain = (text, n) => ({ text: mark(false) + prefix(n) + text, html: escHtml(mark(false) + prefix(n) + text) });
+  // Highlight each matched range of the line
+  let html = '', last = 0;
+  for (const m of [...o.Matches].sort((a, b) => a.Index - b.Index)) {
+    if (m.Index < last || !m.Length) continue;
+    html += escHtml(o.Line.slice(last, m.Index)) + `<span class="ps-match">${escHtml(m.Value)}</span>`;
+    last = m.Index + m.Length;
+  }
+  html += escHtml(o.Line.slice(last));
+  return [
+    ...before.map((t, i) => plain(t, o.LineNumber - before.length + i)),
+    { text: mark(true) + prefix(o.LineNumber) + o.Line, html: escHtml(mark(true) + prefix(o.LineNumber)) + html },
+    ...after.map((t, i) => plain(t, o.LineNumber + 1 + i)),
+  ];
+}
+
+// ─── Copy-Item / Move-Item ───────────────────────────────────
+// Sources may be wildcards or piped items; the destination defaults to the
+// current directory and must be an existing one for several sources. Copy-Item takes a directory's contents
+// only with -Recurse; Move-Item always moves the whole tree.
+function transferItems(args, params, pipe, verb, transfer) {
+  const positional = params.path === undefined && params.literalpath === undefined && pipe === null ? args.slice(1) : args;
+  const dst = resolvePath(params.destination ?? positional[0] ?? '.');
+  const sources = cmdletPaths(args, params, pipe);
+  if (sources.length > 1 && !fsIsDir(dst)) {
+    writeError(`${verb} failed. '${dst}' must be an existing directory when several items are given.`);
+    return null;
+  }
+  const keep = itemNameFilter(params);
+  for (const src of sources) {
+    if (!fsExists(src)) { writeError(`${verb} failed. Source '${src}' not found.`); continue; }
+    if (!keep(src.split('\\').pop())) continue;
+    writeVerbose(`Performing the operation "${verb} ${fsIsDir(src) ? 'Directory' : 'File'}" on target "Item: ${src} Destination: ${dst}".`);
+    if (!transfer(src, dst)) { writeError(`${verb} failed. Cannot put '${src}' onto itself or inside its own subdirectory.`); continue; }
+    writeLine(`${verb === 'Copy' ? 'Copied' : 'Moved'} '${src}' to '${dst}'`, 'line-success');
+  }
+  return null;
+}
+
+reg(['Copy-Item','cp','cpi','copy'], (args, params, pipe) => {
+  return transferItems(args, params, pipe, 'Copy', (src, dst) => fsCopy(src, dst, params.recurse === true));
+}, {
+  category: 'Files',
+  synopsis: 'Copies files and directories.',
+  positional: 2,
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    Destination: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    Recurse: 'switch',
+  },
+  examples: [
+    'cp a.txt b.txt',
+    'Copy-Item project backup -Recurse',
+    'cp *.txt Documents',
+  ],
+});
+
+reg(['Move-Item','mv','mi','move'], (args, params, pipe) => {
+  return transferItems(args, params, pipe, 'Move', fsMove);
+}, {
+  category: 'Files',
+  synopsis: 'Moves or renames files and directories.',
+  positional: 2,
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    Destination: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+  },
+  examples: [
+    'mv a.txt Documents',
+    'Move-Item old new',
+  ],
+});
+
+// ─── Rename-Item / ren ───────────────────────────────────────
+reg(['Rename-Item','ren','rni'], (args, params) => {
+  const src     = resolvePath(params.path ?? args[0]);
+  const newName = params.newname ?? args[1];
+  if (!newName) { writeError('NewName parameter is required.'); return null; }
+  const parentDir = src.slice(0, src.lastIndexOf('\\'));
+  const dst = normPath(parentDir + '\\' + newName);
+  writeVerbose(`Performing the operation "Rename Item" on target "Item: ${src} Destination: ${dst}".`);
+  if (!fsMove(src, dst)) { writeError(`Rename failed. '${src}' not found.`); return null; }
+  writeLine(`Renamed to: ${dst}`, 'line-success');
+  return null;
+}, {
+  category: 'Files',
+  synopsis: 'Renames a file or directory.',
+  positional: 2,
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    NewName: { kind: 'text', mandatory: true },
+  },
+  examples: [
+    'ren notes.txt todo.txt',
+  ],
+});
+
+// ─── Test-Path ───────────────────────────────────────────────
+// Wildcards pass when anything matches; -PathType Leaf|Container narrows it
+reg('Test-Path', (args, params) => {
+  const p = resolvePath(params.literalpath ?? params.path ?? args[0]);
+  const found = params.literalpath === undefined && hasWildcard(p) ? globPaths(p) : fsExists(p) ? [p] : [];
+  const type = varToString(params.pathtype ?? 'any').toLowerCase();
+  if (type === 'leaf') return found.some(fsIsFile);
+  if (type === 'container') return found.some(fsIsDir);
+  return found.length > 0;
+}, {
+  category: 'Navigation',
+  synopsis: 'Tells whether a path exists.',
+  parameters: {
+    Path: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    PathType: ['Any', 'Container', 'Leaf'],
+  },
+  examples: [
+    'Test-Path notes.txt',
+    'Test-Path C:\\Temp -PathType Container',
+  ],
+});
+
+// ─── Import-File / Export-File ───────────────────────────────
+reg('Import-File', (args, params) => {
+  const dest = resolvePath(params.destination ?? args[0] ?? '.');
+  if (!fsIsDir(dest)) { writeError(`Cannot find directory '${dest}' because it does not exist.`); return null; }
+  pickDeviceFiles(dest, params.directory === true);
+  writeLine(`Choose files to import into ${dest}`, 'line-info');
+  return null;
+}, {
+  category: 'Files',
+  synopsis: 'Copies files from the device into the virtual filesystem.',
+  description: 'Opens the device file picker (-Directory: a folder picker). Files can also be dragged onto the console.',
+  parameters: {
+    Destination: { kind: 'directory', aliases: ['Path'] },
+    Directory: 'switch',
+  },
+  examples: [
+    'Import-File',
+    'Import-File Documents -Directory',
+  ],
+});
+
+reg('Export-File', (args, params, pipe) => {
+  const [p] = cmdletPaths(args, params, pipe);
+  if (p === undefined) return null;
+  if (!fsExists(p)) { writePathNotFound(p); return null; }
+  const name = p.split('\\').pop().replace(/:$/, '') || 'C';
+  if (fsIsFile(p)) {
+    downloadBlob(new Blob([fsGetBytes(p)]), params.filename ?? name);
+    writeLine(`Exported ${p}`, 'line-success');
+    return null;
+  }
+  const { blob, count } = zipDirectory(p);
+  downloadBlob(blob, params.filename ?? name + '.zip');
+  writeLine(`Exported ${p} as ${params.filename ?? name + '.zip'} (${count} files)`, 'line-success');
+  return null;
+}, {
+  category: 'Files',
+  synopsis: 'Downloads a file, or a directory as a .zip.',
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+    FileName: 'text',
+  },
+  examples: [
+    'Export-File notes.txt',
+    'Export-File Documents -FileName docs.zip',
+  ],
+});
+
+// ─── Import-PSToGoSession ────────────────────────────────────
+// Reads an exported session bundle from the VFS (-Path) or, without a path,
+// from a device file picker. -WhatIf only reports the differences.
+reg('Import-PSToGoSession', (args, params) => {
+  const mode = varToString(params.mode ?? 'Merge').toLowerCase();
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw bindingError(`Cannot validate argument on parameter 'Mode'. The argument "${varToString(params.mode)}" does not belong to the set "Merge,Replace".`,
+      'ParameterArgumentValidationError');
+  }
+  const replace = mode === 'replace', whatIf = params.whatif === true;
+  const path = params.path ?? args[0];
+  if (path === undefined) {
+    pickDeviceFile('.json,application/json', async file => importSessionText(await file.text(), file.name, replace, whatIf));
+    writeLine('Choose a session bundle (.json) to import', 'line-info');
+    return null;
+  }
+  const p = resolvePath(path);
+  if (!fsIsFile(p)) { writePathNotFound(p); return null; }
+  importSessionText(fsGetContent(p), p, replace, whatIf);
   return null;
+}, {
+  category: 'Files',
+  synopsis: 'Merges or replaces the session from an exported bundle.',
+  description: 'Without -Path the device file picker opens. -WhatIf only shows what would change.',
+  parameters: {
+    Path: 'path',
+    Mode: ['Merge', 'Replace'],
+    WhatIf: 'switch',
+  },
+  examples: [
+    'Import-PSToGoSession',
+    'Import-PSToGoSession backup.json -Mode Replace -WhatIf',
+  ],
 });
 
-// ─── Clear-Host / cls / clear ────────────────────────────────
-reg(['Clear-Host','cls','clear'], () => {
-  const out = outputEl();
-  out.innerHTML = '';
+// ─── Get-PSDrive ─────────────────────────────────────────────
+// The browser's storage estimate covers the whole origin; fall back to summing
+// the VFS when the estimate isn't available (or hasn't resolved yet).
+reg(['Get-PSDrive','gdr'], (args, params) => {
+  const name = varToString(params.name ?? args[0] ?? '*');
+  const used = storageEstimate?.usage ??
+    Object.values(vfs).reduce((n, e) => n + (e.type === 'file' ? fsSize(e) : 0), 0);
+  const free = storageEstimate ? Math.max(0, storageEstimate.quota - storageEstimate.usage) : null;
+  refreshStorageEstimate();
+  const drive = psObject('System.Management.Automation.PSDriveInfo', {
+    Name: 'C', Used: used, Free: free, Provider: 'FileSystem', Root: 'C:\\',
+    Persisted: !!fsDB,
+  });
+  if (wildcardToRegex(name).test('C')) return drive;
+  writeError(`Cannot find drive. A drive with the name '${name}' does not exist.`);
   return null;
+}, {
+  category: 'Navigation',
+  synopsis: 'Gets the drive and how much storage it uses.',
+  parameters: {
+    Name: ['C'],
+  },
+  examples: [
+    'gdr',
+  ],
 });
 
-// ─── Get-Date ────────────────────────────────────────────────
-reg('Get-Date', (args, params) => {
-  const now = new Date();
-  const fmt = params.format ?? params.uformat ?? null;
-  let result;
-  if (fmt) {
-    result = fmt
-      .replace('yyyy', now.getFullYear())
-      .replace('MM', String(now.getMonth()+1).padStart(2,'0'))
-      .replace('dd', String(now.getDate()).padStart(2,'0'))
-      .replace('HH', String(now.getHours()).padStart(2,'0'))
-      .replace('mm', String(now.getMinutes()).padStart(2,'0'))
-      .replace('ss', String(now.getSeconds()).padStart(2,'0'));
-  } else {
-    result = now.toLocaleString('en-US', {
-      weekday:'short', year:'numeric', month:'long', day:'numeric',
-      hour:'2-digit', minute:'2-digit', second:'2-digit'
+// ─── Get-Variable / $var ─────────────────────────────────────
+// PSVariable objects for user variables, including those inherited from
+// outer scopes; -ValueOnly returns just the values
+// -Scope Global lists just the outermost scope, Local just the current one
+reg(['Get-Variable','gv'], (args, params) => {
+  const name = params.name ?? args[0];
+  const scope = params.scope === undefined ? null : varToString(params.scope).toLowerCase();
+  if (scope && scope !== 'global' && scope !== 'local') {
+    writeError(`The scope '${varToString(params.scope)}' is not valid. Use Global or Local.`);
+    return null;
+  }
+  const vars = scope === 'global' ? globalScope() : scope ? localScope() : state.variables;
+  const names = [];
+  if (scope) names.push(...Object.keys(vars));
+  else for (const n in vars) names.push(n);
+  let matched = names;
+  if (name) {
+    const re = wildcardToRegex(varToString(name));
+    matched = names.filter(n => re.test(n));
+    if (!matched.length) {
+      writeError(`Cannot find a variable with the name '${varToString(name)}'.`, {
+        category: 'ObjectNotFound',
+        errorId: commandErrorId('VariableNotFound'),
+        target: varToString(name),
+        exception: 'System.Management.Automation.ItemNotFoundException',
+      });
+      return null;
+    }
+  }
+  matched.sort((a,b) => a.localeCompare(b));
+  if (params.valueonly === true) return matched.map(n => vars[n]);
+  return matched.map(n => psObject('System.Management.Automation.PSVariable', { Name:n, Value:vars[n] }));
+}, {
+  category: 'Data',
+  synopsis: 'Gets variables.',
+  parameters: {
+    Name: 'variable',
+    ValueOnly: 'switch',
+    Scope: ['Global', 'Local'],
+  },
+  examples: [
+    'Get-Variable',
+    'gv h* -ValueOnly',
+    'Get-Variable -Scope Global',
+  ],
+});
+
+// ─── Set-Variable / sv ───────────────────────────────────────
+reg(['Set-Variable','sv'], (args, params, pipe) => {
+  const name  = params.name ?? args[0];
+  const value = params.value ?? args[1] ?? pipe;
+  if (!name) { writeError('Name is required.'); return null; }
+  setVariable(varToString(name), value);
+  return params.passthru === true ? value : null;
+}, {
+  category: 'Data',
+  synopsis: 'Sets a variable.',
+  positional: 2,
+  parameters: {
+    Name: { kind: 'variable', mandatory: true },
+    Value: { kind: 'text', type: 'object' },
+    PassThru: 'switch',
+  },
+  examples: [
+    'Set-Variable name "value"',
+    'sv count 5',
+  ],
+});
+
+// ─── Remove-Variable / rv ────────────────────────────────────
+reg(['Remove-Variable','rv'], (args, params) => {
+  const name = varToString(params.name ?? args[0] ?? '');
+  if (!name) { writeError('Name is required.'); return null; }
+  const found = findVariable(state.variables, name);
+  if (!found) { writeError(`Variable '${name}' not found.`); return null; }
+  delete found[0][found[1]];
+  writeLine(`Removed variable: ${name}`, 'line-success');
+  return null;
+}, {
+  category: 'Data',
+  synopsis: 'Removes a variable.',
+  parameters: {
+    Name: { kind: 'variable', mandatory: true },
+  },
+  examples: [
+    'Remove-Variable name',
+  ],
+});
+
+// ─── Select-Object ───────────────────────────────────────────
+// Picks properties (wildcards allowed) into new objects, or slices the
+// stream with -First / -Last / -Skip; -First stops upstream early.
+function propertyList(v) {
+  if (v === undefined || v === true) return null;
+  return toArray(v).flatMap(p => p instanceof ScriptBlock ? [p]
+    : isHashtable(p) ? [calculatedProperty(p)]
+    : varToString(p).split(',').map(s => s.trim()).filter(Boolean));
+}
+
+// @{ Name='KB'; Expression={ $_.Length / 1kb } }: keys may be shortened
+// (n, l, e); Sort-Object also reads Ascending/Descending
+class CalculatedProperty {
+  constructor(name, expression, descending) { this.name = name; this.expression = expression; this.descending = descending; }
+}
+const CALCULATED_KEYS = ['Name', 'Label', 'Expression', 'Ascending', 'Descending'];
+
+function calculatedProperty(h) {
+  const entries = {};
+  for (const [k, v] of Object.entries(h)) {
+    const key = k && CALCULATED_KEYS.find(c => c.toLowerCase().startsWith(k.toLowerCase()));
+    if (!key) throw bindingError(`The ${k} key is not valid.`, 'DictionaryKeyUnknown');
+    entries[key === 'Label' ? 'Name' : key] = v;
+  }
+  const expr = entries.Expression;
+  if (expr === undefined) throw bindingError('The Expression key is missing.', 'DictionaryKeyMissing');
+  if (!(expr instanceof ScriptBlock) && typeof expr !== 'string') {
+    throw bindingError(`The Expression key has a type, ${typeNameOf(expr)}, that is not valid; it must be System.String or System.Management.Automation.ScriptBlock.`, 'DictionaryKeyIllegalValue');
+  }
+  const descending = entries.Descending !== undefined ? isTruthy(entries.Descending)
+    : entries.Ascending !== undefined ? !isTruthy(entries.Ascending) : undefined;
+  return new CalculatedProperty(entries.Name !== undefined ? varToString(entries.Name) : propertyLabel(expr), expr, descending);
+}
+
+// Column name and value of a property-list entry
+function propertyLabel(p) {
+  if (p instanceof CalculatedProperty) return p.name;
+  return p instanceof ScriptBlock ? p.text.trim() : p;
+}
+
+function propertyValue(item, p) {
+  const expr = p instanceof CalculatedProperty ? p.expression : p;
+  return expr instanceof ScriptBlock
+    ? unwrapOutput(collect(streamInScope(blockScope({ _: item }), runBody(expr.statements))))
+    : getProperty(item, expr);
+}
+
+reg(['Select-Object','select'], function* (args, params, input) {
+  if (!input) input = enumerateOutput(params.inputobject ?? null);
+  const props  = propertyList(params.property ?? args[0]);
+  const expand = params.expandproperty !== undefined ? varToString(params.expandproperty) : null;
+  const first  = params.first !== undefined ? parseInt(params.first) : null;
+  const last   = params.last  !== undefined ? parseInt(params.last)  : null;
+  let   skip   = params.skip  !== undefined ? parseInt(params.skip)  : 0;
+  const unique = params.unique === true;
+  const seen   = [];
+
+  const project = item => {
+    if (expand) return getProperty(item, expand);
+    if (!props) return item;
+    const out = {};
+    props.forEach(p => {
+      if (typeof p !== 'string') { out[propertyLabel(p)] = propertyValue(item, p); return; }
+      const re = wildcardToRegex(p);
+      const keys = item !== null && typeof item === 'object' ? Object.keys(item).filter(k => re.test(k)) : [];
+      if (keys.length && /[*?]/.test(p)) keys.forEach(k => { out[k] = item[k]; });
+      else out[keys[0] ?? p] = getProperty(item, p);
     });
+    return out;
+  };
+
+  const lastItems = [];
+  let count = 0;
+  for (const item of input) {
+    if (skip > 0) { skip--; continue; }
+    const value = project(item);
+    if (unique) {
+      if (seen.some(s => valuesEqual(s, value))) continue;
+      seen.push(value);
+    }
+    if (last !== null) {
+      lastItems.push(value);
+      if (lastItems.length > last) lastItems.shift();
+      continue;
+    }
+    if (expand) yield* enumerateOutput(value); else yield value;
+    if (first !== null && ++count >= first) return;
   }
-  writeLine(result);
-  return result;
+  for (const v of lastItems) { if (expand) yield* enumerateOutput(v); else yield v; }
+}, {
+  category: 'Data',
+  synopsis: 'Selects properties, or the first/last objects.',
+  parameters: {
+    Property: 'property',
+    ExpandProperty: 'property',
+    First: 'int',
+    Last: 'int',
+    Skip: 'int',
+    Unique: 'switch',
+    InputObject: { kind: 'text', type: 'object' },
+  },
+  examples: [
+    'ls | Select-Object Name, Length',
+    'Get-Process | select -First 3',
+    'ls | select -ExpandProperty Name',
+  ],
 });
 
-// ─── Get-Location / pwd ──────────────────────────────────────
-reg(['Get-Location','pwd','gl'], (args, params, pipe) => {
-  writeLine(state.cwd);
-  return state.cwd;
+// ─── Where-Object / ? ────────────────────────────────────────
+// Where-Object { $_.Length -gt 100 }  or the simplified  Where-Object Length -gt 100
+const WHERE_OPS = ['eq','ne','lt','gt','le','ge','like','notlike','match','notmatch','contains','notcontains','in','notin'];
+
+reg(['Where-Object','where','?'], function* (args, params, input) {
+  const filter = params.filterscript ?? args[0];
+  const op = WHERE_OPS.find(o => o in params);
+  if (!(filter instanceof ScriptBlock) && !op) {
+    writeError('Where-Object: a script block or a property comparison is required.');
+    return;
+  }
+  if (!input) input = enumerateOutput(params.inputobject ?? null);
+  for (const item of input) {
+    const keep = filter instanceof ScriptBlock
+      ? isTruthy(unwrapOutput(collect(streamInScope(blockScope({ _: item }), runBody(filter.statements)))))
+      : compareOp(op, getProperty(item, varToString(params.property ?? filter)), params[op]);
+    if (keep) yield item;
+  }
+}, {
+  category: 'Data',
+  synopsis: 'Filters objects from the pipeline.',
+  description: 'Keeps the objects for which the script block is true, or that pass a comparison such as -eq or -like on a property.',
+  parameters: {
+    FilterScript: { kind: 'text', type: 'scriptblock' },
+    Property: 'property',
+    ...Object.fromEntries(WHERE_OPS.map(op => [op, 'text'])),
+    InputObject: { kind: 'text', type: 'object' },
+  },
+  examples: [
+    'ls | Where-Object { $_.Length -gt 100 }',
+    'Get-Process | ? Name -like "s*"',
+  ],
 });
 
-// ─── Set-Location / cd ───────────────────────────────────────
-reg(['Set-Location','cd','sl'], (args, params) => {
-  let target = params.path ?? params.literalpath ?? args[0] ?? state.cwd;
-  if (target === '~') target = 'C:\\Users\\PSUser';
-  if (target === '-') target = state.cwd; // simple stub
-  const resolved = resolvePath(target);
-  if (!fsExists(resolved)) { writeError(`Cannot find path '${resolved}' because it does not exist.`); return null; }
-  if (!fsIsDir(resolved))  { writeError(`'${resolved}' is not a directory.`); return null; }
-  state.cwd = resolved;
-  updatePromptLabel();
-  return resolved;
+// ─── ForEach-Object / % ──────────────────────────────────────
+// Runs -Begin / -Process / -End blocks with $_ set to each item, or
+// returns one property of each item: ls | % Name
+reg(['ForEach-Object','foreach','%'], function* (args, params, input) {
+  if (!input) { writeError('ForEach-Object requires piped input.'); return; }
+  const blocks = args.filter(a => a instanceof ScriptBlock);
+  const process = params.process ?? (blocks.length > 1 ? blocks[1] : blocks[0]);
+  const begin   = params.begin ?? (blocks.length > 1 ? blocks[0] : null);
+  const end     = params.end   ?? (blocks.length > 2 ? blocks[2] : null);
+  const member  = process === undefined && args[0] !== undefined ? varToString(args[0]) : null;
+  const run = (sb, item) => streamInScope(blockScope({ _: item }), runBody(sb.statements));
+
+  if (begin) yield* run(begin, null);
+  for (const item of input) {
+    if (member) yield* enumerateOutput(getProperty(item, member));
+    else if (process) yield* run(process, item);
+  }
+  if (end) yield* run(end, null);
+}, {
+  category: 'Data',
+  synopsis: 'Runs a script block for each piped object.',
+  description: '$_ is the current object. A property name instead of a block emits that property of each object.',
+  parameters: {
+    Process: { kind: 'text', type: 'scriptblock' },
+    Begin: { kind: 'text', type: 'scriptblock' },
+    End: { kind: 'text', type: 'scriptblock' },
+  },
+  examples: [
+    '1,2,3 | ForEach-Object { $_ * 2 }',
+    'ls | % Name',
+  ],
 });
 
-// ─── Get-ChildItem / ls / dir / gci ──────────────────────────
-reg(['Get-ChildItem','ls','dir','gci'], (args, params) => {
-  const target = resolvePath(params.path ?? params.literalpath ?? args[0] ?? '.');
-  if (!fsExists(target)) { writeError(`Cannot find path '${target}'.`); return null; }
-  if (!fsIsDir(target))  { writeError(`'${target}' is not a directory.`); return null; }
+// ─── Sort-Object ─────────────────────────────────────────────
+// Sorts on one or more properties (or { script block } keys), typed
+reg(['Sort-Object','sort'], (args, params, pipe) => {
+  if (pipe === null) return null;
+  const data  = [...toArray(pipe)];
+  const props = propertyList(params.property ?? args[0]);
+  const desc  = params.descending === true;
+  const keys  = item => props ? props.map(p => propertyValue(item, p)) : [item];
+  const keyed = data.map(item => ({ item, k: keys(item) }));
+  const sameKeys = (a, b) => a.k.every((v, i) => compareValues(v, b.k[i]) === 0);
+  // A calculated property's Descending/Ascending overrides -Descending
+  const descending = i => props?.[i]?.descending ?? desc;
+  keyed.sort((a,b) => {
+    for (let i = 0; i < a.k.length; i++) {
+      const n = compareValues(a.k[i], b.k[i]);
+      if (n !== 0) return descending(i) ? -n : n;
+    }
+    return 0;
+  });
+  // -Unique drops an item only when every key matches the one before it
+  const kept = params.unique === true ? keyed.filter((x, i) => i === 0 || !sameKeys(keyed[i-1], x)) : keyed;
+  return kept.map(x => x.item);
+}, {
+  category: 'Data',
+  synopsis: 'Sorts objects by property values.',
+  parameters: {
+    Property: 'property',
+    Descending: 'switch',
+    Unique: 'switch',
+  },
+  examples: [
+    'ls | Sort-Object Length -Descending',
+    'Get-Process | sort CPU',
+  ],
+});
+
+// ─── Measure-Object ──────────────────────────────────────────
+reg(['Measure-Object','measure'], (args, params, pipe) => {
+  const data = toArray(pipe);
+  const prop = params.property ?? args[0];
+  const sum = params.sum === true, avg = params.average === true,
+        min = params.minimum === true, max = params.maximum === true;
+  const nums = data.map(item => Number(prop ? getProperty(item, varToString(prop)) : item))
+    .filter(n => !isNaN(n));
+  const total = nums.reduce((a,b) => a + b, 0);
+
+  return psObject('Microsoft.PowerShell.Commands.GenericMeasureInfo', {
+    Count:    data.length,
+    Average:  avg && nums.length ? total / nums.length : null,
+    Sum:      sum ? total : null,
+    Maximum:  max && nums.length ? Math.max(...nums) : null,
+    Minimum:  min && nums.length ? Math.min(...nums) : null,
+    Property: prop ? varToString(prop) : null,
+  });
+}, {
+  category: 'Data',
+  synopsis: 'Counts objects and calculates statistics.',
+  parameters: {
+    Property: 'property',
+    Sum: 'switch',
+    Average: 'switch',
+    Maximum: 'switch',
+    Minimum: 'switch',
+    InputObject: { kind: 'text', type: 'object' },
+  },
+  examples: [
+    'Get-Process | Measure-Object -Property CPU -Sum',
+    'ls | measure',
+  ],
+});
+
+// ─── Format-List / fl ────────────────────────────────────────
+// Format-* cmdlets wrap their input in a FormatData object that Out-Default
+// (or Out-String) renders
+function formatData(view, args, params, pipe) {
+  const items = pipe !== null ? toArray(pipe) : toArray(params.inputobject ?? null);
+  const props = propertyList(params.property ?? args[0]);
+  return psObject('FormatData', { view, items, properties: props });
+}
+
+reg(['Format-List','fl'], (args, params, pipe) => {
+  return formatData('list', args, params, pipe);
+}, {
+  category: 'Output',
+  synopsis: 'Formats objects as a list of properties.',
+  parameters: {
+    Property: 'property',
+  },
+  examples: [
+    'Get-Process | Format-List',
+    'ls | fl Name, Length',
+  ],
+});
+
+// ─── Format-Table / ft ───────────────────────────────────────
+reg(['Format-Table','ft'], (args, params, pipe) => {
+  return formatData('table', args, params, pipe);
+}, {
+  category: 'Output',
+  synopsis: 'Formats objects as a table.',
+  parameters: {
+    Property: 'property',
+  },
+  examples: [
+    'ls | Format-Table Name, Length',
+  ],
+});
+
+// ─── Out-String ──────────────────────────────────────────────
+// The text Out-Default would have shown, as one string (-Stream: per line)
+reg('Out-String', (args, params, pipe) => {
+  const lines = formatToLines(pipe !== null ? toArray(pipe) : toArray(params.inputobject ?? null));
+  return params.stream === true ? lines : lines.join('\n') + '\n';
+}, {
+  category: 'Output',
+  synopsis: 'Converts objects to the text the console would show.',
+  parameters: {
+    InputObject: { kind: 'text', type: 'object' },
+    Stream: 'switch',
+  },
+  examples: [
+    'Get-Process | Out-String',
+  ],
+});
+
+// ─── Out-File ────────────────────────────────────────────────
+// Saves the text the console would show, as > does. -Width cuts each line
+// to that many characters.
+
+// The file Out-File, Export-Csv or a redirection writes, checked before
+// anything is written
+function outputFile(target, params = {}) {
+  if (target === undefined || target === null) {
+    throw bindingError(`Cannot bind argument to parameter 'Path' because it is null.`, 'ParameterArgumentValidationErrorNullNotAllowed');
+  }
+  const p = resolvePath(varToString(target));
+  if (fsIsDir(p)) {
+    throw new RuntimeException(`Access to the path '${p}' is denied.`,
+      { category: 'PermissionDenied', target: p, exception: 'System.UnauthorizedAccessException' });
+  }
+  if (!fsIsDir(p.slice(0, p.lastIndexOf('\\')))) {
+    throw new RuntimeException(`Could not find a part of the path '${p}'.`,
+      { category: 'OpenError', target: p, exception: 'System.IO.DirectoryNotFoundException' });
+  }
+  if (params.noclobber === true && params.append !== true && fsIsFile(p)) {
+    throw new RuntimeException(`The file '${p}' already exists.`,
+      { category: 'ResourceExists', errorId: commandErrorId('NoClobber'), target: p, exception: 'System.IO.IOException' });
+  }
+  return p;
+}
+
+// -Encoding for text written to a file; UTF-8 without a BOM by default
+function fileEncoding(params) {
+  if (params.encoding === undefined) return ENCODINGS.utf8;
+  const encoding = lookupEncoding(params.encoding);
+  if (!encoding?.web) throw encodingError(params.encoding);
+  return encoding;
+}
+
+function outFileText(items, { width, noNewline = false } = {}) {
+  const lines = formatToLines(items).map(l => width ? l.slice(0, width) : l);
+  return noNewline ? lines.join('') : lines.map(l => l + '\r\n').join('');
+}
+
+reg('Out-File', (args, params, pipe) => {
+  const p = outputFile(params.filepath ?? params.literalpath ?? args[0], params);
+  const encoding = fileEncoding(params);
+  const items = pipe !== null ? toArray(pipe) : toArray(params.inputobject ?? null);
+  const width = params.width === undefined ? undefined : toNumber(params.width);
+  const text = outFileText(items, { width, noNewline: params.nonewline === true });
+  writeEncodedText(p, text, encoding, params.append === true && fsIsFile(p));
+  return null;
+}, {
+  category: 'Output',
+  synopsis: 'Sends output to a file, formatted as the console shows it.',
+  parameters: {
+    FilePath: { kind: 'path', mandatory: true, aliases: ['Path'] },
+    InputObject: { kind: 'text', type: 'psobject' },
+    LiteralPath: { kind: 'path', aliases: ['PSPath', 'LP'] },
+    Encoding: encodingNames,
+    Append: 'switch',
+    NoClobber: { kind: 'switch', aliases: ['NoOverwrite'] },
+    Width: 'int',
+    NoNewline: 'switch',
+  },
+  examples: [
+    'Get-Process | Out-File procs.txt',
+    'ls | Out-File listing.txt -Append -Width 80',
+  ],
+});
+
+// ─── ConvertTo-Json ──────────────────────────────────────────
+// Objects nested deeper than -Depth are written as their string form, with
+// one warning. Enum properties (PS_TYPES `enums`) are numbers unless
+// -EnumsAsStrings; dates are ISO 8601 with the local offset.
+const JSON_MAX_DEPTH = 100;
+const JSON_ESCAPES = { '"': '\\"', '\\': '\\\\', '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+const JSON_ESCAPE_HANDLING = ['Default', 'EscapeNonAscii', 'EscapeHtml'];
+
+function jsonString(text, escaping) {
+  const unicode = c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0');
+  return '"' + text.replace(/[\u0000-\u001f"\\<>&'\u007f-\uffff]/g, c => {
+    if (escaping === 'EscapeHtml' && `<>&'"`.includes(c)) return unicode(c);
+    if (JSON_ESCAPES[c]) return JSON_ESCAPES[c];
+    if (c < ' ' || (escaping === 'EscapeNonAscii' && c > '\u007f')) return unicode(c);
+    return c;
+  }) + '"';
+}
+
+function jsonDate(d) {
+  const offset = -d.getTimezoneOffset(), pad = n => String(Math.abs(n)).padStart(2, '0');
+  return formatDate(d, "yyyy-MM-dd'T'HH:mm:ss.fff'0000'") +
+    `${offset < 0 ? '-' : '+'}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+}
+
+// `opts` holds depth, compress, enumsAsStrings and escaping; `truncated`
+// is set on it when -Depth cut the output short
+function toJson(v, opts, level = 0) {
+  if (v === null || v === undefined) return 'null';
+  if (typeof v === 'boolean') return String(v);
+  if (typeof v === 'number') return Number.isFinite(v) ? String(v) : jsonString(String(v), opts.escaping);
+  if (v instanceof Date) return jsonString(jsonDate(v), opts.escaping);
+  if (typeof v !== 'object' || v instanceof ScriptBlock) return jsonString(String(v), opts.escaping);
+  if (level > opts.depth) {
+    opts.truncated = true;
+    return jsonString(elementText(v), opts.escaping);
+  }
+  const indent = opts.compress ? '' : '\n' + '  '.repeat(level + 1);
+  const close = opts.compress ? '' : '\n' + '  '.repeat(level);
+  const wrap = (items, open, end) => items.length ? open + items.map(x => indent + x).join(',') + close + end : open + end;
+  if (Array.isArray(v)) return wrap(v.map(x => toJson(x, opts, level + 1)), '[', ']');
+  const enums = opts.enumsAsStrings ? {} : PS_TYPES[v[PS_TYPE]]?.enums ?? {};
+  return wrap(Object.entries(v).map(([k, x]) => {
+    const value = enums[k]?.includes(x) ? enums[k].indexOf(x) : x;
+    return jsonString(k, opts.escaping) + (opts.compress ? ':' : ': ') + toJson(value, opts, level + 1);
+  }), '{', '}');
+}
+
+reg(['ConvertTo-Json','ctj'], (args, params, pipe) => {
+  const input = pipe ?? params.inputobject ?? args[0] ?? null;
+  const depth = params.depth === undefined ? 2 : toNumber(params.depth);
+  if (depth < 0 || depth > JSON_MAX_DEPTH) {
+    throw bindingError(`Cannot validate argument on parameter 'Depth'. The ${depth} argument is ${depth < 0
+      ? 'less than the minimum allowed range of 0. Supply an argument that is greater than or equal to 0'
+      : `greater than the maximum allowed range of ${JSON_MAX_DEPTH}. Supply an argument that is less than or equal to ${JSON_MAX_DEPTH}`} and then try the command again.`,
+      'ParameterArgumentValidationError');
+  }
+  const escaping = JSON_ESCAPE_HANDLING.find(e => e.toLowerCase() === varToString(params.escapehandling ?? 'Default').toLowerCase());
+  if (!escaping) {
+    throw bindingError(`Cannot bind parameter 'EscapeHandling'. Cannot convert value "${varToString(params.escapehandling)}" to type "Newtonsoft.Json.StringEscapeHandling". Error: "Unable to match the identifier name ${varToString(params.escapehandling)} to a valid enumerator name. Specify one of the following enumerator names and try again:\n${JSON_ESCAPE_HANDLING.join(', ')}"`);
+  }
+  const opts = { depth, escaping, compress: params.compress === true, enumsAsStrings: params.enumsasstrings === true };
+  const json = toJson(params.asarray === true && !Array.isArray(input) ? [input] : input, opts);
+  if (opts.truncated) writeWarning(`Resulting JSON is truncated as serialization has exceeded the set depth of ${depth}.`);
+  return json;
+}, {
+  category: 'Data',
+  synopsis: 'Converts objects to JSON.',
+  description: 'Piped objects are written as one JSON array. Objects nested deeper than -Depth (default 2, at most 100) are written as their string form, with a warning.',
+  parameters: {
+    InputObject: { kind: 'text', type: 'object' },
+    Depth: 'int',
+    Compress: 'switch',
+    AsArray: 'switch',
+    EnumsAsStrings: 'switch',
+    EscapeHandling: { kind: JSON_ESCAPE_HANDLING, type: 'StringEscapeHandling' },
+  },
+  examples: [
+    'Get-Process | ConvertTo-Json',
+    'Get-ChildItem | Select-Object Name, Length | ConvertTo-Json -Compress',
+    '@{a=@{b=@{c=1}}} | ConvertTo-Json -Depth 5',
+  ],
+});
+
+// ─── ConvertFrom-Json ────────────────────────────────────────
+// Each piped string is its own document; when they don't all parse alone
+// (lines from Get-Content) they are joined and parsed as one. Objects
+// become PSCustomObjects (or hashtables with -AsHashtable) and ISO 8601
+// strings become dates; a top-level array is enumerated unless -NoEnumerate.
+const JSON_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+function jsonError(message) {
+  return new RuntimeException(`Conversion from JSON failed with error: ${message}`, {
+    category: 'ParserError',
+    errorId: commandErrorId('System.ArgumentException'),
+    exception: 'System.ArgumentException',
+  });
+}
+
+// Levels of arrays and objects in a parsed value
+function jsonDepth(v) {
+  if (v === null || typeof v !== 'object' || v instanceof Date) return 0;
+  return 1 + Math.max(0, ...Object.values(v).map(jsonDepth));
+}
+
+function fromJson(text, asHashtable) {
+  const revive = (key, v) => {
+    if (typeof v === 'string') return JSON_DATE.test(v) && !isNaN(new Date(v)) ? new Date(v) : v;
+    if (v === null || typeof v !== 'object' || Array.isArray(v)) return v;
+    if (asHashtable) return newHashtable(v);
+    const seen = new Map();
+    for (const k of Object.keys(v)) {
+      const existing = seen.get(k.toLowerCase());
+      if (existing !== undefined) {
+        throw new RuntimeException(`Cannot convert the JSON string because it contains keys with different casing. Please use the -AsHashtable switch instead. The key that was attempted to be added to the existing key '${existing}' was '${k}'.`,
+          { category: 'InvalidOperation', errorId: commandErrorId('DuplicateKeysInJsonString'), exception: 'System.InvalidOperationException' });
+      }
+      seen.set(k.toLowerCase(), k);
+    }
+    return v;
+  };
+  try {
+    return JSON.parse(text, revive);
+  } catch(e) {
+    if (e instanceof RuntimeException) throw e;
+    throw jsonError(e.message);
+  }
+}
+
+reg(['ConvertFrom-Json','cfj'], (args, params, pipe) => {
+  const texts = pipe !== null ? toArray(pipe).map(varToString) : [varToString(params.inputobject ?? args[0])];
+  const parses = text => { try { JSON.parse(text); return true; } catch(e) { return false; } };
+  const documents = texts.length > 1 && texts.every(parses) ? texts : [texts.join('\n')];
+  const depth = params.depth === undefined ? 1024 : toNumber(params.depth);
+  const out = [];
+  for (const text of documents.filter(t => t.trim())) {
+    const value = fromJson(text, params.ashashtable === true);
+    if (jsonDepth(value) > depth) throw jsonError(`The reader's MaxDepth of ${depth} has been exceeded.`);
+    if (Array.isArray(value) && params.noenumerate !== true) out.push(...value);
+    else out.push(value);
+  }
+  return out;
+}, {
+  category: 'Data',
+  synopsis: 'Parses JSON into objects.',
+  description: 'Objects become PSCustomObjects that work with Select-Object, Where-Object and the formatters; -AsHashtable returns hashtables instead. A top-level array is written one element at a time unless -NoEnumerate.',
+  parameters: {
+    InputObject: { kind: 'text', type: 'string', mandatory: true },
+    AsHashtable: 'switch',
+    Depth: 'int',
+    NoEnumerate: 'switch',
+  },
+  examples: [
+    'cat data.json -Raw | ConvertFrom-Json',
+    'Get-Content C:\\Temp\\sample.json -Raw | ConvertFrom-Json | Select-Object name, version',
+    "'{\"a\":1}' | ConvertFrom-Json -AsHashtable",
+  ],
+});
+
+// ─── ConvertTo-Csv / Export-Csv ──────────────────────────────
+// One row per object under a header of the first object's properties (a
+// hashtable's keys). -UseQuotes Always (the default), AsNeeded or Never,
+// or -QuoteFields, say which fields are quoted; empty values never are.
+const CSV_QUOTE_KINDS = ['Never', 'Always', 'AsNeeded'];
+
+function csvDelimiter(value) {
+  const text = varToString(value ?? ',');
+  if (text.length !== 1) {
+    throw bindingError(`Cannot bind parameter 'Delimiter'. Cannot convert value "${text}" to type "System.Char". Error: "String must be exactly one character long."`);
+  }
+  return text;
+}
+
+function csvColumns(item) {
+  if (typeof item === 'string') return ['Length'];
+  if (item === null || typeof item !== 'object' || item instanceof Date) return [];
+  return Object.keys(item);
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return null;
+  return Array.isArray(value) ? 'System.Object[]' : varToString(value);
+}
+
+// Returns quote(text, column) for the quoting options
+function csvQuoter(params, delimiter) {
+  const text = varToString(params.usequotes ?? 'Always');
+  const kind = CSV_QUOTE_KINDS.find(k => k.toLowerCase() === text.toLowerCase());
+  if (!kind) {
+    throw bindingError(`Cannot bind parameter 'UseQuotes'. Cannot convert value "${text}" to type "Microsoft.PowerShell.Commands.BaseCsvWritingCommand+QuoteKind". ` +
+      `Error: "Unable to match the identifier name ${text} to a valid enumerator name. Specify one of the following enumerator names and try again:\n${CSV_QUOTE_KINDS.join(', ')}"`);
+  }
+  const fields = params.quotefields === undefined ? null : toArray(params.quotefields).map(f => varToString(f).toLowerCase());
+  return (text, column) => {
+    if (text === null) return '';
+    const needed = text.includes(delimiter) || /["\r\n]/.test(text);
+    const quoted = fields ? fields.includes(column.toLowerCase()) : kind === 'Always' || (kind === 'AsNeeded' && needed);
+    return quoted ? '"' + text.replace(/"/g, '""') + '"' : text;
+  };
+}
+
+// `columns`, when appending to a file, are its header's
+function csvLines(items, params, delimiter, columns = null) {
+  const objects = items.filter(i => i !== null && i !== undefined);
+  if (!objects.length) return [];
+  const quote = csvQuoter(params, delimiter);
+  const lines = [];
+  if (!columns) {
+    columns = csvColumns(objects[0]);
+    if (params.includetypeinformation === true) lines.push('#TYPE ' + typeNameOf(objects[0]));
+    if (params.noheader !== true) lines.push(columns.map(c => quote(c, c)).join(delimiter));
+  }
+  for (const item of objects) {
+    lines.push(columns.map(c => quote(csvField(getProperty(item, c)), c)).join(delimiter));
+  }
+  return lines;
+}
+
+reg('ConvertTo-Csv', (args, params, pipe) => {
+  const input = pipe !== null ? toArray(pipe) : toArray(params.inputobject ?? args[0] ?? null);
+  return csvLines(input, params, csvDelimiter(params.delimiter ?? args[1]));
+}, {
+  category: 'Data',
+  synopsis: 'Converts objects to lines of comma-separated values.',
+  positional: 2,
+  parameters: {
+    InputObject: { kind: 'text', type: 'psobject', mandatory: true },
+    Delimiter: { kind: 'text', type: 'char' },
+    IncludeTypeInformation: { kind: 'switch', aliases: ['ITI'] },
+    NoTypeInformation: { kind: 'switch', aliases: ['NTI'] },
+    QuoteFields: { kind: 'property', type: 'string[]', aliases: ['QF'] },
+    UseQuotes: { kind: CSV_QUOTE_KINDS, type: 'QuoteKind', aliases: ['UQ'] },
+    NoHeader: 'switch',
+  },
+  examples: [
+    'Get-Process | ConvertTo-Csv',
+    'ls | select Name, Length | ConvertTo-Csv -Delimiter ";" -UseQuotes AsNeeded',
+  ],
+});
+
+// -Append continues the file under its own header; objects missing one of
+// its columns need -Force
+reg(['Export-Csv','epcsv'], (args, params, pipe) => {
+  const p = outputFile(params.path ?? params.literalpath ?? args[0], params);
+  const encoding = fileEncoding(params);
+  const delimiter = csvDelimiter(params.delimiter);
+  const items = pipe !== null ? toArray(pipe) : toArray(params.inputobject ?? null);
+  const existing = params.append === true && fsIsFile(p) ? readContent(p, { raw: true }, null)[0] : '';
+  let columns = null;
+  if (existing.trim()) {
+    columns = parseCsvRows(existing, delimiter).find(row => !row[0].startsWith('#TYPE'));
+    const first = items.find(i => i !== null && i !== undefined);
+    const have = csvColumns(first).map(c => c.toLowerCase());
+    const missing = first === undefined || params.force === true ? undefined : columns.find(c => !have.includes(c.toLowerCase()));
+    if (missing !== undefined) {
+      throw new RuntimeException(`Cannot append CSV content to the following file: ${p}. The appended object does not have a property that corresponds to the following column: ${missing}. ` +
+        'To continue with mismatched properties, add the -Force parameter, and then retry the command.',
+        { category: 'InvalidData', errorId: commandErrorId('CannotAppendCsvWithMismatchedPropertyNames'), target: missing, exception: 'System.InvalidOperationException' });
+    }
+  }
+  const lines = csvLines(items, params, delimiter, columns);
+  const text = (existing && !existing.endsWith('\n') ? '\r\n' : '') + lines.map(l => l + '\r\n').join('');
+  writeEncodedText(p, text, encoding, !!existing);
+  return params.passthru === true ? items : null;
+}, {
+  category: 'Data',
+  synopsis: 'Saves objects to a CSV file.',
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    InputObject: { kind: 'text', type: 'psobject' },
+    LiteralPath: { kind: 'path', aliases: ['PSPath', 'LP'] },
+    Delimiter: { kind: 'text', type: 'char' },
+    Append: 'switch',
+    Force: 'switch',
+    NoClobber: { kind: 'switch', aliases: ['NoOverwrite'] },
+    Encoding: encodingNames,
+    IncludeTypeInformation: { kind: 'switch', aliases: ['ITI'] },
+    NoTypeInformation: { kind: 'switch', aliases: ['NTI'] },
+    QuoteFields: { kind: 'property', type: 'string[]', aliases: ['QF'] },
+    UseQuotes: { kind: CSV_QUOTE_KINDS, type: 'QuoteKind', aliases: ['UQ'] },
+    NoHeader: 'switch',
+    PassThru: 'switch',
+  },
+  examples: [
+    'Get-Process | Export-Csv procs.csv',
+    'ls | select Name, Length | Export-Csv files.csv -Append',
+  ],
+});
+
+// ─── ConvertFrom-Csv / Import-Csv ────────────────────────────
+// Objects whose properties are the header's columns (or -Header's names),
+// all strings; a row short of fields leaves the rest $null. A #TYPE line
+// from -IncludeTypeInformation is skipped.
+
+// Rows of fields. A quoted field may hold the delimiter, "" for a quote,
+// and line breaks; blank lines are skipped.
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [], field = '', quoted = false, inQuotes = false;
+  const endRow = () => {
+    if (row.length || field || quoted) rows.push([...row, field]);
+    row = []; field = ''; quoted = false;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else inQuotes = false;
+    } else if (c === '"' && !field && !quoted) {
+      inQuotes = quoted = true;
+    } else if (c === delimiter) {
+      row.push(field); field = ''; quoted = false;
+    } else if (c === '\n') {
+      endRow();
+    } else if (c !== '\r') {
+      field += c;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+function csvObjects(text, params, delimiter) {
+  const rows = parseCsvRows(text, delimiter);
+  if (rows[0]?.[0].startsWith('#TYPE')) rows.shift();
+  const header = params.header !== undefined ? toArray(params.header).map(varToString) : rows.shift() ?? [];
+  const names = header.map((h, i) => h || 'H' + (i + 1));
+  const seen = new Set();
+  for (const name of names) {
+    if (seen.has(name.toLowerCase())) {
+      throw new RuntimeException(`The member "${name}" is already present.`,
+        { category: 'InvalidData', errorId: 'AlreadyPresentPSMemberInfoInternalCollectionAdd', target: name, exception: 'System.ArgumentException' });
+    }
+    seen.add(name.toLowerCase());
+  }
+  return rows.map(row => Object.fromEntries(names.map((n, i) => [n, row[i] ?? null])));
+}
+
+// Piped lines (from Get-Content or ConvertTo-Csv) are read as one text
+reg('ConvertFrom-Csv', (args, params, pipe) => {
+  const input = pipe !== null ? pipe : params.inputobject ?? args[0];
+  const text = toArray(input ?? []).map(varToString).join('\n');
+  return csvObjects(text, params, csvDelimiter(params.delimiter ?? args[1]));
+}, {
+  category: 'Data',
+  synopsis: 'Converts lines of comma-separated values to objects.',
+  positional: 2,
+  parameters: {
+    InputObject: { kind: 'text', type: 'psobject[]', mandatory: true },
+    Delimiter: { kind: 'text', type: 'char' },
+    Header: { kind: 'text', type: 'string[]' },
+  },
+  examples: [
+    '"Name,Qty", "apple,3" | ConvertFrom-Csv',
+    'cat data.txt | ConvertFrom-Csv -Delimiter "`t" -Header Id, Value',
+  ],
+});
+
+reg(['Import-Csv','ipcsv'], (args, params, pipe) => {
+  const delimiter = csvDelimiter(params.delimiter ?? args[1]);
+  const encoding = params.encoding === undefined ? null : lookupEncoding(params.encoding);
+  if (params.encoding !== undefined && !encoding?.web) throw encodingError(params.encoding);
+  const out = [];
+  for (const p of cmdletPaths(args.slice(0, 1), params, pipe)) {
+    if (!fsExists(p)) { writePathNotFound(p); continue; }
+    if (fsIsDir(p)) { writeError(`'${p}' is a directory.`); continue; }
+    out.push(...csvObjects(readContent(p, { raw: true }, encoding)[0], params, delimiter));
+  }
+  return out;
+}, {
+  category: 'Data',
+  synopsis: 'Reads a CSV file into objects.',
+  positional: 2,
+  parameters: {
+    Path: { kind: 'path', type: 'string[]' },
+    Delimiter: { kind: 'text', type: 'char' },
+    LiteralPath: { kind: 'path', aliases: ['PSPath', 'LP'] },
+    Header: { kind: 'text', type: 'string[]' },
+    Encoding: encodingNames,
+  },
+  examples: [
+    'Import-Csv data.csv',
+    'Import-Csv data.csv | where Qty -gt 2 | Export-Csv big.csv',
+  ],
+});
+
+// ─── Get-Process (simulated) ─────────────────────────────────
+const PROCESSES = [
+  ['pwsh', 1, 0.1, 64], ['node', 42, 1.2, 128], ['chrome', 101, 8.5, 512],
+  ['code', 202, 2.1, 256], ['explorer', 300, 0.0, 48], ['svchost', 401, 0.3, 32],
+  ['system', 4, 0.0, 8], ['pstogo-app', 999, 0.5, 32],
+];
+
+reg(['Get-Process','ps','gps'], (args, params) => {
+  const all = PROCESSES.map(([Name, Id, CPU, mb]) =>
+    psObject('System.Diagnostics.Process', { Name, Id, CPU, WorkingSet: mb * 1048576, Status:'Running' }));
+  const names = toArray(params.name ?? args[0] ?? null).map(varToString);
+  if (!names.length) return all;
+  const rows = [];
+  for (const n of names) {
+    const re = wildcardToRegex(n);
+    const found = all.filter(p => re.test(p.Name));
+    if (!found.length && !/[*?]/.test(n)) writeError(`Cannot find a process with the name "${n}". Verify the process name and call the cmdlet again.`);
+    rows.push(...found.filter(p => !rows.includes(p)));
+  }
+  return rows;
+}, {
+  category: 'System',
+  synopsis: 'Gets the running processes.',
+  parameters: {
+    Name: () => PROCESSES.map(([name]) => name),
+  },
+  examples: [
+    'Get-Process',
+    'ps s*',
+  ],
+});
+
+// ─── Get-History ─────────────────────────────────────────────
+reg(['Get-History','h','history'], (args, params) => {
+  const count = parseInt(params.count ?? args[0] ?? state.history.length);
+  return state.history.slice(-count).map((cmd,i) => psObject('Microsoft.PowerShell.Commands.HistoryInfo', {
+    Id: state.history.length - count + i + 1,
+    CommandLine: cmd,
+  }));
+}, {
+  category: 'System',
+  synopsis: 'Gets the command history.',
+  parameters: {
+    Count: 'int',
+  },
+  examples: [
+    'h',
+    'Get-History 10',
+  ],
+});
+
+// ─── Invoke-Expression / iex ─────────────────────────────────
+reg(['Invoke-Expression','iex'], function* (args, params, input) {
+  const script = params.command ?? args[0] ?? unwrapOutput(collect(input));
+  yield* runScriptStream(varToString(script));
+}, {
+  category: 'System',
+  synopsis: 'Runs a string as a command.',
+  parameters: {
+    Command: { kind: 'text', mandatory: true },
+  },
+  examples: [
+    'iex "Get-Date"',
+  ],
+});
+
+// ─── Get-Command / gcm ───────────────────────────────────────
+function commandInfo(fn) {
+  return psObject('System.Management.Automation.CommandInfo', {
+    CommandType: fn.commandType ?? 'Cmdlet',
+    Name: fn.commandName,
+    Module: 'PSToGo',
+  });
+}
+
+function aliasInfo(alias) {
+  return psObject('System.Management.Automation.AliasInfo', {
+    CommandType: 'Alias',
+    Name: alias.Name,
+    Definition: alias.Definition,
+    ResolvedCommandName: resolveCommand(alias.Name)?.commandName ?? '',
+    Description: alias.Description,
+    Module: BUILTIN_ALIASES[alias.Name.toLowerCase()] === alias ? 'PSToGo' : '',
+  });
+}
+
+const byCommandName = (a, b) => a.Name.toLowerCase().localeCompare(b.Name.toLowerCase());
+
+reg(['Get-Command','gcm'], (args, params) => {
+  const name = params.name === undefined && args[0] === undefined ? '' : varToString(params.name ?? args[0]);
+  // An exact name finds just that command; anything else is a search
+  const re = !name ? null : resolveCommand(name) ? wildcardToRegex(name)
+    : wildcardToRegex(/[*?]/.test(name) ? name : `*${name}*`);
+  const rows = [...Object.values(CMDLETS).map(commandInfo), ...Object.values(ALIASES).map(aliasInfo)]
+    .filter(r => !re || re.test(r.Name))
+    .sort(byCommandName);
+  if (params.syntax !== true) return rows;
+  return rows.map(r => {
+    const syntax = commandSyntax(resolveCommand(r.Name) ?? {});
+    return r.CommandType === 'Alias' ? `${r.Name} (alias) -> ${r.Definition}\r\n\r\n${syntax}` : syntax;
+  });
+}, {
+  category: 'System',
+  synopsis: 'Lists commands and aliases.',
+  parameters: {
+    Name: 'command',
+    Syntax: 'switch',
+  },
+  examples: [
+    'gcm',
+    'gcm *-Item',
+    'Get-Command ls -Syntax',
+  ],
+});
+
+// ─── Get-Alias / gal ─────────────────────────────────────────
+reg(['Get-Alias','gal'], (args, params) => {
+  const names = params.name ?? args[0];
+  const nameRes = names === undefined ? null : toArray(names).map(n => wildcardToRegex(varToString(n)));
+  const defRe   = params.definition !== undefined ? wildcardToRegex(varToString(params.definition)) : null;
+  const rows = Object.values(ALIASES)
+    .filter(a => (!nameRes || nameRes.some(re => re.test(a.Name))) && (!defRe || defRe.test(a.Definition)))
+    .sort(byCommandName)
+    .map(aliasInfo);
+  for (const n of names === undefined ? [] : toArray(names).map(varToString)) {
+    if (!hasWildcard(n) && !ALIASES[n.toLowerCase()]) writeError(`Cannot find alias because alias '${n}' does not exist.`);
+  }
+  return rows;
+}, {
+  category: 'Aliases',
+  synopsis: 'Lists aliases and the commands they stand for.',
+  parameters: {
+    Name: { kind: () => Object.values(ALIASES).map(a => a.Name), type: 'string[]' },
+    Definition: 'command',
+  },
+  examples: [
+    'Get-Alias',
+    'gal g*',
+    'Get-Alias -Definition Get-ChildItem',
+  ],
+});
+
+// ─── Set-Alias / New-Alias ───────────────────────────────────
+// Set-Alias creates or changes an alias; New-Alias refuses to replace one
+// unless -Force. Either way the change is saved for later sessions.
+function defineAlias(args, params, replace) {
+  const name  = varToString(params.name ?? args[0] ?? '');
+  const value = varToString(params.value ?? args[1] ?? '');
+  if (!name || !value) {
+    throw bindingError(`Cannot bind argument to parameter '${name ? 'Value' : 'Name'}' because it is an empty string.`,
+      'ParameterArgumentValidationErrorEmptyStringNotAllowed');
+  }
+  const lower = name.toLowerCase();
+  if (ALIASES[lower] && !replace && params.force !== true) {
+    writeError(`Alias not allowed because an alias with the name '${name}' already exists.`);
+    return null;
+  }
+  const description = params.description ?? ALIASES[lower]?.Description ?? '';
+  ALIASES[lower] = { Name: name, Definition: value, Description: varToString(description) };
+  saveAliases();
+  return params.passthru === true ? aliasInfo(ALIASES[lower]) : null;
+}
+
+const ALIAS_PARAMETERS = {
+  Name: { kind: 'text', mandatory: true },
+  Value: { kind: 'command', mandatory: true },
+  Description: 'text',
+  Force: 'switch',
+  PassThru: 'switch',
+};
+
+reg(['Set-Alias','sal'], (args, params) => defineAlias(args, params, true), {
+  category: 'Aliases',
+  synopsis: 'Creates or changes an alias.',
+  positional: 2,
+  parameters: ALIAS_PARAMETERS,
+  examples: [
+    'Set-Alias np Edit-File',
+    'sal list Get-ChildItem -Description "My listing"',
+  ],
+});
+
+reg(['New-Alias','nal'], (args, params) => defineAlias(args, params, false), {
+  category: 'Aliases',
+  synopsis: 'Creates an alias, unless one with that name exists.',
+  positional: 2,
+  parameters: ALIAS_PARAMETERS,
+  examples: [
+    'New-Alias now Get-Date',
+  ],
+});
+
+// ─── Remove-Alias ────────────────────────────────────────────
+reg('Remove-Alias', (args, params) => {
+  const names = params.name ?? (args.length ? args : undefined);
+  for (const name of toArray(names ?? []).map(varToString)) {
+    if (!ALIASES[name.toLowerCase()]) { writeError(`Cannot find alias because alias '${name}' does not exist.`); continue; }
+    delete ALIASES[name.toLowerCase()];
+  }
+  saveAliases();
+  return null;
+}, {
+  category: 'Aliases',
+  synopsis: 'Removes aliases.',
+  parameters: {
+    Name: { kind: () => Object.values(ALIASES).map(a => a.Name), type: 'string[]', mandatory: true },
+    Force: 'switch',
+  },
+  examples: [
+    'Remove-Alias np',
+  ],
+});
+
+// ─── Export-Alias / epal ─────────────────────────────────────
+// CSV rows of name, definition, description and options, or Set-Alias
+// commands (-As Script) that recreate the aliases when dot-sourced
+reg(['Export-Alias','epal'], (args, params) => {
+  const target = params.path ?? args[0];
+  if (target === undefined) throw bindingError(`Cannot bind argument to parameter 'Path' because it is null.`, 'ParameterArgumentValidationErrorNullNotAllowed');
+  const p = resolvePath(varToString(target));
+  if (fsIsDir(p)) { writeError(`Access to the path '${p}' is denied.`); return null; }
+  if (!fsIsDir(p.slice(0, p.lastIndexOf('\\')))) { writeError(`Could not find a part of the path '${p}'.`); return null; }
+  if (fsIsFile(p) && params.noclobber === true && params.append !== true) {
+    writeError(`The file '${p}' already exists.`);
+    return null;
+  }
+  const names = params.name ?? args[1];
+  const res = names === undefined ? null : toArray(names).map(n => wildcardToRegex(varToString(n)));
+  const aliases = Object.values(ALIASES).filter(a => !res || res.some(re => re.test(a.Name))).sort(byCommandName);
+  const quote = v => '"' + String(v).replace(/"/g, '""') + '"';
+  const script = varToString(params.as ?? 'csv').toLowerCase() === 'script';
+  const lines = [
+    '# Alias File',
+    '# Exported by : PSUser',
+    `# Date/Time : ${formatDate(new Date(), 'G')}`,
+    '# Computer : PSTOGO-PC',
+    ...aliases.map(a => script
+      ? `Set-Alias -Name:${quote(a.Name)} -Value:${quote(a.Definition)} -Description:${quote(a.Description)}`
+      : [a.Name, a.Definition, a.Description, 'None'].map(quote).join(',')),
+  ];
+  const existing = params.append === true && fsIsFile(p) ? fsGetContent(p) : '';
+  fsWriteFile(p, (existing && !existing.endsWith('\n') ? '\r\n' : '') + lines.join('\r\n') + '\r\n', params.append === true);
+  return params.passthru === true ? aliases.map(aliasInfo) : null;
+}, {
+  category: 'Aliases',
+  synopsis: 'Saves aliases to a CSV file or a script.',
+  positional: 2,
+  parameters: {
+    Path: { kind: 'path', mandatory: true },
+    Name: { kind: () => Object.values(ALIASES).map(a => a.Name), type: 'string[]' },
+    As: ['Csv', 'Script'],
+    Append: 'switch',
+    NoClobber: 'switch',
+    PassThru: 'switch',
+  },
+  examples: [
+    'Export-Alias aliases.csv',
+    'Export-Alias aliases.ps1 -As Script',
+    '. .\\aliases.ps1',
+  ],
+});
+
+// ─── Save-Function ───────────────────────────────────────────
+// Write a user-defined function to the profile (or -Path) so it can be
+// reloaded later by dot-sourcing that file. A definition already there is
+// replaced in place (later copies are dropped); otherwise it is appended.
+function functionPositions(text, name) {
+  let nodes;
+  try { nodes = parseScript(text); } catch(e) { return []; }
+  return nodes.filter(n => n.type === 'function' && n.name.toLowerCase() === name.toLowerCase()).map(n => n.position);
+}
+
+reg('Save-Function', (args, params) => {
+  const name = params.name ?? args[0];
+  const fn   = name ? resolveCommand(name) : null;
+  if (!fn?.definition) { writeError(`Function '${name ?? ''}' not found.`); return null; }
+  const target = resolvePath(params.path ?? PROFILE_PATH);
+  fsMkdirAll(target.slice(0, target.lastIndexOf('\\')));
+  const existing = fsIsFile(target) ? fsGetContent(target) : '';
+  const [first, ...copies] = functionPositions(existing, fn.commandName);
+  if (first) {
+    let text = existing;
+    for (const c of copies.reverse()) text = text.slice(0, c.offset) + text.slice(c.offset + c.length).replace(/^\r?\n/, '');
+    fsWriteFile(target, text.slice(0, first.offset) + fn.definition + text.slice(first.offset + first.length));
+    writeLine(`Updated function '${fn.commandName}' in ${target}`, 'line-success');
+    return null;
+  }
+  fsWriteFile(target, (existing && !existing.endsWith('\n') ? '\r\n' : '') + fn.definition + '\r\n', true);
+  writeLine(`Saved function '${name}' to ${target}`, 'line-success');
+  return null;
+}, {
+  category: 'System',
+  synopsis: 'Saves a function definition to your profile.',
+  description: 'Writes the definition to $PROFILE, or to -Path, replacing an earlier saved copy.',
+  parameters: {
+    Name: { kind: 'command', mandatory: true },
+    Path: 'path',
+  },
+  examples: [
+    'Save-Function Greet',
+  ],
+});
+
+// Syntax in Get-Help's form: [[-Positional] <type>] [-Named <type>] [-Switch]
+// [<CommonParameters>]; functions don't list the common parameters
+function commandSyntax(fn) {
+  return [fn.commandName, ...parameterInfo(fn).map(p => {
+    if (p.kind === 'switch') return `[-${p.name}]`;
+    const name  = p.position === undefined ? `-${p.name}` : `[-${p.name}]`;
+    const value = Array.isArray(p.kind) ? `{${p.kind.join(' | ')}}` : `<${p.type}>`;
+    return p.mandatory ? `${name} ${value}` : `[${name} ${value}]`;
+  }), ...(fn.commandType ? [] : ['[<CommonParameters>]'])].join(' ');
+}
+
+// The help overview and panel list commands by category, in this order
+const HELP_CATEGORIES = ['Navigation', 'Files', 'Output', 'Data', 'Aliases', 'System'];
+
+function helpCategories() {
+  const commands = [...new Set(Object.values(CMDLETS))].filter(fn => fn.meta.category);
+  return HELP_CATEGORIES.map(name => ({ name, commands: commands.filter(fn => fn.meta.category === name) }));
+}
+
+const helpLabel = fn => {
+  const [alias] = aliasesOf(fn);
+  return alias ? `${fn.commandName} (${alias})` : fn.commandName;
+};
+
+function writeHelpSection(title, lines) {
+  writeLine(title, 'line-info');
+  lines.forEach(l => writeLine(l ? '  ' + l : ''));
+  writeLine('');
+}
+
+function parameterHelp(p) {
+  return [
+    `-${p.name}` + (p.kind === 'switch' ? '' : ` <${p.type}>`),
+    ...(Array.isArray(p.kind) ? [`    Accepted values  ${p.kind.join(', ')}`] : []),
+    `    Required?        ${p.mandatory}`,
+    `    Position?        ${p.position ?? 'named'}`,
+    `    Aliases          ${p.aliases.join(', ') || 'None'}`,
+    '',
+  ];
+}
+
+// ─── Get-Help ────────────────────────────────────────────────
+// Everything shown comes from the metadata the command was registered with
+reg(['Get-Help','help','man'], (args, params) => {
+  const topic = params.name ?? args[0];
+
+  if (!topic) {
+    const groups = helpCategories();
+    const width = Math.max(...groups.flatMap(g => g.commands.map(fn => helpLabel(fn).length))) + 2;
+    writeLine('');
+    writeLine('POWERSHELL TO GO – Built-in Help', 'line-header');
+    writeLine('─'.repeat(50), 'line-muted');
+    writeLine('');
+    groups.forEach(g => writeHelpSection(g.name.toUpperCase(),
+      g.commands.map(fn => helpLabel(fn).padEnd(width) + (fn.meta.synopsis ?? ''))));
+    writeHelpSection('TIPS', [
+      '• Use Tab for auto-completion',
+      '• Use ↑/↓ for command history',
+      '• Use | to pipe commands',
+      '• Variables: $name = "value"  (use Set-Variable)',
+      '• Functions: function Name { param($x) ... }  (Save-Function Name)',
+      '• Control flow: if/elseif/else, foreach, for, while, do, switch',
+      '• Run scripts with .\\script.ps1 (dot-source: . .\\script.ps1)',
+      '• Type "Get-Help <command>" for specific help',
+    ]);
+    return null;
+  }
 
-  const items = fsListDir(target);
-  if (items.length === 0) { writeLine('(empty directory)', 'line-muted'); return []; }
+  // A wildcard lists the matching commands
+  const name = varToString(topic);
+  if (hasWildcard(name)) {
+    const re = wildcardToRegex(name);
+    return [...new Set(Object.values(CMDLETS))]
+      .filter(fn => re.test(fn.commandName))
+      .map(fn => psObject('HelpInfoShort', { Name: fn.commandName, Category: fn.commandType ?? 'Cmdlet', Synopsis: fn.meta.synopsis ?? '' }))
+      .sort(byCommandName);
+  }
 
-  // Group dirs then files
-  const dirs  = items.filter(i => i.type === 'dir').sort((a,b) => a.name.localeCompare(b.name));
-  const files = items.filter(i => i.type === 'file').sort((a,b) => a.name.localeCompare(b.name));
+  const fn = resolveCommand(name) ?? resolveCommand('get-' + name);
+  if (!fn) {
+    writeError(`Get-Help could not find '${name}' in a help file in this session. Try: Get-Help`);
+    return null;
+  }
+  const meta = fn.meta;
+  const infos = parameterInfo(fn);
 
-  writeLine('', 'line-muted');
-  writeLine(`    Directory: ${target}`, 'line-header');
-  writeLine('');
-  writeLine('Mode                LastWriteTime         Length Name', 'line-header');
-  writeLine('----                -------------         ------ ----', 'line-muted');
-
-  const fmt = item => {
-    const mode = item.type === 'dir' ? 'd----' : '-a---';
-    const mod  = new Date(item.modified).toLocaleDateString('en-US', { month:'2-digit', day:'2-digit', year:'numeric' })
-                 + ' ' + new Date(item.modified).toLocaleTimeString('en-US',{hour:'2-digit',minute:'2-digit'});
-    const len  = item.type === 'file' ? String(item.content?.length ?? 0).padStart(12) : '            ';
-    writeLine(`${mode.padEnd(20)}${mod.padEnd(22)}${len}  ${item.name}`);
-  };
-  dirs.forEach(fmt); files.forEach(fmt);
   writeLine('');
-  return [...dirs, ...files];
-});
+  if (params.parameter !== undefined) {
+    const re = wildcardToRegex(varToString(params.parameter));
+    const matched = infos.filter(p => re.test(p.name));
+    if (!matched.length) { writeError(`No parameter matches criteria ${varToString(params.parameter)}.`); return null; }
+    writeHelpSection('PARAMETERS', matched.flatMap(parameterHelp));
+    return null;
+  }
 
-// ─── New-Item / mkdir / ni ────────────────────────────────────
-reg(['New-Item','ni'], (args, params) => {
-  const p    = resolvePath(params.path ?? args[0]);
-  const type = (params.itemtype ?? params.type ?? 'file').toLowerCase();
-  if (fsExists(p)) { writeError(`'${p}' already exists.`); return null; }
-  if (type === 'directory' || type === 'dir') {
-    fsMkdir(p);
-    writeLine(`Created directory: ${p}`, 'line-success');
-    return { path:p, type:'dir' };
-  } else {
-    const val = params.value ?? '';
-    fsWriteFile(p, expandVariables(val));
-    writeLine(`Created file: ${p}`, 'line-success');
-    return { path:p, type:'file' };
+  writeHelpSection('NAME', [fn.commandName]);
+  if (meta.synopsis) writeHelpSection('SYNOPSIS', [meta.synopsis]);
+  if (params.examples === true) {
+    writeHelpSection('EXAMPLES', (meta.examples ?? []).map(ex => 'PS> ' + ex));
+    return null;
+  }
+  writeHelpSection('SYNTAX', [commandSyntax(fn)]);
+  if (meta.description) writeHelpSection('DESCRIPTION', [meta.description]);
+  if (params.full === true) {
+    const lines = infos.flatMap(parameterHelp);
+    if (!fn.commandType) {
+      lines.push('<CommonParameters>', `    This cmdlet supports the common parameters: ${COMMON_PARAMETERS.map(p => p.name).join(', ')}.`);
+    }
+    if (lines.at(-1) === '') lines.pop();
+    if (lines.length) writeHelpSection('PARAMETERS', lines);
+    if (meta.examples) writeHelpSection('EXAMPLES', meta.examples.map(ex => 'PS> ' + ex));
   }
+  const aliases = aliasesOf(fn);
+  if (aliases.length) writeHelpSection('ALIASES', aliases);
+  if (params.full !== true) {
+    writeHelpSection('REMARKS', [
+      ...(meta.examples ? [`To see the examples, type: "Get-Help ${fn.commandName} -Examples".`] : []),
+      `For more information, type: "Get-Help ${fn.commandName} -Full".`,
+    ]);
+  }
+  return null;
+}, {
+  category: 'System',
+  synopsis: 'Shows help for a command.',
+  parameters: {
+    Name: 'command',
+    Full: 'switch',
+    Examples: 'switch',
+    Parameter: 'text',
+  },
+  examples: [
+    'Get-Help',
+    'help ls',
+    'Get-Help Get-ChildItem -Full',
+    'help Select-String -Parameter Context',
+  ],
 });
 
-reg(['mkdir'], (args, params) => {
-  const p = resolvePath(args[0]);
-  if (fsExists(p)) { writeError(`'${p}' already exists.`); return null; }
-  fsMkdir(p);
-  writeLine(`Created directory: ${p}`, 'line-success');
-  return { path:p, type:'dir' };
+// ─── Resolve-Path ─────────────────────────────────────────────
+reg('Resolve-Path', (args, params, pipe) => {
+  const paths = [];
+  for (const p of cmdletPaths(args, params, pipe)) {
+    if (!fsExists(p)) { writePathNotFound(p); continue; }
+    paths.push(psObject('System.Management.Automation.PathInfo', { Path: p }));
+  }
+  return paths;
+}, {
+  category: 'Navigation',
+  synopsis: 'Resolves wildcards and relative paths to full paths.',
+  parameters: {
+    Path: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+  },
+  examples: [
+    'Resolve-Path ..\\*',
+  ],
 });
 
-// ─── Remove-Item / rm / del ──────────────────────────────────
-reg(['Remove-Item','rm','del','ri'], (args, params) => {
-  const p = resolvePath(params.path ?? params.literalpath ?? args[0]);
-  if (!fsExists(p)) { writeError(`Cannot find path '${p}'.`); return null; }
-  const recurse = params.recurse === true || params.r === true;
-  if (fsIsDir(p) && !recurse && fsListDir(p).length > 0) {
-    writeError(`Directory '${p}' is not empty. Use -Recurse to remove all items.`); return null;
-  }
-  fsDelete(p);
-  writeLine(`Removed: ${p}`, 'line-success');
-  return null;
+// ─── Split-Path ───────────────────────────────────────────────
+reg('Split-Path', (args, params) => {
+  const p = resolvePath(params.path ?? args[0]);
+  const leaf = params.leaf === true;
+  return leaf ? p.split('\\').pop() : p.slice(0, p.lastIndexOf('\\'));
+}, {
+  category: 'Navigation',
+  synopsis: 'Gets the parent or leaf of a path.',
+  parameters: {
+    Path: 'path',
+    Leaf: 'switch',
+  },
+  examples: [
+    'Split-Path C:\\Temp\\a.txt -Leaf',
+  ],
 });
 
-// ─── Get-Content / cat / type ────────────────────────────────
-reg(['Get-Content','cat','type','gc'], (args, params) => {
-  const p = resolvePath(params.path ?? params.literalpath ?? args[0]);
-  if (!fsExists(p))  { writeError(`Cannot find path '${p}'.`); return null; }
-  if (fsIsDir(p))    { writeError(`'${p}' is a directory.`); return null; }
-  const content = fsGetContent(p);
-  const tail = params.tail ? parseInt(params.tail) : null;
-  const head = params.head ? parseInt(params.head) : null;
-  let lines = content.split(/\r?\n/);
-  if (tail) lines = lines.slice(-tail);
-  if (head) lines = lines.slice(0, head);
-  lines.forEach(l => writeLine(l));
-  return content;
+// ─── Join-Path ────────────────────────────────────────────────
+reg('Join-Path', (args, params) => {
+  const base = varToString(params.path ?? args[0] ?? state.cwd);
+  const child = varToString(params.childpath ?? args[1] ?? '');
+  return normPath(base + '\\' + child);
+}, {
+  category: 'Navigation',
+  synopsis: 'Joins a path and a child path.',
+  positional: 2,
+  parameters: {
+    Path: 'path',
+    ChildPath: 'text',
+  },
+  examples: [
+    'Join-Path $HOME Documents',
+  ],
 });
 
-// ─── Set-Content / Add-Content ────────────────────────────────
-reg(['Set-Content','sc'], (args, params) => {
-  const p   = resolvePath(params.path ?? args[0]);
-  const val = expandVariables(params.value ?? args.slice(1).join(' '));
-  fsWriteFile(p, val, false);
-  writeLine(`Written to: ${p}`, 'line-success');
-  return null;
+// ─── Get-Item ─────────────────────────────────────────────────
+reg(['Get-Item','gi'], (args, params, pipe) => {
+  const items = [];
+  for (const p of cmdletPaths(args, params, pipe)) {
+    if (!fsExists(p)) { writePathNotFound(p); continue; }
+    items.push(makeItemInfo(p));
+  }
+  return items;
+}, {
+  category: 'Navigation',
+  synopsis: 'Gets a file or directory.',
+  parameters: {
+    Path: 'path',
+    LiteralPath: { kind: 'path', aliases: ['PSPath'] },
+  },
+  examples: [
+    'Get-Item notes.txt',
+    'gi *.txt',
+  ],
 });
 
-reg(['Add-Content','ac'], (args, params) => {
-  const p   = resolvePath(params.path ?? args[0]);
-  const val = '\r\n' + expandVariables(params.value ?? args.slice(1).join(' '));
-  fsWriteFile(p, val, true);
-  writeLine(`Appended to: ${p}`, 'line-success');
+// ─── Start-Sleep ──────────────────────────────────────────────
+reg('Start-Sleep', (args, params) => {
+  const secs = parseFloat(params.seconds ?? args[0] ?? 1);
+  writeLine(`Sleeping ${secs}s...`, 'line-muted');
+  // Not actually async; just note it
   return null;
+}, {
+  category: 'System',
+  synopsis: 'Notes a pause; commands here run without waiting.',
+  parameters: {
+    Seconds: { kind: 'int', type: 'double' },
+  },
+  examples: [
+    'Start-Sleep 2',
+  ],
 });
 
-// ─── Copy-Item / cp ──────────────────────────────────────────
-reg(['Copy-Item','cp','cpi','copy'], (args, params) => {
-  const src = resolvePath(params.path ?? args[0]);
-  const dst = resolvePath(params.destination ?? args[1]);
-  if (!fsCopy(src, dst)) { writeError(`Copy failed. Source '${src}' not found.`); return null; }
-  writeLine(`Copied '${src}' to '${dst}'`, 'line-success');
-  return null;
-});
+// ─── $var = value assignment ──────────────────────────────────
+// Handled in executeCommand for $var = expr pattern
 
-// ─── Move-Item / mv ──────────────────────────────────────────
-reg(['Move-Item','mv','mi','move'], (args, params) => {
-  const src = resolvePath(params.path ?? args[0]);
-  const dst = resolvePath(params.destination ?? args[1]);
-  if (!fsMove(src, dst)) { writeError(`Move failed. Source '${src}' not found.`); return null; }
-  writeLine(`Moved '${src}' to '${dst}'`, 'line-success');
+// ─── Write-Progress (stub) ────────────────────────────────────
+reg('Write-Progress', (args, params) => {
+  writeLine(`[Progress] ${varToString(params.activity ?? args[0] ?? '')}`, 'line-info');
   return null;
+}, {
+  category: 'Output',
+  synopsis: 'Shows a progress message.',
+  parameters: {
+    Activity: 'text',
+  },
+  examples: [
+    'Write-Progress "Copying files"',
+  ],
 });
 
-// ─── Rename-Item / ren ───────────────────────────────────────
-reg(['Rename-Item','ren','rni'], (args, params) => {
-  const src     = resolvePath(params.path ?? args[0]);
-  const newName = params.newname ?? args[1];
-  if (!newName) { writeError('NewName parameter is required.'); return null; }
-  const parentDir = src.slice(0, src.lastIndexOf('\\'));
-  const dst = normPath(parentDir + '\\' + newName);
-  if (!fsMove(src, dst)) { writeError(`Rename failed. '${src}' not found.`); return null; }
-  writeLine(`Renamed to: ${dst}`, 'line-success');
-  return null;
+// ─── Get-Random ───────────────────────────────────────────────
+// A number in [Minimum, Maximum), or one of the piped / -InputObject items
+reg('Get-Random', (args, params, pipe) => {
+  const pool = pipe !== null ? toArray(pipe) : params.inputobject !== undefined ? toArray(params.inputobject) : null;
+  if (pool) {
+    const count = parseInt(params.count ?? 1);
+    const picked = [...pool].sort(() => Math.random() - 0.5).slice(0, count);
+    return count === 1 ? picked[0] ?? null : picked;
+  }
+  const max = parseInt(params.maximum ?? args[0] ?? 100);
+  const min = parseInt(params.minimum ?? 0);
+  return Math.floor(Math.random() * (max - min)) + min;
+}, {
+  category: 'Data',
+  synopsis: 'Gets a random number, or random objects from the input.',
+  parameters: {
+    Maximum: { kind: 'int', type: 'int' },
+    Minimum: 'int',
+    InputObject: { kind: 'text', type: 'object[]' },
+    Count: 'int',
+  },
+  examples: [
+    'Get-Random',
+    'Get-Random -Maximum 10',
+    '1..10 | Get-Random -Count 3',
+  ],
 });
 
-// ─── Test-Path ───────────────────────────────────────────────
-reg('Test-Path', (args, params) => {
-  const p = resolvePath(params.path ?? args[0]);
-  const result = fsExists(p);
-  writeLine(result ? 'True' : 'False');
-  return result;
+// ─── Get-Member / gm ──────────────────────────────────────────
+// Lists the properties (and, for strings, the common methods) of each
+// distinct type in the input
+function shortTypeName(v) {
+  const t = typeNameOf(v);
+  return { 'System.String':'string', 'System.Int32':'int', 'System.Double':'double',
+           'System.Boolean':'bool', 'System.DateTime':'datetime', 'System.Object[]':'Object[]' }[t] ?? 'Object';
+}
+
+function membersOf(v) {
+  const typeName = typeNameOf(v);
+  const member = (Name, MemberType, Definition) =>
+    psObject('Microsoft.PowerShell.Commands.MemberDefinition', { TypeName: typeName, Name, MemberType, Definition });
+  const methods = Object.keys(methodTable(v)).map(m => member(m, 'Method', `${m}(...)`));
+  if (typeof v === 'string') return [...methods, member('Length', 'Property', 'int Length {get;}')];
+  if (v instanceof Date) {
+    return [...methods, ...Object.keys(DATE_PROPS).map(k => {
+      const name = k === 'dayofweek' ? 'DayOfWeek' : k === 'dayofyear' ? 'DayOfYear' : k[0].toUpperCase() + k.slice(1);
+      return member(name, 'Property', `${shortTypeName(DATE_PROPS[k](v))} ${name} {get;}`);
+    })];
+  }
+  if (v === null || typeof v !== 'object') return [member('ToString', 'Method', 'string ToString()')];
+  const memberType = typeName.startsWith('System.Management.Automation.PSCustomObject') ? 'NoteProperty' : 'Property';
+  return [...methods, ...Object.keys(v).sort((a,b) => a.localeCompare(b))
+    .map(k => member(k, memberType, `${shortTypeName(v[k])} ${k}=${cellText(v[k])}`))];
+}
+
+reg(['Get-Member','gm'], (args, params, pipe) => {
+  const items = pipe !== null ? toArray(pipe) : toArray(params.inputobject ?? null);
+  if (!items.length) { writeError('You must specify an object for the Get-Member cmdlet.'); return null; }
+  const seen = new Set();
+  return items.flatMap(item => {
+    const t = typeNameOf(item);
+    if (seen.has(t)) return [];
+    seen.add(t);
+    return membersOf(item);
+  });
+}, {
+  category: 'Data',
+  synopsis: 'Lists the properties and methods of objects.',
+  parameters: {
+    InputObject: { kind: 'text', type: 'object' },
+  },
+  examples: [
+    'ls | Get-Member',
+    '"text" | gm',
+  ],
 });
 
-// ─── Get-Variable / $var ─────────────────────────────────────
-reg(['Get-Variable','gv'], (args, params) => {
-  const name = params.name ?? args[0];
-  if (name) {
-    const val = state.variables[name];
-    if (val === undefined) { writeError(`Variable '${name}' not found.`); return null; }
-    writeLine(`${name}: ${val}`);
-    return val;
-  }
-  // List all
-  const rows = Object.entries(state.variables).map(([n,v]) => ({ Name:n, Value:String(v) }));
-  if (rows.length === 0) writeLine('(no user variables)', 'line-muted');
-  else writeTable(rows, ['Name','Value']);
-  return rows;
+reg(['Format-String','format'], (args, params) => {
+  const fmt  = params.format ?? args[0];
+  const vals = args.slice(1);
+  if (!fmt) { writeError('Format parameter required.'); return null; }
+  return varToString(fmt).replace(/\{(\d+)\}/g, (_,i) => varToString(vals[i] ?? ''));
+}, {
+  category: 'Data',
+  synopsis: 'Fills {0}, {1}, ... placeholders in a format string.',
+  parameters: {
+    Format: { kind: 'text', mandatory: true },
+  },
+  examples: [
+    'Format-String "{0} + {1}" 2 3',
+  ],
 });
 
-// ─── Set-Variable / sv ───────────────────────────────────────
-reg(['Set-Variable','sv'], (args, params) => {
-  const name  = params.name  ?? args[0];
-  const value = expandVariables(params.value ?? args[1] ?? '');
-  if (!name) { writeError('Name is required.'); return null; }
-  state.variables[name] = value;
-  return value;
+// ─── prompt ──────────────────────────────────────────────────
+// PowerShell's prompt is a function that users redefine; this is the default
+function* defaultPrompt() {
+  yield `PS ${state.cwd} > `;
+}
+defaultPrompt.commandType = 'Function';
+defaultPrompt.definition  = 'function prompt { "PS $PWD > " }';
+
+reg('prompt', defaultPrompt, {
+  category: 'System',
+  synopsis: 'Returns the text of the command prompt.',
+  description: 'Define your own prompt function, in $PROFILE to keep it, to change the prompt. ' +
+    'It runs after every command; on narrow screens the current directory in it is shortened.',
+  examples: [
+    'function prompt { "$(Get-Date -Format HH:mm) $PWD> " }',
+    'function prompt { "[$((Get-History).Count)] PS> " }',
+  ],
 });
 
-// ─── Remove-Variable / rv ────────────────────────────────────
-reg(['Remove-Variable','rv'], (args, params) => {
-  const name = params.name ?? args[0];
-  if (!name) { writeError('Name is required.'); return null; }
-  if (!(name in state.variables)) { writeError(`Variable '${name}' not found.`); return null; }
-  delete state.variables[name];
-  writeLine(`Removed variable: ${name}`, 'line-success');
-  return null;
+// ─── cd aliases convenience ───────────────────────────────────
+reg('..', () => CMDLETS['set-location'](['..'], {}, null), {
+  category: 'Navigation',
+  synopsis: 'Goes up one directory.',
+  examples: [
+    '..',
+  ],
+});
+reg('~', () => CMDLETS['set-location'](['~'], {}, null), {
+  category: 'Navigation',
+  synopsis: 'Goes to the home directory.',
+  examples: [
+    '~',
+  ],
 });
 
-// ─── Select-Object ───────────────────────────────────────────
-reg(['Select-Object','select'], (args, params, pipe) => {
-  const propArg = params.property ?? args[0];
-  const first   = params.first ? parseInt(params.first) : null;
-  const last    = params.last  ? parseInt(params.last)  : null;
-  let data = pipe;
-  if (!data) { writeError('Select-Object requires piped input.'); return null; }
-  if (!Array.isArray(data)) data = [data];
-  if (first) data = data.slice(0, first);
-  if (last)  data = data.slice(-last);
-  if (propArg) {
-    const props = propArg.split(',').map(p => p.trim());
-    data = data.map(item => {
-      if (typeof item !== 'object') return item;
-      const out = {};
-      props.forEach(p => { if (p in item) out[p] = item[p]; });
-      return out;
-    });
+// ── Command Executor ─────────────────────────────────────────
+// Every command produces a lazy stream (generator) of output objects.
+// Pipeline stages are chained generators, so items flow one at a time
+// from the first stage to the last.
+//
+// Cmdlets come in two shapes:
+//   (args, params, pipe) => value           all piped input at once as
+//                                            `pipe` (null, one item or an
+//                                            array); returned arrays are
+//                                            enumerated downstream
+//   function* (args, params, input) { }     streaming: `input` is an
+//                                            iterator (null when nothing is
+//                                            piped), each yield is one item
+const GeneratorFunction = Object.getPrototypeOf(function* () {}).constructor;
+
+function* runBatchCommand(fn, args, params, input) {
+  const pipe = input ? unwrapOutput(collect(input)) : null;
+  yield* enumerateOutput(fn(args, params, pipe));
+}
+
+// Resolve a parsed command to the stream that runs it; a name that is not
+// recognized raises CommandNotFoundException
+function invokeCommand(cmd, input) {
+  const { name, args, params } = cmd;
+  const fn = resolveCommand(name);
+  if (fn instanceof GeneratorFunction) return fn(args, params, input);
+  if (fn) return runBatchCommand(fn, args, params, input);
+
+  // Call operator: & { block } / & $block / & name / & 'path.ps1'; . dot-sources
+  if ((name === '&' || name === '.') && args.length) {
+    const [target, ...rest] = args;
+    const dotSource = name === '.';
+    if (target instanceof ScriptBlock) return invokeScriptBlock(target, rest, params, input, dotSource);
+    const targetName = varToString(target);
+    const command = isScriptPath(targetName) ? null : resolveCommand(targetName);
+    if (command) {
+      const bound = Object.fromEntries(Object.entries(params)
+        .map(([k, v]) => [findParameter(command, k)?.name.toLowerCase() ?? k, v]));
+      return invokeCommand({ name: targetName, args: rest, params: bound }, input);
+    }
+    return runScript(targetName, rest, params, input, dotSource);
   }
-  data.forEach(item => {
-    if (typeof item === 'object') writeTable([item], Object.keys(item));
-    else writeLine(String(item));
-  });
-  return data;
-});
+  if (isScriptPath(name)) return runScript(name, args, params, input, false);
 
-// ─── Where-Object / ? ────────────────────────────────────────
-reg(['Where-Object','where','?'], (args, params, pipe) => {
-  if (!pipe) { writeError('Where-Object requires piped input.'); return null; }
-  const expr = args.join(' ').replace(/^\{|\}$/g,'').trim();
-  let data = Array.isArray(pipe) ? pipe : [pipe];
-  const result = data.filter(item => {
-    // Simple property comparisons: $_.Name -eq "foo"
-    const expanded = expr.replace(/\$_\.?(\w+)/g, (_,p) =>
-      typeof item === 'object' ? String(item[p] ?? '') : String(item)
-    ).replace(/\$_/g, String(item));
-    return evalExpression(expanded).toLowerCase() === 'true';
-  });
-  result.forEach(item => {
-    if (typeof item === 'object') writeTable([item]);
-    else writeLine(String(item));
-  });
-  return result;
-});
+  if (/\.ps1$/i.test(name) && fsIsFile(resolvePath(name))) {
+    throw commandNotFound(name, `The term '${name}' is not recognized. The script exists in the current location; run it with '.\\${name}'.`);
+  }
+  throw commandNotFound(name, `The term '${name}' is not recognized as a cmdlet, function, or operable program. Type 'Get-Help' for a list of available commands.`);
+}
 
-// ─── ForEach-Object / % ──────────────────────────────────────
-reg(['ForEach-Object','foreach','%'], (args, params, pipe) => {
-  if (!pipe) { writeError('ForEach-Object requires piped input.'); return null; }
-  let data = Array.isArray(pipe) ? pipe : [pipe];
-  const script = args.join(' ').replace(/^\{|\}$/g,'').trim();
-  const results = data.map(item => {
-    // Set $_ and run
-    state.variables['_'] = typeof item === 'object' ? JSON.stringify(item) : String(item);
-    const expanded = script.replace(/\$_\.?(\w+)/g, (_,p) =>
-      typeof item === 'object' ? String(item[p] ?? '') : String(item)
-    ).replace(/\$_/g, String(item));
-    const result = executeCommand(expandVariables(expanded));
-    return result;
+function commandNotFound(name, message) {
+  return new RuntimeException(message, {
+    category: 'ObjectNotFound',
+    errorId: 'CommandNotFoundException',
+    target: name,
+    exception: 'System.Management.Automation.CommandNotFoundException',
   });
-  return results;
-});
+}
 
-// ─── Sort-Object ─────────────────────────────────────────────
-reg(['Sort-Object','sort'], (args, params, pipe) => {
-  if (!pipe) { writeError('Sort-Object requires piped input.'); return null; }
-  let data = Array.isArray(pipe) ? [...pipe] : [pipe];
-  const prop = params.property ?? args[0];
-  const desc = params.descending === true || params.desc === true;
-  data.sort((a,b) => {
-    const av = prop && typeof a === 'object' ? String(a[prop] ?? '') : String(a);
-    const bv = prop && typeof b === 'object' ? String(b[prop] ?? '') : String(b);
-    const n = isNaN(av) || isNaN(bv) ? av.localeCompare(bv) : Number(av) - Number(bv);
-    return desc ? -n : n;
-  });
-  data.forEach(item => {
-    if (typeof item === 'object') writeTable([item]);
-    else writeLine(String(item));
-  });
-  return data;
-});
+const ASSIGNMENT_RE = /^\$(\{[^}]+\}|(?:global:|script:|local:)?[A-Za-z_]\w*)((?:\.\w+|\[[^\]]*\])*)\s*([+\-*/%]?)=(?!=)\s*([\s\S]*)$/i;
 
-// ─── Measure-Object ──────────────────────────────────────────
-reg(['Measure-Object','measure'], (args, params, pipe) => {
-  if (!pipe) { writeError('Measure-Object requires piped input.'); return null; }
-  let data = Array.isArray(pipe) ? pipe : [pipe];
-  const prop = params.property ?? args[0];
-  const sum = params.sum === true, avg = params.average === true,
-        min = params.minimum === true, max = params.maximum === true,
-        all = (!sum && !avg && !min && !max);
-  const nums = data.map(item => {
-    const v = prop && typeof item === 'object' ? item[prop] : item;
-    return Number(v);
-  }).filter(n => !isNaN(n));
-
-  const result = { Count: data.length };
-  if (sum || all) result.Sum = nums.reduce((a,b)=>a+b,0);
-  if (avg || all) result.Average = nums.length ? (result.Sum ?? nums.reduce((a,b)=>a+b,0)) / nums.length : null;
-  if (min || all) result.Minimum = nums.length ? Math.min(...nums) : null;
-  if (max || all) result.Maximum = nums.length ? Math.max(...nums) : null;
-  writeTable([result]);
-  return result;
-});
+function assign([, rawName, path, op, expr]) {
+  const name = rawName.replace(/^\{|\}$/g, '');
+  let value = evalValue(expr);
+  if (!path) {
+    if (op) value = applyArithOp(getVariable(name), op, value);
+    setVariable(name, value);
+    return;
+  }
+  // Split off the last .Member or [index]; the rest names the container
+  const last = path.match(/(\.\w+|\[[^\]]*\])$/)[0];
+  const container = evalExpression('$' + rawName + path.slice(0, -last.length));
+  const isIndex = last[0] === '[';
+  const key = isIndex ? evalExpression(last.slice(1, -1)) : last.slice(1);
+  if (op) value = applyArithOp(isIndex ? indexValue(container, key) : getProperty(container, key), op, value);
+  setMember(container, key, value, isIndex);
+}
 
-// ─── Format-List / fl ────────────────────────────────────────
-reg(['Format-List','fl'], (args, params, pipe) => {
-  let data = pipe ?? args;
-  if (!Array.isArray(data)) data = [data];
-  data.forEach(item => {
-    if (typeof item === 'object' && item !== null) {
-      Object.entries(item).forEach(([k,v]) => writeLine(`${k.padEnd(20)}: ${v}`));
-    } else {
-      writeLine(String(item));
+// `position` is the statement's in its script (see invocationInfo)
+function* executeCommand(line, position = state.position) {
+  if (!line || !line.trim()) return;
+  line = line.trim();
+
+  // Skip comments
+  if (line.startsWith('#')) return;
+
+  // Assignment: $name = expr, $name += expr, $obj.Prop = expr, $arr[i] = expr
+  const assignMatch = line.match(ASSIGNMENT_RE);
+  if (assignMatch) {
+    assign(assignMatch);
+    return;
+  }
+
+  // Increment / decrement: $i++ / $i--
+  const incMatch = line.match(/^\$([A-Za-z_]\w*)\s*(\+\+|--)$/);
+  if (incMatch) {
+    const [, name, op] = incMatch;
+    setVariable(name, applyArithOp(getVariable(name) ?? 0, op[0], 1));
+    return;
+  }
+
+  // Pipeline: each stage runs in this scope, whoever pulls from it
+  const scope    = state.variables;
+  const segments = parsePipeline(line);
+  let stream = null;
+
+  for (let si = 0; si < segments.length; si++) {
+    const { text, redirects } = parseRedirections(segments[si]);
+    // A value (variable, literal, arithmetic) may start a pipeline
+    if (isExpressionText(text)) {
+      if (si > 0) { writeError('Expressions are only allowed as the first element of a pipeline.'); return; }
+      const context = redirects.length ? streamContext(redirects) : null;
+      const values = context ? inScope(context.scope, () => expressionItems(text)) : expressionItems(text);
+      stream = context ? context.run(values) : values;
+      continue;
     }
-    writeLine('');
+    const cmd = parseCommand(text);
+    if (!cmd) continue;
+    // Redirections and common parameters apply to the stage through the
+    // scope it runs in
+    const common = commonParameters(cmd.params);
+    const context = redirects.length || Object.keys(common.preferences).length || Object.keys(common.variables).length
+      ? streamContext(redirects, common) : null;
+    const at = position && { ...position, text, command: cmd.name };
+    const stage = withState({ variables: context?.scope ?? scope, position: at }, () => {
+      try {
+        return invokeCommand(cmd, stream);
+      } catch (e) {
+        // A command that cannot start still honours 2>$null and 2>&1
+        if (!context || !(e instanceof RuntimeException) || e instanceof TerminatingError || state.handled) throw e;
+        writeRecord('Error', e.errorRecord);
+        return null;
+      }
+    });
+    stream = streamWithState({ variables: scope, position: at }, context ? context.run(stage) : stage);
+    if (!stage) break;
+  }
+
+  if (stream) yield* stream;
+}
+
+// ── Statement interpreter ────────────────────────────────────
+// Statements are generators too: output of every statement in a block
+// becomes the block's output stream.
+
+// Thrown to unwind break / continue / return / exit through nested blocks;
+// exit carries its exit code
+class FlowSignal {
+  constructor(kind, value) { this.kind = kind; this.value = value; }
+}
+
+// exit N sets $LASTEXITCODE; anything but 0 makes $? false
+function setExitCode(code) {
+  setVariable('global:LASTEXITCODE', code);
+  if (code !== 0) state.failures++;
+}
+
+function loopGuard(count) {
+  if (count > MAX_LOOP_ITERATIONS) {
+    throw new RangeError(`Loop stopped after ${MAX_LOOP_ITERATIONS} iterations.`);
+  }
+}
+
+// Statement-terminating errors stop only the statement that raised them,
+// unless a trap in this block takes them, or a try around it (state.handled)
+// wants them. $? tells whether the last statement wrote any errors.
+function* runStatements(nodes) {
+  const traps = nodes.traps;
+  for (const node of nodes) {
+    const failures = state.failures;
+    state.position = node.position;
+    try {
+      yield* traps ? streamWithState({ handled: true }, runStatement(node)) : runStatement(node);
+    } catch (e) {
+      if (e instanceof SyntaxError) writeError('ParserError: ' + e.message);
+      else if (!(e instanceof RuntimeException)) throw e;
+      else if (!(traps && (yield* runTrap(traps, e)))) {
+        if (e instanceof TerminatingError || state.handled) throw e;
+        writeRecord('Error', e.errorRecord);
+      }
+    }
+    state.succeeded = state.failures === failures;
+  }
+}
+
+// Whether a catch or trap for these [Type]s takes an error record
+function catchesError(types, record) {
+  return !types.length || types.some(t => {
+    const type = exceptionTypeName(t);
+    if (!type) throw new RuntimeException(`Unable to find type [${t}].`);
+    return isExceptionOf(record.Exception, type);
   });
-  return data;
-});
+}
 
-// ─── Format-Table / ft ───────────────────────────────────────
-reg(['Format-Table','ft'], (args, params, pipe) => {
-  let data = pipe ?? args;
-  if (!Array.isArray(data)) data = data ? [data] : [];
-  if (data.length === 0) { writeLine('(empty)', 'line-muted'); return null; }
-  const headers = typeof data[0] === 'object' ? Object.keys(data[0]) : ['Value'];
-  const rows = data.map(item => typeof item === 'object' ? item : { Value: item });
-  writeTable(rows, headers);
-  return data;
-});
+// Run the first trap that takes an error, with $_ set to its record.
+// `continue` in the trap drops the error and `break` ends the script with
+// it; otherwise the error is reported. Either way but break, the script
+// carries on after the failed statement.
+function* runTrap(traps, e) {
+  const record = e.errorRecord;
+  const trap = traps.find(t => catchesError(t.types, record));
+  if (!trap) return false;
+  recordError(record);
+  const scope = blockScope({ _: record, PSItem: record });
+  const result = yield* streamWithState({ variables: scope, handled: false }, runLoopBody(trap.body));
+  if (result === 'break') throw e instanceof TerminatingError ? e : new TerminatingError(record);
+  if (result !== 'continue') writeRecord('Error', record);
+  return true;
+}
 
-// ─── Out-String ──────────────────────────────────────────────
-reg('Out-String', (args, params, pipe) => {
-  const s = Array.isArray(pipe) ? pipe.map(String).join('\n') : String(pipe ?? '');
-  writeLine(s);
-  return s;
-});
+// try { } catch [Type] { } finally { }: a terminating error anywhere in the
+// try block, commands it calls included, goes to the first catch whose
+// types match, with $_ set to its record. finally always runs.
+function* runTry(node) {
+  try {
+    yield* streamWithState({ handled: true }, runStatements(node.body));
+  } catch (e) {
+    if (!(e instanceof RuntimeException)) throw e;
+    const record = e.errorRecord;
+    recordError(record);
+    const clause = node.catches.find(c => catchesError(c.types, record));
+    if (!clause) throw e;
+    yield* streamInScope(blockScope({ _: record, PSItem: record }), runStatements(clause.body));
+  } finally {
+    if (node.finallyBody) yield* runStatements(node.finallyBody);
+  }
+}
 
-// ─── ConvertTo-Json ──────────────────────────────────────────
-reg(['ConvertTo-Json','ctj'], (args, params, pipe) => {
-  const input = pipe ?? args.join(' ');
+// What `throw` raises: an error record as it is, an exception in a record
+// of its own, anything else as the message of a RuntimeException
+function thrownRecord(value) {
+  const details = { category: 'OperationStopped', exception: 'System.Management.Automation.RuntimeException' };
+  if (value === null || value === undefined) return errorRecord('ScriptHalted', { ...details, errorId: 'ScriptHalted' });
+  if (value[PS_TYPE] === STREAMS.Error.type) return value;
+  if (value[PS_TYPE] in EXCEPTION_BASES) return errorRecord(value.Message, { ...details, errorId: value.Message, exception: value });
+  const message = varToString(value);
+  return errorRecord(message, { ...details, errorId: message, target: value });
+}
+
+// Run a body until it finishes or hits `return`
+function* runBody(nodes) {
+  if (!nodes) return;
   try {
-    const depth = parseInt(params.depth ?? 2);
-    const json = JSON.stringify(input, null, 2);
-    writeLine(json);
-    return json;
-  } catch(e) {
-    writeError('ConvertTo-Json: ' + e.message); return null;
+    yield* runStatements(nodes);
+  } catch (e) {
+    if (!(e instanceof FlowSignal && e.kind === 'return')) throw e;
   }
-});
+}
 
-// ─── ConvertFrom-Json ────────────────────────────────────────
-reg(['ConvertFrom-Json','cfj'], (args, params, pipe) => {
-  const input = pipe ?? args.join(' ');
+// Run a loop body; tells the caller whether to 'break' or keep going
+function* runLoopBody(body) {
   try {
-    const obj = JSON.parse(expandVariables(String(input)));
-    writeTable(Array.isArray(obj) ? obj : [obj]);
-    return obj;
-  } catch(e) {
-    writeError('ConvertFrom-Json: Invalid JSON. ' + e.message); return null;
+    yield* runStatements(body);
+  } catch (e) {
+    if (e instanceof FlowSignal && e.kind === 'break') return 'break';
+    if (e instanceof FlowSignal && e.kind === 'continue') return 'continue';
+    throw e;
   }
-});
+  return null;
+}
 
-// ─── Get-Process (simulated) ─────────────────────────────────
-reg(['Get-Process','ps','gps'], (args, params) => {
-  const processes = [
-    { Name:'pwsh',       Id:1,    CPU:0.1,  WorkingSet:'64 MB',  Status:'Running' },
-    { Name:'node',       Id:42,   CPU:1.2,  WorkingSet:'128 MB', Status:'Running' },
-    { Name:'chrome',     Id:101,  CPU:8.5,  WorkingSet:'512 MB', Status:'Running' },
-    { Name:'code',       Id:202,  CPU:2.1,  WorkingSet:'256 MB', Status:'Running' },
-    { Name:'explorer',   Id:300,  CPU:0.0,  WorkingSet:'48 MB',  Status:'Running' },
-    { Name:'svchost',    Id:401,  CPU:0.3,  WorkingSet:'32 MB',  Status:'Running' },
-    { Name:'system',     Id:4,    CPU:0.0,  WorkingSet:'8 MB',   Status:'Running' },
-    { Name:'pstogo-app', Id:999,  CPU:0.5,  WorkingSet:'32 MB',  Status:'Running' },
-  ];
-  const filter = args[0]?.replace(/\*/g,'');
-  const rows = filter ? processes.filter(p => p.Name.includes(filter)) : processes;
-  if (rows.length === 0) { writeLine('(no matching processes)', 'line-muted'); return null; }
-  writeTable(rows, ['Name','Id','CPU','WorkingSet','Status']);
-  return rows;
-});
+function* runStatement(node) {
+  switch (node.type) {
+    case 'cmd':
+      yield* executeCommand(node.text);
+      return;
 
-// ─── Get-History ─────────────────────────────────────────────
-reg(['Get-History','h','history'], (args, params) => {
-  const count = parseInt(params.count ?? args[0] ?? state.history.length);
-  const hist = state.history.slice(-count).map((cmd,i) => ({
-    Id: state.history.length - count + i + 1,
-    CommandLine: cmd
-  }));
-  if (hist.length === 0) { writeLine('(no history)', 'line-muted'); return []; }
-  writeTable(hist, ['Id','CommandLine']);
-  return hist;
-});
+    case 'if': {
+      for (const clause of node.clauses) {
+        if (evalCondition(clause.cond)) { yield* runStatements(clause.body); return; }
+      }
+      if (node.elseBody) yield* runStatements(node.elseBody);
+      return;
+    }
 
-// ─── Invoke-Expression / iex ─────────────────────────────────
-reg(['Invoke-Expression','iex'], (args, params, pipe) => {
-  const script = expandVariables(pipe ?? params.command ?? args.join(' '));
-  return executeCommand(script);
-});
+    case 'foreach': {
+      // Bounded by its collection, so no loopGuard
+      const items = isExpressionText(node.expr) ? expressionItems(node.expr) : toArray(evalValue(node.expr));
+      for (const item of items) {
+        setVariable(node.varName, item);
+        if ((yield* runLoopBody(node.body)) === 'break') break;
+      }
+      return;
+    }
 
-// ─── Get-Command / gcm ───────────────────────────────────────
-reg(['Get-Command','gcm'], (args, params) => {
-  const filter = (args[0] ?? '').toLowerCase().replace(/\*/g,'');
-  const all = Object.keys(CMDLETS)
-    .filter((k,i,a) => a.indexOf(k) === i) // unique keys (some are aliases)
-    .filter(k => !filter || k.includes(filter))
-    .sort();
-
-  // Group by verb
-  const rows = all.map(k => ({
-    CommandType: 'Cmdlet',
-    Name: k,
-    Module: 'PSToGo'
-  }));
-  writeTable(rows, ['CommandType','Name','Module']);
-  return rows;
-});
+    case 'for': {
+      if (node.init) yield* executeCommand(node.init);
+      let count = 0;
+      while (!node.cond || evalCondition(node.cond)) {
+        loopGuard(++count);
+        if ((yield* runLoopBody(node.body)) === 'break') break;
+        if (node.step) yield* executeCommand(node.step);
+      }
+      return;
+    }
 
-// ─── Get-Help ────────────────────────────────────────────────
-reg(['Get-Help','help','man'], (args, params) => {
-  const topic = args[0]?.toLowerCase();
+    case 'while': {
+      let count = 0;
+      while (evalCondition(node.cond)) {
+        loopGuard(++count);
+        if ((yield* runLoopBody(node.body)) === 'break') break;
+      }
+      return;
+    }
 
-  if (!topic) {
-    writeLine('');
-    writeLine('POWERSHELL TO GO – Built-in Help', 'line-header');
-    writeLine('─'.repeat(50), 'line-muted');
-    writeLine('');
-    writeLine('NAVIGATION', 'line-info');
-    writeLine('  Set-Location (cd)    Change directory');
-    writeLine('  Get-Location (pwd)   Show current path');
-    writeLine('  Get-ChildItem (ls)   List directory contents');
-    writeLine('');
-    writeLine('FILE OPERATIONS', 'line-info');
-    writeLine('  Get-Content (cat)    Read a file');
-    writeLine('  Set-Content (sc)     Write to a file');
-    writeLine('  Add-Content (ac)     Append to a file');
-    writeLine('  New-Item (ni)        Create file or directory');
-    writeLine('  Remove-Item (rm)     Delete file or directory (-Recurse for dirs)');
-    writeLine('  Copy-Item (cp)       Copy a file');
-    writeLine('  Move-Item (mv)       Move a file');
-    writeLine('  Rename-Item (ren)    Rename a file');
-    writeLine('  Test-Path            Check if path exists');
-    writeLine('');
-    writeLine('OUTPUT', 'line-info');
-    writeLine('  Write-Output (echo)  Output text');
-    writeLine('  Write-Host           Output with color support');
-    writeLine('  Write-Error          Output an error');
-    writeLine('  Write-Warning        Output a warning');
-    writeLine('  Clear-Host (cls)     Clear the screen');
-    writeLine('');
-    writeLine('DATA', 'line-info');
-    writeLine('  Get-Variable (gv)    View variables');
-    writeLine('  Set-Variable (sv)    Set a variable');
-    writeLine('  Remove-Variable      Remove a variable');
-    writeLine('  Select-Object        Select properties');
-    writeLine('  Where-Object         Filter objects');
-    writeLine('  ForEach-Object       Iterate objects');
-    writeLine('  Sort-Object          Sort objects');
-    writeLine('  Measure-Object       Calculate statistics');
-    writeLine('  Format-Table (ft)    Format as table');
-    writeLine('  Format-List (fl)     Format as list');
-    writeLine('  ConvertTo-Json       Convert to JSON');
-    writeLine('  ConvertFrom-Json     Parse JSON');
-    writeLine('');
-    writeLine('SYSTEM', 'line-info');
-    writeLine('  Get-Date             Current date/time');
-    writeLine('  Get-Process (ps)     Running processes');
-    writeLine('  Get-History          Command history');
-    writeLine('  Get-Command (gcm)    List all commands');
-    writeLine('  Invoke-Expression    Execute a string as a command');
-    writeLine('  Out-String           Convert to string');
-    writeLine('');
-    writeLine('TIPS', 'line-info');
-    writeLine('  • Use Tab for auto-completion');
-    writeLine('  • Use ↑/↓ for command history');
-    writeLine('  • Use | to pipe commands');
-    writeLine('  • Variables: $name = "value"  (use Set-Variable)');
-    writeLine('  • Type "Get-Help <command>" for specific help');
-    writeLine('');
-    return null;
-  }
+    case 'do': {
+      let count = 0;
+      do {
+        loopGuard(++count);
+        if ((yield* runLoopBody(node.body)) === 'break') break;
+      } while (evalCondition(node.cond) !== node.until);
+      return;
+    }
 
-  // Specific command help
-  const helps = {
-    'get-childitem': ['Get-ChildItem [-Path <path>]','Lists items in a directory.','  ls C:\\Users\\PSUser','  gci -Path C:\\Temp'],
-    'set-location': ['Set-Location [-Path] <path>','Changes the current directory.','  cd Documents','  Set-Location C:\\Temp'],
-    'get-content': ['Get-Content [-Path] <path> [-Head n] [-Tail n]','Reads the content of a file.','  cat readme.txt','  gc -Tail 5 notes.txt'],
-    'set-content': ['Set-Content [-Path] <path> [-Value] <text>','Writes text to a file.','  sc file.txt "Hello"'],
-    'new-item': ['New-Item [-Path] <path> [-ItemType file|directory] [-Value <text>]','Creates a new file or directory.','  ni test.txt','  ni -ItemType Directory myfolder'],
-    'remove-item': ['Remove-Item [-Path] <path> [-Recurse]','Deletes a file or directory.','  rm test.txt','  Remove-Item myfolder -Recurse'],
-    'where-object': ['... | Where-Object { $_.Property -op value }','Filters objects from the pipeline.','  ls | Where-Object { $_.type -eq "file" }'],
-    'foreach-object': ['... | ForEach-Object { commands }','Runs commands for each pipeline item.','  1,2,3 | ForEach-Object { Write-Output $_ }'],
-    'measure-object': ['... | Measure-Object [-Property name] [-Sum] [-Average] [-Min] [-Max]','Calculates numeric statistics.','  Get-Process | Measure-Object -Property CPU -Sum'],
-  };
+    case 'switch':
+      yield* runSwitch(node);
+      return;
 
-  const h = helps[topic] ?? helps['get-'+topic];
-  if (h) {
-    writeLine('');
-    writeLine('SYNTAX', 'line-info');
-    writeLine('  ' + h[0]);
-    writeLine('');
-    writeLine('DESCRIPTION', 'line-info');
-    writeLine('  ' + h[1]);
-    writeLine('');
-    writeLine('EXAMPLES', 'line-info');
-    h.slice(2).forEach(ex => writeLine('  ' + ex));
-    writeLine('');
-  } else {
-    writeLine(`No specific help available for '${args[0]}'. Try: Get-Help`, 'line-warning');
+    case 'function':
+      defineFunction(node);
+      return;
+
+    case 'break':
+    case 'continue':
+      throw new FlowSignal(node.type);
+
+    case 'return':
+      // `return <pipeline>` emits the pipeline's output, then returns
+      if (node.text) yield* executeCommand(node.text);
+      throw new FlowSignal('return');
+
+    case 'exit':
+      throw new FlowSignal('exit', node.text ? toNumber(evalValue(node.text)) : 0);
+
+    case 'throw':
+      throw new TerminatingError(thrownRecord(node.text ? evalValue(node.text) : null));
+
+    case 'try':
+      yield* runTry(node);
+      return;
   }
-  return null;
-});
+}
 
-// ─── Resolve-Path ─────────────────────────────────────────────
-reg('Resolve-Path', (args, params) => {
-  const p = resolvePath(params.path ?? args[0]);
-  if (!fsExists(p)) { writeError(`Cannot find path '${p}'.`); return null; }
-  writeLine(p);
-  return p;
-});
+function switchMatches(pattern, item, opts) {
+  if (pattern.kind === 'block') return evalCondition(pattern.text);
+  // A bare word is a string here, as in PowerShell
+  const pat  = /^[A-Za-z_][\w.-]*$/.test(pattern.text) ? pattern.text : varToString(evalValue(pattern.text));
+  const text = varToString(item);
+  const cs   = opts.has('casesensitive');
+  if (opts.has('regex')) {
+    const m = text.match(new RegExp(pat, cs ? '' : 'i'));
+    if (m) setVariable('Matches', matchesTable(m));
+    return !!m;
+  }
+  if (opts.has('wildcard')) return wildcardToRegex(pat, cs ? '' : 'i').test(text);
+  return cs ? text === pat : text.toLowerCase() === pat.toLowerCase();
+}
 
-// ─── Split-Path ───────────────────────────────────────────────
-reg('Split-Path', (args, params) => {
-  const p = resolvePath(params.path ?? args[0]);
-  const leaf = params.leaf === true;
-  const parent = params.parent === true || !leaf;
-  const result = leaf ? p.split('\\').pop() : p.slice(0, p.lastIndexOf('\\'));
-  writeLine(result);
-  return result;
-});
+function* runSwitchClauses(node, item) {
+  let matched = false;
+  for (const clause of node.clauses) {
+    if (switchMatches(clause.pattern, item, node.opts)) {
+      matched = true;
+      yield* runStatements(clause.body);
+    }
+  }
+  if (!matched && node.defaultBody) yield* runStatements(node.defaultBody);
+}
 
-// ─── Join-Path ────────────────────────────────────────────────
-reg('Join-Path', (args, params) => {
-  const base = params.path ?? args[0] ?? state.cwd;
-  const child = params.childpath ?? args[1] ?? '';
-  const result = normPath(base + '\\' + child);
-  writeLine(result);
-  return result;
-});
+function* runSwitch(node) {
+  const items = toArray(evalValue(node.expr));
+  for (const item of items) {
+    try {
+      yield* streamInScope(blockScope({ _: item }), runSwitchClauses(node, item));
+    } catch (e) {
+      if (e instanceof FlowSignal && e.kind === 'break') break;
+      if (e instanceof FlowSignal && e.kind === 'continue') continue;
+      throw e;
+    }
+  }
+}
 
-// ─── Get-Item ─────────────────────────────────────────────────
-reg(['Get-Item','gi'], (args, params) => {
-  const p = resolvePath(params.path ?? args[0]);
-  if (!fsExists(p)) { writeError(`Cannot find path '${p}'.`); return null; }
-  const item = vfs[normPath(p)];
-  const info = {
-    FullName: p,
-    Name: p.split('\\').pop(),
-    Type: item.type,
-    Length: item.type === 'file' ? (item.content?.length ?? 0) : '-',
-    LastWriteTime: new Date(item.modified).toLocaleString(),
-    CreationTime:  new Date(item.created).toLocaleString(),
+// ── User-defined functions ───────────────────────────────────
+// `function` and `filter` definitions register into CMDLETS like any
+// built-in command, so lookup, Get-Command and Tab completion see them.
+
+// Split a body into begin/process/end blocks. A body that is not made of
+// named blocks is a single `implicit` block (end for functions, process
+// for filters).
+function parseNamedBlocks(text, implicit, origin = { root: text, base: 0 }) {
+  const p = { src: text, pos: 0, ...origin };
+  const blocks = {};
+  for (;;) {
+    skipSeparators(p);
+    if (p.pos >= text.length) return blocks;
+    const w = peekWord(p);
+    if (!['begin','process','end'].includes(w) || peekAfter(p, w.length) !== '{') {
+      return { [implicit]: parseScript(text, origin) };
+    }
+    p.pos += w.length;
+    blocks[w] = readBlock(p, w);
+  }
+}
+
+function defineFunction(node) {
+  const { decls, body } = node.paramText !== null
+    ? { decls: parseParamDecls(node.paramText), body: node.bodyText }
+    : extractParamBlock(node.bodyText);
+  const origin = node.origin && { ...node.origin, base: node.origin.base + node.bodyText.length - body.length };
+  const blocks = parseNamedBlocks(body, node.kind === 'filter' ? 'process' : 'end', origin);
+  const fn = function* (args, params, input) {
+    yield* invokeFunction(node.name, decls, blocks, args, params, input);
   };
-  writeTable([info]);
-  return info;
-});
+  fn.commandType = node.kind === 'filter' ? 'Filter' : 'Function';
+  fn.definition  = node.source;
+  reg(node.name, fn, {
+    parameters: Object.fromEntries(decls.map(d => [d.name, d.type === 'switch' ? 'switch' : 'text'])),
+  });
+}
 
-// ─── Start-Sleep ──────────────────────────────────────────────
-reg('Start-Sleep', (args, params) => {
-  const secs = parseFloat(params.seconds ?? params.s ?? args[0] ?? 1);
-  writeLine(`Sleeping ${secs}s...`, 'line-muted');
-  // Not actually async; just note it
-  return null;
-});
+// Run begin/process/end blocks in a new scope. The process block runs once
+// per piped item with $_ set; without one, piped items are collected into
+// $input for the end block.
+function* invokeFunction(name, decls, blocks, args, params, input) {
+  if (state.callDepth >= MAX_CALL_DEPTH) {
+    writeError(`Function '${name}' exceeded the maximum call depth of ${MAX_CALL_DEPTH}.`);
+    return;
+  }
+  const { bound, rest, missing } = bindParams(decls, args, params);
+  const pipeDecl = decls.find(d => d.fromPipeline || d.byPropertyName);
+  const unbound  = missing.filter(n => !(input && pipeDecl?.name === n));
+  if (unbound.length) {
+    throw bindingError(`${name}: Cannot process command because of one or more missing mandatory parameters: ${unbound.join(' ')}.`,
+      'MissingMandatoryParameter');
+  }
 
-// ─── $var = value assignment ──────────────────────────────────
-// Handled in executeCommand for $var = expr pattern
+  function* body() {
+    yield* runBody(blocks.begin);
+    if (blocks.process) {
+      for (const item of input ?? [null]) {
+        state.variables['_']     = item;
+        state.variables['input'] = item === null ? [] : [item];
+        if (pipeDecl && input) {
+          state.variables[pipeDecl.name] = pipeDecl.fromPipeline || typeof item !== 'object'
+            ? item : getProperty(item, pipeDecl.name);
+        }
+        yield* runBody(blocks.process);
+      }
+    } else {
+      state.variables['input'] = collect(input);
+    }
+    yield* runBody(blocks.end);
+  }
 
-// ─── Write-Progress (stub) ────────────────────────────────────
-reg('Write-Progress', (args, params) => {
-  writeLine(`[Progress] ${params.activity ?? args[0] ?? ''}`, 'line-info');
-  return null;
-});
+  state.callDepth++;
+  try {
+    yield* streamInScope(newScope({ ...bound, args: rest, input: [] }), body());
+  } finally {
+    state.callDepth--;
+  }
+}
 
-// ─── Get-Random ───────────────────────────────────────────────
-reg('Get-Random', (args, params) => {
-  const max = parseInt(params.maximum ?? params.max ?? args[0] ?? 100);
-  const min = parseInt(params.minimum ?? params.min ?? 0);
-  const r = Math.floor(Math.random() * (max - min)) + min;
-  writeLine(String(r));
-  return r;
-});
-
-// ─── String cmdlets ───────────────────────────────────────────
-reg('Get-Member', (args, params, pipe) => {
-  const methods = ['Contains','EndsWith','IndexOf','Insert','Length','PadLeft','PadRight',
-                   'Remove','Replace','Split','StartsWith','Substring','ToLower','ToUpper','Trim'];
-  writeLine('String Members:', 'line-header');
-  methods.forEach(m => writeLine(`  .${m}()`, 'line-info'));
-  return null;
-});
+// & { ... } runs a script block like an anonymous function; . { ... }
+// runs it in the current scope
+function* invokeScriptBlock(sb, args, params, input, dotSource = false) {
+  if (dotSource) {
+    yield* runBody(sb.statements);
+    return;
+  }
+  const { decls, body } = extractParamBlock(sb.text);
+  const blocks = parseNamedBlocks(body, 'end', { root: sb.text, base: sb.text.length - body.length });
+  yield* invokeFunction('<ScriptBlock>', decls, blocks, args, params, input);
+}
 
-reg(['Format-String','format'], (args, params) => {
-  const fmt  = params.format ?? args[0];
-  const vals = args.slice(1);
-  if (!fmt) { writeError('Format parameter required.'); return null; }
-  const result = fmt.replace(/\{(\d+)\}/g, (_,i) => vals[i] ?? '');
-  writeLine(result);
-  return result;
-});
+// ── Script files ──────────────────────────────────────────────
+// A bare name is never run as a script (as in PowerShell): it needs a path
+// such as .\name.ps1 or C:\Temp\name.ps1.
+function isScriptPath(token) {
+  return /\.ps1$/i.test(token) && /[\\/]/.test(token);
+}
 
-// ─── cd aliases convenience ───────────────────────────────────
-reg('..', () => { return CMDLETS['set-location'](['..'], {}, null); });
-reg('~',  () => { return CMDLETS['set-location'](['~'], {}, null); });
+// Remove <# ... #> block comments, leaving line breaks intact
+function stripBlockComments(src) {
+  return src.replace(/<#[\s\S]*?#>/g, m => m.replace(/[^\n]/g, ''));
+}
 
-// ── Command Executor ─────────────────────────────────────────
-function executeCommand(line) {
-  if (!line || !line.trim()) return null;
-  line = line.trim();
+// Split a leading param( ... ) block off a script or function body.
+// Returns { decls: [{ name, type, def, mandatory, fromPipeline, byPropertyName }], body }
+function extractParamBlock(src) {
+  const m = src.match(/^(\s*(?:#[^\n]*\n\s*)*)param\s*\(/i);
+  if (!m) return { decls: [], body: src };
+  const open = m[0].length - 1;
+  const end  = skipBalanced(src, open);
+  return { decls: parseParamDecls(src.slice(open + 1, end - 1)), body: src.slice(end) };
+}
 
-  // Skip comments
-  if (line.startsWith('#')) return null;
+// Parse "[Parameter(Mandatory)][string]$Name = 'x', [switch]$Force" into declarations
+function parseParamDecls(text) {
+  return splitTopLevel(text, ',').map(p => {
+    const m = p.match(/\$([A-Za-z_]\w*)\s*(?:=\s*([\s\S]*))?$/);
+    if (!m) return null;
+    const attrs = p.slice(0, m.index);
+    const types = [...attrs.matchAll(/\[([A-Za-z_][\w.]*)\]/g)].map(t => t[1].toLowerCase());
+    const paramAttr = attrs.match(/\[Parameter\(([^)]*)\)\]/i)?.[1] ?? '';
+    const flag = name => new RegExp('\\b' + name + '\\b(?!\\s*=\\s*\\$false)', 'i').test(paramAttr);
+    return {
+      name: m[1],
+      type: types.pop() ?? null,
+      def: m[2]?.trim() ?? null,
+      mandatory: flag('Mandatory'),
+      fromPipeline: flag('ValueFromPipeline'),
+      byPropertyName: flag('ValueFromPipelineByPropertyName'),
+    };
+  }).filter(Boolean);
+}
 
-  // Variable assignment: $name = expr
-  const assignMatch = line.match(/^\$([A-Za-z_]\w*)\s*=\s*(.*)$/);
-  if (assignMatch) {
-    const [, name, expr] = assignMatch;
-    const value = evalExpression(expandVariables(expr.trim().replace(/^["']|["']$/g,'')));
-    state.variables[name] = value;
-    return value;
+// Convert a bound argument to its declared [type]
+function coerceParam(type, v) {
+  if (v === null || v === undefined) return v;
+  if (['int','long','double','decimal','single','byte'].includes(type)) {
+    const n = Number(v);
+    return isNaN(n) ? v : (type === 'double' || type === 'decimal' || type === 'single' ? n : Math.round(n));
   }
+  if (type === 'string') return varToString(v);
+  if (type === 'bool') return isTruthy(v);
+  return v;
+}
+
+// Bind named and positional arguments to declared parameters.
+// Anything left over ends up in $args; unset mandatory parameters are
+// reported in `missing`.
+function bindParams(decls, positional, named) {
+  const bound   = {};
+  const missing = [];
+  const rest    = [...positional];
+  const extra   = { ...named };
+  // parseCommand cannot know "-Force value" is a switch followed by a
+  // positional argument, so hand such values back before binding
+  decls.filter(d => d.type === 'switch').forEach(d => {
+    const key = d.name.toLowerCase();
+    if (key in extra && typeof extra[key] !== 'boolean') {
+      rest.push(extra[key]);
+      extra[key] = true;
+    }
+  });
+  decls.forEach(d => {
+    const key = d.name.toLowerCase();
+    if (key in extra) {
+      const v = extra[key];
+      delete extra[key];
+      bound[d.name] = d.type === 'switch' ? isTruthy(v) : coerceParam(d.type, v);
+    } else if (d.type === 'switch') {
+      bound[d.name] = false;
+    } else if (rest.length) {
+      bound[d.name] = coerceParam(d.type, rest.shift());
+    } else {
+      if (d.mandatory) missing.push(d.name);
+      bound[d.name] = d.def !== null ? evalValue(d.def) : null;
+    }
+  });
+  Object.entries(extra).forEach(([k,v]) => {
+    rest.push('-' + k);
+    if (v !== true) rest.push(v);
+  });
+  return { bound, rest, missing };
+}
 
-  // Arithmetic expression only (no cmdlet prefix)
-  if (/^[\d(]/.test(line) && /^[\d\s+\-*/%.()]+$/.test(line)) {
-    const n = safeArith(line);
-    if (!isNaN(n)) { writeLine(String(n)); return n; }
+function* runScript(pathArg, positional, named, input, dotSource) {
+  const p = resolvePath(pathArg);
+  if (!fsIsFile(p)) throw commandNotFound(pathArg, `The term '${pathArg}' is not recognized as a cmdlet, function, or operable program.`);
+  if (state.callDepth >= MAX_CALL_DEPTH) {
+    writeError(`Script '${p}' exceeded the maximum call depth of ${MAX_CALL_DEPTH}.`);
+    return;
   }
 
-  // Pipeline
-  const segments = parsePipeline(line);
-  let pipeValue = null;
+  const source = stripBlockComments(fsGetContent(p));
+  const { decls, body } = extractParamBlock(source);
+  const origin = { root: source, base: source.length - body.length };
+  const { bound, rest, missing } = bindParams(decls, positional, named);
+  if (missing.length) {
+    throw bindingError(`${p}: Cannot process command because of one or more missing mandatory parameters: ${missing.join(' ')}.`,
+      'MissingMandatoryParameter');
+  }
+  const automatic = {
+    args: rest,
+    input: collect(input),
+    PSScriptRoot: p.slice(0, p.lastIndexOf('\\')),
+    PSCommandPath: p,
+  };
 
-  for (let si = 0; si < segments.length; si++) {
-    const seg = expandVariables(segments[si]).trim();
-    if (!seg) continue;
-
-    const rawArgs  = parseArgs(seg);
-    if (!rawArgs.length) continue;
-
-    const cmdName  = rawArgs[0].toLowerCase();
-    const restArgs = rawArgs.slice(1);
-    const { params, positional } = parseNamedParams(restArgs);
-    const allArgs  = positional;
-
-    const fn = CMDLETS[cmdName];
-    if (!fn) {
-      // Attempt to run as expression/alias
-      if (cmdName.startsWith('$')) {
-        const varName = cmdName.slice(1);
-        const val = state.variables[varName] ?? getBuiltinVar(varName);
-        if (val !== undefined) { writeLine(String(val)); pipeValue = val; continue; }
-      }
-      writeError(`The term '${rawArgs[0]}' is not recognized as a cmdlet, function, or operable program.`);
-      writeError(`Type 'Get-Help' for a list of available commands.`);
-      pipeValue = null; break;
+  state.callDepth++;
+  try {
+    if (dotSource) {
+      // Parameters and what the script assigns land in the caller's
+      // scope; the automatic variables are the script's own
+      Object.entries(bound).forEach(([name, value]) => setVariable(name, value));
+      yield* streamInScope(blockScope(automatic), runScriptStream(body, origin));
+    } else {
+      yield* streamInScope(newScope({ ...bound, ...automatic }), runScriptStream(body, origin));
     }
+  } catch (e) {
+    if (!(e instanceof FlowSignal && e.kind === 'exit')) throw e;
+    setExitCode(e.value);
+  } finally {
+    state.callDepth--;
+  }
+}
 
-    pipeValue = fn(allArgs, params, pipeValue);
+// Parse and run script text as an output stream; `return` ends it early
+// and parse errors are reported rather than thrown
+function* runScriptStream(text, origin) {
+  let nodes;
+  try {
+    nodes = parseScript(text, origin);
+  } catch (e) {
+    if (e instanceof SyntaxError) { writeError('ParserError: ' + e.message); return; }
+    throw e;
   }
+  yield* runBody(nodes);
+}
 
-  return pipeValue;
+// Run script text typed at the prompt and render its output. Runaway
+// loops, terminating errors (throw, the Stop preference) and stray
+// break/continue are reported rather than thrown; exit only sets
+// $LASTEXITCODE.
+function runScriptText(text) {
+  const out = createOutDefault();
+  const running = state.running;
+  state.running = true;
+  try {
+    for (const item of runScriptStream(text)) out.write(item);
+  } catch (e) {
+    out.flush();
+    if (e instanceof FlowSignal && e.kind === 'exit') setExitCode(e.value);
+    else if (e instanceof TerminatingError) {
+      recordError(e.errorRecord);
+      showRecord(e.errorRecord);
+      state.succeeded = false;
+    }
+    else if (e instanceof RangeError) writeError(e.message);
+    else if (!(e instanceof FlowSignal)) throw e;
+    return;
+  } finally {
+    state.running = running;
+  }
+  out.flush();
 }
 
 // ── Tab completion ────────────────────────────────────────────
-const ALL_CMDLETS_SORTED = () => Object.keys(CMDLETS).sort();
-
-function getCompletions(input) {
-  input = input.trimStart();
-  const tokens = parseArgs(input);
-  if (tokens.length === 0) return [];
 
-  const firstToken = tokens[0];
-  const isFirstToken = tokens.length === 1 && !input.endsWith(' ');
+// Where completion happens: the text of the command being typed, and the
+// pipeline stages before it, for this command and for the one whose script
+// block it is in (`ls | % { $_.<Tab>`)
+function completionContext(input) {
+  const frames = [{ stages: [0] }];
+  let pos = 0;
+  for (const { text, cls } of tokenizePowerShell(input)) {
+    const end = pos + text.length;
+    if (!cls) {
+      if (text === '(' || text === '{') frames.push({ stages: [end] });
+      else if ((text === ')' || text === '}') && frames.length > 1) frames.pop();
+      else if (text === '|') frames.at(-1).stages.push(end);
+      else if (text === ';' || text === '\n' || text === '=') frames.at(-1).stages = [end];
+    }
+    pos = end;
+  }
+  const upstream = frame => frame ? frame.stages.slice(0, -1)
+    .map((start, i) => input.slice(start, frame.stages[i + 1]).replace(/\|\s*$/, '').trim()) : [];
+  return {
+    command:   input.slice(frames.at(-1).stages.at(-1)).trimStart(),
+    upstream:  upstream(frames.at(-1)),
+    enclosing: upstream(frames.at(-2)),
+  };
+}
 
-  if (isFirstToken) {
-    // Complete cmdlet name
-    const lower = firstToken.toLowerCase();
-    return ALL_CMDLETS_SORTED()
-      .filter(k => k.startsWith(lower))
-      .slice(0, 12)
-      .map(k => ({ label: k, type:'cmdlet', replace: k }));
+// Built-in cmdlets that only read, so completion may run them
+const SAMPLE_COMMANDS = new Set([
+  'Get-Date', 'Get-Location', 'Get-ChildItem', 'Get-Content', 'Get-PSDrive', 'Get-Variable',
+  'Get-Process', 'Get-History', 'Get-Command', 'Get-Alias', 'Get-Item',
+]);
+
+// First object a pipeline would emit, for property completion. Only runs
+// what is safe to run: a variable, or one of SAMPLE_COMMANDS with no
+// subexpressions or script blocks in its arguments, looking past
+// Where-Object and Sort-Object which pass objects through unchanged.
+function samplePipeline(stages) {
+  for (let i = stages.length - 1; i >= 0; i--) {
+    const text = stages[i];
+    if (/^\$[\w:]+$/.test(text)) return toArray(getVariable(text.slice(1)))[0];
+    const fn = resolveCommand(tokenizeCommand(text)[0] ?? '');
+    if (!fn) return undefined;
+    if (['Where-Object', 'Sort-Object'].includes(fn.commandName)) continue;
+    // Arguments are evaluated while parsing, so nothing that could run code
+    if (fn.commandType || !SAMPLE_COMMANDS.has(fn.commandName) || /[({]/.test(text)) return undefined;
+    const cmd = parseCommand(text);
+    const muted = state.muted;
+    state.muted = true;
+    try {
+      const stream = invokeCommand(cmd, null);
+      for (const item of stream ?? []) return item;
+    } catch (e) {
+      return undefined;
+    } finally {
+      state.muted = muted;
+    }
+    return undefined;
   }
+  return undefined;
+}
+
+function memberCompletions(value, before, prefix) {
+  if (value === undefined) return [];
+  const lower = prefix.toLowerCase();
+  const seen = new Set();
+  return membersOf(value)
+    .filter(m => m.Name.toLowerCase().startsWith(lower) && !seen.has(m.Name) && seen.add(m.Name))
+    .map(m => ({
+      label: m.Name, type: m.MemberType.toLowerCase(),
+      replace: before + m.Name + (m.MemberType === 'Method' ? '(' : ''),
+    }));
+}
+
+function variableCompletions(prefix, sigil='$') {
+  const lower = prefix.toLowerCase();
+  const names = [];
+  for (const n in state.variables) if (n.toLowerCase().startsWith(lower)) names.push(n);
+  return names.sort((a,b) => a.localeCompare(b))
+    .map(n => ({ label: sigil + n, type: 'variable', replace: sigil + n }));
+}
+
+// Command names; an alias completes to (expands into) the command it names
+function commandCompletions(prefix) {
+  const lower = prefix.toLowerCase();
+  const seen = new Set();
+  return [...Object.keys(CMDLETS), ...Object.keys(ALIASES)].sort()
+    .filter(k => k.startsWith(lower))
+    .map(k => {
+      const fn = resolveCommand(k);
+      const alias = ALIASES[k];
+      if (!fn) return null;
+      return {
+        label:   alias ? `${alias.Name} → ${fn.commandName}` : fn.commandName,
+        type:    alias ? 'alias' : (fn.commandType ?? 'Cmdlet').toLowerCase(),
+        replace: fn.commandName,
+      };
+    })
+    .filter(c => c && !seen.has(c.replace) && seen.add(c.replace))
+    .slice(0, 12);
+}
 
-  // Complete file path (last token)
-  const lastToken = tokens[tokens.length - 1];
-  const colonIdx = lastToken.lastIndexOf(':');
-  const isAbsolute = /^[A-Za-z]:/.test(lastToken);
-  const slashIdx = Math.max(lastToken.lastIndexOf('\\'), lastToken.lastIndexOf('/'));
+function pathCompletions(token, dirsOnly=false) {
+  const isAbsolute = /^[A-Za-z]:/.test(token);
+  const slashIdx = Math.max(token.lastIndexOf('\\'), token.lastIndexOf('/'));
 
   let dir, prefix;
   if (slashIdx >= 0 || isAbsolute) {
-    let base = lastToken.slice(0, slashIdx + 1);
-    prefix = lastToken.slice(slashIdx + 1);
-    dir = isAbsolute ? resolvePath(base || lastToken.slice(0,2)+'\\') : resolvePath(base || '.');
+    const base = token.slice(0, slashIdx + 1);
+    prefix = token.slice(slashIdx + 1);
+    dir = isAbsolute ? resolvePath(base || token.slice(0,2)+'\\') : resolvePath(base || '.');
   } else {
     dir = state.cwd;
-    prefix = lastToken;
+    prefix = token;
   }
 
   const items = fsExists(dir) ? fsListDir(dir) : [];
   return items
-    .filter(i => i.name.toLowerCase().startsWith(prefix.toLowerCase()))
+    .filter(i => i.name.toLowerCase().startsWith(prefix.toLowerCase()) && (!dirsOnly || i.type === 'dir'))
     .slice(0, 12)
     .map(i => ({
       label: i.name + (i.type==='dir'?'\\':''),
       type: i.type,
-      replace: (slashIdx >= 0 ? lastToken.slice(0, slashIdx+1) : '') + i.name + (i.type==='dir'?'\\':'')
+      replace: (slashIdx >= 0 ? token.slice(0, slashIdx+1) : '') + i.name + (i.type==='dir'?'\\':'')
     }));
 }
 
+// Values for a parameter declared with `kind` (see reg); sample() is the
+// first piped object, if it may be found
+function valueCompletions(kind, token, sample) {
+  const matching = (values, type='value') => values
+    .filter(v => String(v).toLowerCase().startsWith(token.toLowerCase()))
+    .slice(0, 12)
+    .map(v => ({ label: String(v), type, replace: String(v) }));
+  if (Array.isArray(kind)) return matching(kind);
+  if (typeof kind === 'function') return matching(kind());
+  if (kind === 'directory') return pathCompletions(token, true);
+  if (kind === 'variable') return variableCompletions(token, '');
+  if (kind === 'command') return commandCompletions(token);
+  if (kind === 'property') {
+    const value = sample();
+    return value === undefined ? [] :
+      matching(membersOf(value).filter(m => m.MemberType !== 'Method').map(m => m.Name), 'property');
+  }
+  if (kind === 'switch' || kind === 'int') return [];
+  return pathCompletions(token);
+}
+
+// Completions for the last token of `input`. Each has the `token` it
+// replaces, so applyCompletion can splice it in. Live (as-you-type)
+// completion doesn't run commands to sample pipeline output.
+function getCompletions(input, live=false) {
+  const { command, upstream, enclosing } = completionContext(input);
+  const sample = stages => live ? undefined : samplePipeline(stages);
+  const token = command.match(/\S*$/)[0];
+  const words = parseArgs(command.slice(0, command.length - token.length));
+  const withToken = items => items.map(c => ({ ...c, token }));
+
+  // $var and $var.Member; $_ is whatever the enclosing pipeline emits
+  const member = token.match(/^(\$[\w:]+(?:\.\w+)*)\.(\w*)$/);
+  if (member) {
+    const [, path, prefix] = member;
+    const [root, ...props] = path.slice(1).split('.');
+    let value = root === '_' || root === 'PSItem' ? sample(enclosing) : getVariable(root);
+    for (const p of props) value = value === undefined ? undefined : getProperty(value, p);
+    return withToken(memberCompletions(value, path + '.', prefix));
+  }
+  if (/^\$[\w:]*$/.test(token)) return withToken(variableCompletions(token.slice(1)));
+
+  if (!words.length) return token ? withToken(commandCompletions(token)) : [];
+
+  const fn = resolveCommand(words[0]);
+  const infos = parameterInfo(fn);
+  const find = word => {
+    const matches = matchParameters(fn, word.slice(1).replace(/:$/, ''));
+    return matches.length === 1 ? matches[0] : undefined;
+  };
+
+  // -Param names not already used
+  if (/^-\w*$/.test(token)) {
+    const used = new Set(words.filter(w => w.startsWith('-')).map(find));
+    return withToken([...infos, ...(fn ? COMMON_PARAMETERS : [])]
+      .filter(p => !used.has(p) && p.name.toLowerCase().startsWith(token.slice(1).toLowerCase()))
+      .map(p => ({ label: '-' + p.name, type: 'parameter', replace: '-' + p.name })));
+  }
+
+  // The value of the -Param just before, or else the next positional one
+  const prev = words.length > 1 && words.at(-1).startsWith('-') ? find(words.at(-1)) : undefined;
+  const sampleUpstream = () => sample(upstream);
+  if (prev && prev.kind !== 'switch') return withToken(valueCompletions(prev.kind, token, sampleUpstream));
+  let position = 0;
+  for (let i = 1; i < words.length; i++) {
+    const p = words[i].startsWith('-') ? find(words[i]) : undefined;
+    if (!words[i].startsWith('-')) position++;
+    else if (p && p.kind !== 'switch') i++;
+  }
+  const positional = infos.find(p => p.position === position);
+  return withToken(valueCompletions(positional ? positional.kind : 'path', token, sampleUpstream));
+}
+
 // ── DOM / UI ──────────────────────────────────────────────────
 let installPromptEvent = null;
 
+// Run the prompt function and show its output. Only what it returns
+// counts, joined into one string; its errors are swallowed, and a prompt
+// that fails or returns nothing shows "PS>", as in PowerShell. $? keeps what
+// the last command set.
+function refreshPrompt() {
+  const { muted, succeeded } = state;
+  state.muted = true;
+  try {
+    state.prompt = [...runScriptStream('prompt')].map(varToString).join('') || 'PS>';
+  } catch (e) {
+    state.prompt = 'PS>';
+  } finally {
+    Object.assign(state, { muted, succeeded });
+  }
+  updatePromptLabel();
+}
+
+// The label shows the prompt's last line; echoed commands get all of it
 function updatePromptLabel() {
   const el = document.getElementById('input-prompt-label');
   if (!el) return;
-  const fullPrompt = 'PS ' + state.cwd + ' >';
-  el.title = fullPrompt; // always available as a tooltip
-  // Compact form for narrow screens: show last folder only
+  const text = state.prompt.split(/\r?\n/).at(-1).trimEnd();
+  el.title = state.prompt.trimEnd(); // always available as a tooltip
+  // Continuation lines get PowerShell's >> prompt
+  if (document.getElementById('input-area')?.classList.contains('multiline')) {
+    el.textContent = '>>';
+    return;
+  }
+  // Compact form for narrow screens: the current directory shrinks to its last folder
   if (window.innerWidth < MOBILE_BP) {
     const parts = state.cwd.split('\\');
     const short = parts.length > 1 ? '\u2026\\' + parts[parts.length - 1] : state.cwd;
-    el.textContent = 'PS ' + short + ' >';
+    el.textContent = text.split(state.cwd).join(short);
   } else {
-    el.textContent = fullPrompt;
+    el.textContent = text;
   }
 }
 
@@ -1317,67 +7051,61 @@ function hideSuggestions() {
 
 function applyCompletion(item) {
   const input = document.getElementById('cmd-input');
-  const val   = input.value;
-  const tokens = parseArgs(val);
-  if (tokens.length <= 1 && !val.endsWith(' ')) {
-    input.value = item.replace;
-  } else {
-    // Replace last token
-    const lastSpace = val.lastIndexOf(' ');
-    input.value = (lastSpace >= 0 ? val.slice(0, lastSpace+1) : '') + item.replace;
-  }
+  input.value = input.value.slice(0, input.value.length - item.token.length) + item.replace;
   input.focus(); // always focus when user explicitly chose a completion
   // move cursor to end
   const len = input.value.length;
   input.setSelectionRange(len, len);
+  updateInputHighlight();
 }
 
 /** Focus the input respecting the keyboard auto-show preference. */
 function focusInput() {
-  if (state.keyboardAutoShow) {
+  if (state.keyboardAutoShow && !editor.path) {
     document.getElementById('cmd-input')?.focus();
   }
 }
 
+// Enter: run the command, or start a continuation line if it is incomplete
+function submitInput() {
+  const input = document.getElementById('cmd-input');
+  if (isIncompleteInput(input.value)) insertInputNewline();
+  else runInput();
+}
+
+// New line that keeps the current indentation, one level deeper after an
+// opening bracket
+function insertInputNewline() {
+  const input = document.getElementById('cmd-input');
+  const before = input.value.slice(0, input.selectionStart);
+  const line = before.slice(before.lastIndexOf('\n') + 1);
+  let indent = line.match(/^\s*/)[0];
+  if (/[{(]\s*$/.test(line)) indent += '    ';
+  input.setRangeText('\n' + indent, input.selectionStart, input.selectionEnd, 'end');
+  hideSuggestions();
+  updateInputHighlight();
+}
+
 function runInput() {
   const input = document.getElementById('cmd-input');
   const cmd   = input.value.trim();
   hideSuggestions();
-  if (!cmd) return;
+  if (!cmd || state.loading) return;
 
   writePrompt(cmd);
   addHistory(cmd);
   state.historyIndex = state.history.length;
   input.value = '';
+  updateInputHighlight();
 
-  // Multiple commands separated by semicolons
-  const cmds = splitStatements(cmd);
-  cmds.forEach(c => executeCommand(c));
+  runScriptText(cmd);
+  refreshPrompt();
+  saveSession();
 
   scrollToBottom();
   setTimeout(focusInput, 50);
 }
 
-// Split on ; but not inside strings or script blocks
-function splitStatements(line) {
-  const stmts = [];
-  let cur = '';
-  let inS = false, inD = false, depth = 0;
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === "'" && !inD) inS = !inS;
-    else if (c === '"' && !inS) inD = !inD;
-    else if (c === '{' && !inS && !inD) depth++;
-    else if (c === '}' && !inS && !inD) depth--;
-    else if (c === ';' && !inS && !inD && depth === 0) {
-      stmts.push(cur.trim()); cur = ''; continue;
-    }
-    cur += c;
-  }
-  if (cur.trim()) stmts.push(cur.trim());
-  return stmts.filter(Boolean);
-}
-
 function initUI() {
   const input  = document.getElementById('cmd-input');
   const runBtn = document.getElementById('run-btn');
@@ -1391,7 +7119,8 @@ function initUI() {
         hideSuggestions();
         return;
       }
-      runInput();
+      if (e.shiftKey) insertInputNewline();
+      else submitInput();
       return;
     }
 
@@ -1417,6 +7146,8 @@ function initUI() {
     if (e.key === 'Escape') { hideSuggestions(); return; }
 
     if (e.key === 'ArrowUp') {
+      // Within a multi-line command the arrows move between its lines
+      if (!state.suggestions.length && input.value.lastIndexOf('\n', input.selectionStart - 1) >= 0) return;
       if (state.suggestions.length) {
         e.preventDefault();
         state.sugIndex = Math.max(0, state.sugIndex - 1);
@@ -1429,11 +7160,13 @@ function initUI() {
       if (state.historyIndex > 0) {
         state.historyIndex--;
         input.value = state.history[state.historyIndex] ?? '';
+        updateInputHighlight();
       }
       return;
     }
 
     if (e.key === 'ArrowDown') {
+      if (!state.suggestions.length && input.value.indexOf('\n', input.selectionEnd) >= 0) return;
       if (state.suggestions.length) {
         e.preventDefault();
         state.sugIndex = Math.min(state.suggestions.length - 1, state.sugIndex + 1);
@@ -1450,6 +7183,7 @@ function initUI() {
         state.historyIndex = state.history.length;
         input.value = '';
       }
+      updateInputHighlight();
       return;
     }
 
@@ -1457,10 +7191,20 @@ function initUI() {
     if (!['Shift','Control','Alt','Meta'].includes(e.key)) hideSuggestions();
   });
 
+  // Touch keyboards may skip keydown for Enter and only send the line break
+  input.addEventListener('beforeinput', e => {
+    if (e.inputType === 'insertLineBreak' || e.inputType === 'insertParagraph') {
+      e.preventDefault();
+      submitInput();
+    }
+  });
+
   // Live tab suggestion on input
   input.addEventListener('input', () => {
-    if (input.value.length > 1) {
-      const comps = getCompletions(input.value);
+    updateInputHighlight();
+    const line = input.value.split('\n').at(-1);
+    if (line.length > 1) {
+      const comps = getCompletions(input.value, true);
       if (comps.length > 1) showSuggestions(comps);
       else hideSuggestions();
     } else {
@@ -1468,6 +7212,10 @@ function initUI() {
     }
   });
 
+  // Moving the caret can scroll a long command
+  ['keyup', 'click', 'select', 'scroll'].forEach(ev =>
+    input.addEventListener(ev, syncInputScroll, { passive: true }));
+
   runBtn.addEventListener('click', runInput);
 
   // Scroll tracking
@@ -1482,6 +7230,7 @@ function initUI() {
       const cmd = btn.dataset.cmd;
       if (cmd) {
         input.value = cmd;
+        updateInputHighlight();
         if (btn.dataset.run === 'true') {
           runInput();
         } else {
@@ -1495,7 +7244,7 @@ function initUI() {
   document.getElementById('btn-settings')?.addEventListener('click', openSettings);
   document.getElementById('btn-help')?.addEventListener('click', openHelp);
   document.getElementById('btn-clear')?.addEventListener('click', () => {
-    executeCommand('Clear-Host');
+    CMDLETS['clear-host']([], {}, null);
   });
 
   // Keyboard toggle (header button)
@@ -1526,6 +7275,22 @@ function initUI() {
     saveSettings();
   });
 
+  // Start Fresh toggle (settings panel)
+  const freshToggle = document.getElementById('start-fresh-toggle');
+  if (freshToggle) freshToggle.checked = state.startFresh;
+  freshToggle?.addEventListener('change', e => {
+    state.startFresh = e.target.checked;
+    saveSettings();
+  });
+
+  // Safe Mode toggle (settings panel)
+  const safeToggle = document.getElementById('safe-mode-toggle');
+  if (safeToggle) safeToggle.checked = state.safeMode;
+  safeToggle?.addEventListener('change', e => {
+    state.safeMode = e.target.checked;
+    saveSettings();
+  });
+
   document.getElementById('btn-clear-history')?.addEventListener('click', () => {
     state.history = [];
     localStorage.removeItem(HIST_KEY);
@@ -1535,24 +7300,56 @@ function initUI() {
 
   document.getElementById('btn-reset-fs')?.addEventListener('click', () => {
     if (confirm('Reset the virtual filesystem to defaults? This cannot be undone.')) {
-      localStorage.removeItem(FS_KEY);
-      vfs = {};
       state.cwd = 'C:\\Users\\PSUser\\Desktop';
-      initFS();
-      updatePromptLabel();
-      writeLine('Filesystem reset to defaults.', 'line-success');
+      resetFS().then(() => {
+        refreshPrompt();
+        writeLine('Filesystem reset to defaults.', 'line-success');
+      });
       closeSettings();
     }
   });
 
   document.getElementById('btn-export')?.addEventListener('click', () => {
-    const data = JSON.stringify({ vfs, history: state.history, variables: state.variables }, null, 2);
-    const blob = new Blob([data], { type:'application/json' });
-    const url  = URL.createObjectURL(blob);
-    const a    = document.createElement('a');
-    a.href = url; a.download = 'pstogo-export.json';
-    a.click(); URL.revokeObjectURL(url);
+    downloadBlob(new Blob([exportSession()], { type:'application/json' }), 'pstogo-export.json');
+    closeSettings();
+  });
+
+  // Import Session: pick a bundle, show what merging it would change, confirm
+  document.getElementById('btn-import')?.addEventListener('click', () => {
     closeSettings();
+    pickDeviceFile('.json,application/json', async file => {
+      const text = await file.text();
+      let bundle;
+      try { bundle = parseSessionBundle(text); }
+      catch(e) { writeError(e.message); return; }
+      const diff = sessionDiff(bundle, false);
+      writeSessionDiff(diff, file.name, false);
+      const summary = `${diff.added.length} files added, ${diff.overwritten.length} overwritten, ` +
+        `${diff.varsAdded.length + diff.varsChanged.length} variables, ${diff.history} history entries.`;
+      if (!confirm(`Merge "${file.name}" into this session?\n\n${summary}\n\nTo replace the session instead, run Import-PSToGoSession -Mode Replace.`)) {
+        writeLine('Import cancelled.', 'line-warning');
+        return;
+      }
+      applySession(bundle, false);
+      writeLine(`Session merged from ${file.name}.`, 'line-success');
+    });
+  });
+
+  // Files dropped anywhere on the app land in the current directory
+  const app = document.getElementById('app');
+  app?.addEventListener('dragover', e => {
+    if (![...e.dataTransfer.types].includes('Files')) return;
+    e.preventDefault();
+    app.classList.add('drop-target');
+  });
+  app?.addEventListener('dragleave', e => {
+    if (!app.contains(e.relatedTarget)) app.classList.remove('drop-target');
+  });
+  app?.addEventListener('drop', async e => {
+    app.classList.remove('drop-target');
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    await importDeviceFiles(await droppedFiles(e.dataTransfer), state.cwd);
   });
 
   // Help panel
@@ -1594,6 +7391,9 @@ function initUI() {
       const app = document.getElementById('app');
       app.style.height = vv.height + 'px';
       app.style.top    = vv.offsetTop + 'px';
+      // The editor sits outside #app and must also stay above the keyboard
+      const ed = document.getElementById('editor-overlay');
+      if (ed) { ed.style.height = vv.height + 'px'; ed.style.top = vv.offsetTop + 'px'; }
     };
     window.visualViewport.addEventListener('resize', onViewportChange, { passive: true });
     window.visualViewport.addEventListener('scroll', onViewportChange, { passive: true });
@@ -1616,8 +7416,30 @@ function closeSettings() {
   document.getElementById('settings-overlay')?.classList.remove('open');
 }
 function openHelp() {
+  renderHelpCommands();
   document.getElementById('help-overlay')?.classList.add('open');
 }
+// The panel's command sections, from the same metadata as Get-Help
+function renderHelpCommands() {
+  const box = document.getElementById('help-commands');
+  if (!box) return;
+  box.replaceChildren(...helpCategories().map(group => {
+    const section = document.createElement('section');
+    section.className = 'help-section';
+    const title = document.createElement('h3');
+    title.textContent = group.name;
+    const table = document.createElement('table');
+    table.className = 'help-table';
+    const body = table.createTBody();
+    group.commands.forEach(fn => {
+      const row = body.insertRow();
+      row.insertCell().textContent = helpLabel(fn);
+      row.insertCell().textContent = fn.meta.synopsis ?? '';
+    });
+    section.append(title, table);
+    return section;
+  }));
+}
 function closeHelp() {
   document.getElementById('help-overlay')?.classList.remove('open');
 }
@@ -1625,6 +7447,401 @@ function hideBanner() {
   document.getElementById('install-banner')?.classList.remove('visible');
 }
 
+// ── Syntax highlighting ──────────────────────────────────────
+// PowerShell source as HTML with the .ps-* classes. A lexer of its own
+// rather than the parser's, so half-typed code still colours sensibly.
+// It also finds what will certainly fail: commands that resolve to nothing
+// and unterminated strings, comments and brackets.
+const PS_KEYWORDS = new Set([
+  'begin','break','catch','continue','do','dynamicparam','else','elseif','end','exit','filter',
+  'finally','for','foreach','function','if','in','param','process','return','switch','throw',
+  'trap','try','until','while',
+]);
+
+const HIGHLIGHT_RE = new RegExp([
+  /(<#[\s\S]*?(?:#>|$))/,                                      // 1 block comment
+  /(#.*)/,                                                     // 2 line comment
+  /(@"[\s\S]*?(?:\n"@|$)|@'[\s\S]*?(?:\n'@|$))/,               // 3 here-string
+  /("(?:`[\s\S]|""|[^"`])*"?|'(?:''|[^'])*'?)/,                // 4 string
+  /(\$(?:\{[^}\n]*\}?|[\w?^$]+(?::\w+)?))/,                    // 5 variable
+  /(\[[A-Za-z][\w.]*(?:\[\])?\])/,                             // 6 type literal
+  /(0x[0-9a-f]+\b|\d+(?:\.\d+)?(?:e[+-]?\d+)?(?:kb|mb|gb|tb|pb)?\b)/, // 7 number
+  /((?<=[\w)\]}])(?:\.|::)[A-Za-z_]\w*)/,                      // 8 member access
+  /((?:\.{1,2}|~)?\\[^\s|;(){}]*|\.{1,2}\/[^\s|;(){}]*|[A-Za-z]:\\[^\s|;(){}]*)/, // 9 path
+  /((?<=^|[\s(,|;{=])-[A-Za-z][\w-]*)/,                        // 10 parameter / operator
+  /([A-Za-z_][\w.\\:-]*)/,                                     // 11 word
+  /([({[])/,                                                   // 12 open bracket
+  /([)}\]])/,                                                  // 13 close bracket
+  /([|;=\n])/,                                                 // 14 starts a command
+  /([\s\S])/,                                                  // 15 anything else
+].map(r => r.source).join('|'), 'iy');
+
+const STRING_CLOSED_RE = /^(?:"(?:`[\s\S]|""|[^"`])*"|'(?:''|[^'])*')$/;
+
+// Split source into { text, cls, issue, incomplete } tokens. `issue` is set
+// on tokens that will fail: unknown commands, unterminated strings and
+// brackets; the unterminated ones are also `incomplete`.
+function tokenizePowerShell(src) {
+  const tokens = [];
+  // Open brackets; a `{` is a 'hash' or 'switch' body, where a new line
+  // starts a key or case rather than a command
+  const stack = [];
+  let cmdPos = true, afterClose = false, switchAt = -1, m;
+  const push = (text, cls='', issue=null, incomplete=false) => {
+    tokens.push({ text, cls, issue, incomplete });
+    return tokens.at(-1);
+  };
+  const inBody = () => ['hash', 'switch'].includes(stack.at(-1)?.kind);
+  HIGHLIGHT_RE.lastIndex = 0;
+  while (HIGHLIGHT_RE.lastIndex < src.length && (m = HIGHLIGHT_RE.exec(src))) {
+    const [text] = m;
+    const closing = afterClose;
+    afterClose = false;
+    if (m[1]) {
+      const closed = text.length >= 4 && text.endsWith('#>');
+      push(text, 'ps-comment', closed ? null : "Missing closing '#>' for the block comment.", !closed);
+    }
+    else if (m[2]) push(text, 'ps-comment');
+    else if (m[3]) {
+      const closed = /\n["']@$/.test(text);
+      push(text, 'ps-string', closed ? null : `The string is missing the terminator: ${text[1]}@.`, !closed);
+      cmdPos = false;
+    }
+    else if (m[4]) {
+      const closed = STRING_CLOSED_RE.test(text);
+      push(text, 'ps-string', closed ? null : `The string is missing the terminator: ${text[0]}.`, !closed);
+      cmdPos = false;
+    }
+    else if (m[5])         { push(text, 'ps-var'); cmdPos = false; }
+    else if (m[6])         push(text, 'ps-type');
+    else if (m[7])         { push(text, 'ps-number'); cmdPos = false; }
+    else if (m[8] || m[9]) { push(text); cmdPos = false; }
+    else if (m[10])        push(text, dashOperator(text.slice(1)) ? 'ps-keyword' : 'ps-param');
+    else if (m[11]) {
+      const lower = text.toLowerCase();
+      if (PS_KEYWORDS.has(lower) && (cmdPos || closing || lower === 'in')) {
+        push(text, 'ps-keyword');
+        if (lower === 'switch') switchAt = stack.length;
+        cmdPos = lower !== 'function' && lower !== 'filter';
+        continue;
+      }
+      if (!cmdPos) push(text);
+      else if (resolveCommand(lower)) push(text, 'ps-cmdlet');
+      else push(text, /^[A-Za-z]+-[A-Za-z]+$/.test(text) ? 'ps-cmdlet' : '',
+        `The term '${text}' is not recognized as a cmdlet, function, or operable program.`);
+      cmdPos = false;
+    }
+    else if (m[12]) {
+      let kind = text;
+      if (text === '{' && src[HIGHLIGHT_RE.lastIndex - 2] === '@') kind = 'hash';
+      else if (text === '{' && switchAt === stack.length) { kind = 'switch'; switchAt = -1; }
+      stack.push({ kind, token: push(text) });
+      // (...) inside [...] holds attribute arguments, e.g. [Parameter(Mandatory)]
+      cmdPos = text === '(' ? stack.at(-2)?.kind !== '[' : text === '{' && !inBody();
+    }
+    else if (m[13]) {
+      const open = stack.at(-1);
+      if (open && BRACKET_PAIRS[open.token.text] === text) { stack.pop(); push(text); }
+      else push(text, '', `Unexpected token '${text}' in expression or statement.`);
+      cmdPos = false;
+      afterClose = text === '}';
+    }
+    else if (m[14])        { push(text); cmdPos = text === '=' || !inBody(); }
+    else if (cmdPos && resolveCommand(text)) { push(text, 'ps-cmdlet'); cmdPos = false; }  // % and ?
+    else                   { push(text); afterClose = closing && /\s/.test(text); }
+  }
+  for (const { token } of stack) {
+    token.issue = `Missing closing '${BRACKET_PAIRS[token.text]}'.`;
+    token.incomplete = true;
+  }
+  return tokens;
+}
+
+// Input that needs more lines before it can run: an open bracket, string or
+// comment, or a trailing pipe or backtick
+function isIncompleteInput(src) {
+  const tokens = tokenizePowerShell(src).filter(t => t.text.trim());
+  const last = tokens.at(-1);
+  return tokens.some(t => t.incomplete) || (!!last && !last.cls && (last.text === '|' || last.text === '`'));
+}
+
+// Spans never cross a line break, so the result can be split into lines
+function renderTokens(tokens, squiggles=false) {
+  return tokens.map(({ text, cls, issue }) => {
+    if (squiggles && issue) cls = (cls + ' ps-error').trim();
+    if (!cls) return escHtml(text);
+    return text.split('\n').map(part => part && `<span class="${cls}">${escHtml(part)}</span>`).join('\n');
+  }).join('');
+}
+
+function highlightPowerShell(src) {
+  return renderTokens(tokenizePowerShell(src));
+}
+
+// Keep the highlight layer scrolled with the input it sits behind
+function syncInputScroll() {
+  const input = document.getElementById('cmd-input');
+  const layer = document.getElementById('cmd-highlight');
+  layer.scrollLeft = input.scrollLeft;
+  layer.scrollTop  = input.scrollTop;
+}
+
+// Mirror the command input into the highlight layer behind it and grow it
+// to fit continuation lines. The first problem becomes the input's tooltip,
+// so it can be read before running.
+function updateInputHighlight() {
+  const input = document.getElementById('cmd-input');
+  const layer = document.getElementById('cmd-highlight');
+  if (!input || !layer) return;
+  const tokens = tokenizePowerShell(input.value);
+  // The trailing space keeps a final empty line as tall as in the textarea
+  layer.innerHTML = renderTokens(tokens, true) + '\n ';
+  const multiline = input.value.includes('\n');
+  if (multiline !== document.getElementById('input-area').classList.contains('multiline')) {
+    document.getElementById('input-area').classList.toggle('multiline', multiline);
+    updatePromptLabel();
+  }
+  input.style.height = 'auto';
+  input.style.height = input.scrollHeight + 2 + 'px';
+  syncInputScroll();
+  const issue = tokens.find(t => t.issue)?.issue;
+  input.title = issue ?? '';
+  input.setAttribute('aria-invalid', issue ? 'true' : 'false');
+}
+
+// ── Editor ────────────────────────────────────────────────────
+// Full-screen overlay for editing a VFS file. A transparent textarea sits on
+// top of a highlighted <pre>, so typing, selection and touch keyboards stay
+// native. Undo/redo is our own stack, since find/replace edits would
+// otherwise break the browser's.
+const editor = {
+  path: null, eol: '\r\n', saved: '', encoding: null, // null: plain UTF-8
+  undo: [], redo: [], last: null, lastPush: 0, lastType: '',
+};
+
+function editorEls() {
+  const $ = id => document.getElementById(id);
+  return {
+    overlay: $('editor-overlay'), text: $('editor-text'), highlight: $('editor-highlight'),
+    gutter: $('editor-gutter'), title: $('editor-title'), status: $('editor-status'),
+    find: $('editor-find'), findInput: $('editor-find-input'), replaceInput: $('editor-replace-input'),
+  };
+}
+
+function openEditor(p) {
+  const els = editorEls();
+  if (!els.overlay) return;
+  const content = fsIsFile(p) ? fsGetContent(p) : '';
+  editor.path  = p;
+  editor.encoding = vfs[p]?.bytes ? bomEncoding(vfs[p].bytes) : null;
+  editor.eol   = fsIsFile(p) && !content.includes('\r\n') && content.includes('\n') ? '\n' : '\r\n';
+  editor.saved = content.replace(/\r\n/g, '\n');
+  editor.undo = []; editor.redo = [];
+  els.text.value = editor.saved;
+  els.text.setSelectionRange(0, 0);
+  editor.last = editorSnapshot();
+  els.overlay.classList.add('open');
+  els.find.classList.remove('open');
+  renderEditor();
+  els.text.scrollTop = 0;
+  els.text.focus();
+}
+
+function closeEditor(force=false) {
+  const els = editorEls();
+  if (!force && els.text.value !== editor.saved &&
+      !confirm(`Discard unsaved changes to ${editor.path}?`)) return;
+  els.overlay.classList.remove('open');
+  editor.path = null;
+  focusInput();
+}
+
+function saveEditor() {
+  const els = editorEls();
+  const p = editor.path;
+  if (!fsIsDir(p.slice(0, p.lastIndexOf('\\')))) { writeError(`Could not find a part of the path '${p}'.`); return; }
+  const text = els.text.value.replace(/\n/g, editor.eol);
+  if (editor.encoding) writeEncodedText(p, text, editor.encoding, false);
+  else fsWriteFile(p, text);
+  editor.saved = els.text.value;
+  renderEditor();
+  writeSuccess(`Saved ${p}`);
+}
+
+function editorSnapshot() {
+  const { text } = editorEls();
+  return { value: text.value, start: text.selectionStart, end: text.selectionEnd };
+}
+
+function restoreSnapshot(snap) {
+  const { text } = editorEls();
+  text.value = snap.value;
+  text.setSelectionRange(snap.start, snap.end);
+  editor.last = snap;
+  renderEditor();
+}
+
+// Called after every change; typing within a second joins one undo step
+function recordEdit(inputType='edit') {
+  const now = Date.now();
+  if (now - editor.lastPush > 1000 || inputType !== editor.lastType) {
+    editor.undo.push(editor.last);
+    if (editor.undo.length > 500) editor.undo.shift();
+    editor.lastPush = now;
+  }
+  editor.lastType = inputType;
+  editor.redo = [];
+  editor.last = editorSnapshot();
+  renderEditor();
+}
+
+function editorUndo() {
+  if (!editor.undo.length) return;
+  editor.redo.push(editorSnapshot());
+  restoreSnapshot(editor.undo.pop());
+  editor.lastPush = 0;
+}
+
+function editorRedo() {
+  if (!editor.redo.length) return;
+  editor.undo.push(editorSnapshot());
+  restoreSnapshot(editor.redo.pop());
+  editor.lastPush = 0;
+}
+
+// Replace a range of the text as one undoable step
+function editorReplace(start, end, insert) {
+  const { text } = editorEls();
+  editor.lastPush = 0;
+  text.setRangeText(insert, start, end, 'end');
+  recordEdit('replace');
+}
+
+let editorFrame = 0;
+function renderEditor() {
+  cancelAnimationFrame(editorFrame);
+  editorFrame = requestAnimationFrame(() => {
+    const els = editorEls();
+    const value = els.text.value;
+    // The trailing space keeps a final empty line as tall as in the textarea
+    els.highlight.innerHTML = highlightPowerShell(value) + '\n ';
+    const lines = value.split('\n').length;
+    els.gutter.textContent = Array.from({ length: lines }, (_, i) => i + 1).join('\n');
+    els.title.textContent = (value !== editor.saved ? '● ' : '') + editor.path;
+    updateEditorStatus();
+    syncEditorScroll();
+  });
+}
+
+function updateEditorStatus() {
+  const els = editorEls();
+  const before = els.text.value.slice(0, els.text.selectionStart).split('\n');
+  els.status.textContent = `Ln ${before.length}, Col ${before[before.length - 1].length + 1}` +
+    `  ·  ${editor.eol === '\n' ? 'LF' : 'CRLF'}  ·  Ctrl+S save · Ctrl+F find · Esc close`;
+}
+
+function syncEditorScroll() {
+  const els = editorEls();
+  els.highlight.scrollTop  = els.text.scrollTop;
+  els.highlight.scrollLeft = els.text.scrollLeft;
+  els.gutter.scrollTop     = els.text.scrollTop;
+}
+
+// Select the next (or previous) occurrence of the find text, wrapping around
+function editorFind(backwards=false) {
+  const els = editorEls();
+  const needle = els.findInput.value.toLowerCase();
+  if (!needle) return false;
+  const hay = els.text.value.toLowerCase();
+  let at = backwards
+    ? hay.lastIndexOf(needle, Math.max(0, els.text.selectionStart - 1))
+    : hay.indexOf(needle, els.text.selectionEnd);
+  if (at < 0) at = backwards ? hay.lastIndexOf(needle) : hay.indexOf(needle);
+  if (at < 0) { els.status.textContent = `"${els.findInput.value}" not found`; return false; }
+  els.text.focus();
+  els.text.setSelectionRange(at, at + needle.length);
+  // Bring the match into view; textareas don't always scroll to a selection
+  const line = els.text.value.slice(0, at).split('\n').length - 1;
+  const lineHeight = parseFloat(getComputedStyle(els.text).lineHeight) || 20;
+  els.text.scrollTop = Math.max(0, line * lineHeight - els.text.clientHeight / 2);
+  syncEditorScroll();
+  updateEditorStatus();
+  return true;
+}
+
+function editorReplaceOne() {
+  const els = editorEls();
+  const selected = els.text.value.slice(els.text.selectionStart, els.text.selectionEnd);
+  if (!selected || selected.toLowerCase() !== els.findInput.value.toLowerCase()) { editorFind(); return; }
+  editorReplace(els.text.selectionStart, els.text.selectionEnd, els.replaceInput.value);
+  editorFind();
+}
+
+function editorReplaceAll() {
+  const els = editorEls();
+  const needle = els.findInput.value;
+  if (!needle) return;
+  const re = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  const count = (els.text.value.match(re) ?? []).length;
+  if (!count) { els.status.textContent = `"${needle}" not found`; return; }
+  editorReplace(0, els.text.value.length, els.text.value.replace(re, () => els.replaceInput.value));
+  els.status.textContent = `Replaced ${count} occurrence${count === 1 ? '' : 's'}`;
+}
+
+function initEditor() {
+  const els = editorEls();
+  if (!els.overlay) return;
+  const text = els.text;
+  text.addEventListener('input', e => recordEdit(e.inputType));
+  text.addEventListener('scroll', syncEditorScroll, { passive: true });
+  ['keyup', 'click', 'select'].forEach(ev => text.addEventListener(ev, updateEditorStatus));
+  text.addEventListener('keydown', e => {
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (e.key === 'Tab' && !ctrl) {
+      e.preventDefault();
+      editorReplace(text.selectionStart, text.selectionEnd, '    ');
+    } else if (e.key === 'Enter' && !ctrl) {
+      // Keep the current line's indentation
+      e.preventDefault();
+      const lineStart = text.value.lastIndexOf('\n', text.selectionStart - 1) + 1;
+      const indent = text.value.slice(lineStart).match(/^[ \t]*/)[0];
+      editorReplace(text.selectionStart, text.selectionEnd, '\n' + indent);
+    }
+  });
+  els.overlay.addEventListener('keydown', e => {
+    const ctrl = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (ctrl && key === 's') { e.preventDefault(); saveEditor(); }
+    else if (ctrl && key === 'f') { e.preventDefault(); els.find.classList.add('open'); els.findInput.select(); els.findInput.focus(); }
+    else if (ctrl && key === 'z' && !e.shiftKey) { e.preventDefault(); editorUndo(); }
+    else if (ctrl && (key === 'y' || (key === 'z' && e.shiftKey))) { e.preventDefault(); editorRedo(); }
+    else if (e.key === 'Escape') {
+      e.preventDefault();
+      if (els.find.classList.contains('open')) { els.find.classList.remove('open'); text.focus(); }
+      else closeEditor();
+    }
+  });
+  els.findInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') { e.preventDefault(); editorFind(e.shiftKey); }
+  });
+  els.replaceInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') { e.preventDefault(); editorReplaceOne(); }
+  });
+  const on = (id, fn) => document.getElementById(id)?.addEventListener('click', fn);
+  on('editor-save', saveEditor);
+  on('editor-close', () => closeEditor());
+  on('editor-undo', editorUndo);
+  on('editor-redo', editorRedo);
+  on('editor-find-btn', () => {
+    els.find.classList.toggle('open');
+    if (els.find.classList.contains('open')) els.findInput.focus();
+  });
+  on('editor-find-prev', () => editorFind(true));
+  on('editor-find-next', () => editorFind());
+  on('editor-replace-one', editorReplaceOne);
+  on('editor-replace-all', editorReplaceAll);
+}
+
 // ── Welcome message ───────────────────────────────────────────
 function showWelcome() {
   const out = outputEl();
@@ -1641,23 +7858,70 @@ function showWelcome() {
   out.appendChild(div);
 }
 
+// Files shared to the app (Web Share Target) are staged in SHARE_STORE by
+// the service worker, which then opens the app with ?shared=<count>; they
+// move into the tree once it has loaded
+async function mergeSharedFiles() {
+  if (!fsDB) return;
+  const shared = await fsLoadAll(SHARE_STORE).catch(() => ({}));
+  const paths = Object.keys(shared);
+  if (!paths.length) return;
+  paths.forEach(p => { fsMkdirAll(p.slice(0, p.lastIndexOf('\\'))); vfs[p] = shared[p]; });
+  await fsPersist(paths);
+  await fsTransaction(store => paths.forEach(p => store.delete(p)), SHARE_STORE).catch(reportStorageError);
+}
+
+function reportSharedFiles() {
+  const params = new URLSearchParams(location.search);
+  if (!params.has('shared')) return;
+  const count = parseInt(params.get('shared')) || 0;
+  history.replaceState(null, '', location.pathname);
+  writeLine(count ? `Received ${count} shared file${count === 1 ? '' : 's'} in C:\\Users\\PSUser\\Downloads`
+                  : 'Nothing could be saved from the share.', count ? 'line-success' : 'line-warning');
+}
+
 // ── Main init ─────────────────────────────────────────────────
-function init() {
-  initFS();
+async function init() {
   loadSettings();
   loadHistory();
   initUI();
-  updatePromptLabel();
+  initEditor();
+  refreshPrompt();
   applyKeyboardSetting(state.keyboardAutoShow); // sync header button & settings toggle
   showWelcome();
+  // Commands would run against an empty tree that loading then replaces
+  const input = document.getElementById('cmd-input');
+  input.disabled = true;
+  await initFS();
+  await mergeSharedFiles();
+  state.loading = false;
+  input.disabled = false;
+  restoreSession();
+  window.addEventListener('pagehide', saveSession);
+  reportSharedFiles();
 
-  // Run startup commands
   setTimeout(() => {
-    writeLine(`PS ${state.cwd} > Get-Date`, 'line-prompt');
-    CMDLETS['get-date']([], {}, null);
-    writeLine('');
+    runProfile();
+    refreshPrompt();
     focusInput(); // respects keyboardAutoShow
   }, 100);
 }
 
+// $PROFILE is dot-sourced so what it defines stays in the session. Safe Mode
+// (in Settings, or ?safemode in the URL when the app won't get that far)
+// skips it.
+function runProfile() {
+  if (!fsIsFile(PROFILE_PATH)) return;
+  if (state.safeMode || new URLSearchParams(location.search).has('safemode')) {
+    writeLine('Safe Mode: the profile was not run.', 'line-muted');
+    return;
+  }
+  try {
+    runScriptText(`. '${PROFILE_PATH}'`);
+  } catch (e) {
+    writeError(`The profile failed: ${e.message}. Turn on Safe Mode in Settings to skip it.`);
+  }
+  writeLine('');
+}
+
 document.addEventListener('DOMContentLoaded', init);
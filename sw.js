@@ -3,7 +3,7 @@
    Service Worker: Cache-first strategy for offline PWA support
    ============================================================ */
 
-const CACHE_NAME = 'pstogo-v1';
+const CACHE_NAME = 'pstogo-v2';
 const PRECACHE_URLS = [
   './',
   './index.html',
@@ -41,6 +41,57 @@ self.addEventListener('activate', event => {
   );
 });
 
+// ── Share target: stage shared files for the app ────────────
+// Files go to the 'shares' store, not the app's 'fs' store, which may not
+// be set up yet; the app moves them into Downloads after it loads (see
+// mergeSharedFiles in app.js). Shared text without files is saved as a .txt.
+const FS_DB_NAME    = 'pstogo';
+const FS_DB_VERSION = 2;
+const FS_STORES     = ['fs', 'meta', 'shares']; // as openFSDB in app.js creates them
+const SHARE_STORE   = 'shares';
+const SHARE_DIR     = 'C:\\Users\\PSUser\\Downloads';
+
+function openFSDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(FS_DB_NAME, FS_DB_VERSION);
+    req.onupgradeneeded = () => FS_STORES
+      .filter(name => !req.result.objectStoreNames.contains(name))
+      .forEach(name => req.result.createObjectStore(name));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+async function saveSharedFiles(formData) {
+  const now = new Date().toISOString();
+  const files = formData.getAll('files').filter(f => f instanceof File);
+  const text = ['title', 'text', 'url'].map(k => formData.get(k)).filter(Boolean).join('\r\n');
+  const records = await Promise.all(files.map(async f =>
+    [SHARE_DIR + '\\' + f.name.replace(/[\\/:*?"<>|]/g, '_'), new Uint8Array(await f.arrayBuffer())]));
+  if (!records.length && text) {
+    records.push([SHARE_DIR + '\\shared-' + Date.now() + '.txt', new TextEncoder().encode(text)]);
+  }
+  if (!records.length) return 0;
+  const db = await openFSDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(SHARE_STORE, 'readwrite');
+    const store = tx.objectStore(SHARE_STORE);
+    records.forEach(([path, bytes]) => store.put({ type:'file', bytes, created:now, modified:now }, path));
+    tx.oncomplete = resolve;
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+  return records.length;
+}
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'POST' || !url.pathname.endsWith('/share-target')) return;
+  event.respondWith((async () => {
+    const count = await event.request.formData().then(saveSharedFiles).catch(() => 0);
+    return Response.redirect('./?shared=' + count, 303);
+  })());
+});
+
 // ── Fetch: stale-while-revalidate strategy ───────────────────
 self.addEventListener('fetch', event => {
   // Only handle GET requests for same-origin or precached assets